@@ -101,7 +101,7 @@ describe('App Integration Tests', () => {
 
       // Verify calculator form elements are present
       expect(screen.getByLabelText(/Bank name/i)).toBeInTheDocument();
-      expect(screen.getByLabelText(/Initial Loan/i)).toBeInTheDocument();
+      expect(screen.getByLabelText(/Property Price/i)).toBeInTheDocument();
       expect(screen.getByLabelText(/Down Payment/i)).toBeInTheDocument();
       expect(screen.getByLabelText(/Loan Term/i)).toBeInTheDocument();
       expect(screen.getByLabelText(/APR/i)).toBeInTheDocument();
@@ -186,21 +186,24 @@ describe('App Integration Tests', () => {
         expect(screen.getByText('Mortgage Calculator')).toBeInTheDocument();
       });
 
-      // Select bank from dropdown
+      // Enter the loan first
+      fireEvent.change(screen.getByLabelText(/Property Price/i), { target: { value: '400000' } });
+      fireEvent.change(screen.getByLabelText(/Down Payment/i), { target: { value: '80000' } });
+      fireEvent.change(screen.getByLabelText(/Loan Term/i), { target: { value: '30' } });
+
+      // Verify the bank list checks each bank against the entered loan
       const bankSelect = screen.getByLabelText(/Bank name/i);
       fireEvent.mouseDown(bankSelect);
+      expect(screen.getByTestId('bank-option-1')).toHaveTextContent('Eligible');
+      expect(screen.getByTestId('bank-option-2')).toHaveTextContent('Ineligible: Term longer than 25 years');
       fireEvent.click(screen.getByText('Test Bank A'));
 
-      // Verify form is populated with bank data
-      expect(screen.getByLabelText(/Initial Loan/i)).toHaveValue(500000);
-      expect(screen.getByLabelText(/Down Payment/i)).toHaveValue(50000);
+      // Verify the entered loan is kept and only the empty rate is taken from the bank
+      expect(screen.getByLabelText(/Property Price/i)).toHaveValue(400000);
+      expect(screen.getByLabelText(/Down Payment/i)).toHaveValue(80000);
       expect(screen.getByLabelText(/Loan Term/i)).toHaveValue(30);
       expect(screen.getByLabelText(/APR/i)).toHaveValue(4.5);
 
-      // Modify loan amount
-      const initialLoanInput = screen.getByLabelText(/Initial Loan/i);
-      fireEvent.change(initialLoanInput, { target: { value: '400000' } });
-
       // Calculate mortgage
       const calculateButton = screen.getByRole('button', { name: /Calculate/i });
       fireEvent.click(calculateButton);
@@ -263,7 +266,7 @@ describe('App Integration Tests', () => {
       fireEvent.click(resetButton);
 
       // Verify form is cleared
-      expect(screen.getByLabelText(/Initial Loan/i)).toHaveValue('');
+      expect(screen.getByLabelText(/Property Price/i)).toHaveValue('');
       expect(screen.getByLabelText(/Down Payment/i)).toHaveValue('');
       expect(screen.getByLabelText(/Loan Term/i)).toHaveValue('');
       expect(screen.getByLabelText(/APR/i)).toHaveValue('');
@@ -25,6 +25,12 @@ function App() {
               <Button color='inherit' component={NavLink} to='/calc'>
                 {intl.formatMessage({ id: 'navigation.calculator' })}
               </Button>
+              <Button color='inherit' component={NavLink} to='/afford'>
+                {intl.formatMessage({ id: 'navigation.afford' })}
+              </Button>
+              <Button color='inherit' component={NavLink} to='/scenarios'>
+                {intl.formatMessage({ id: 'navigation.scenarios' })}
+              </Button>
               <Button color='inherit' component={NavLink} to='/patterns'>
                 {intl.formatMessage({ id: 'navigation.patterns' })}
               </Button>
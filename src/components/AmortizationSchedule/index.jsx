@@ -0,0 +1,100 @@
+import React, { useMemo, useState } from 'react';
+import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import ExpandLessIcon from '@mui/icons-material/ExpandLess';
+import numeral from 'numeral';
+import { groupScheduleByYear } from '../../utils/mortgage-utils';
+import { formatDate } from '../../locales';
+import './style.css';
+
+const formatMoney = (value) => numeral(value).format('$0,0.00');
+
+/**
+ * AmortizationSchedule Component - Payment-by-payment loan repayment table
+ *
+ * Shows one roll-up row per loan year; each year can be expanded
+ * to reveal its individual payments.
+ *
+ * @component
+ * @category Components
+ */
+const AmortizationSchedule = ({ schedule, periodsPerYear = 12 }) => {
+  const [expandedYears, setExpandedYears] = useState([]);
+  const years = useMemo(() => groupScheduleByYear(schedule || [], periodsPerYear), [schedule, periodsPerYear]);
+  const hasExtra = useMemo(() => (schedule || []).some(row => row.extra > 0), [schedule]);
+
+  const periodLabel = periodsPerYear === 12 ? 'Month' : 'Payment';
+
+  const toggleYear = (year) => {
+    setExpandedYears(prev => (
+      prev.includes(year) ? prev.filter(item => item !== year) : [...prev, year]
+    ));
+  };
+
+  if (!schedule || schedule.length === 0) return null;
+
+  return (
+    <div className="amortization-schedule" data-testid="amortization-schedule">
+      <h3 className="amortization-title">Amortization Schedule</h3>
+      <div className="amortization-table-wrapper">
+        <table className="amortization-table" aria-label="amortization schedule">
+          <thead>
+            <tr>
+              <th>Period</th>
+              <th>Due Date</th>
+              <th>Payment</th>
+              <th>Principal</th>
+              <th>Interest</th>
+              {hasExtra && <th>Extra</th>}
+              <th>Balance</th>
+              <th>Cumulative Interest</th>
+            </tr>
+          </thead>
+          <tbody>
+            {years.map(yearRow => {
+              const isExpanded = expandedYears.includes(yearRow.year);
+              return (
+                <React.Fragment key={yearRow.year}>
+                  <tr className="amortization-year-row">
+                    <td>
+                      <button
+                        type="button"
+                        className="amortization-toggle"
+                        onClick={() => toggleYear(yearRow.year)}
+                        aria-expanded={isExpanded}
+                        data-testid={`toggle-year-${yearRow.year}`}
+                      >
+                        {isExpanded ? <ExpandLessIcon fontSize="small" /> : <ExpandMoreIcon fontSize="small" />}
+                        Year {yearRow.year}
+                      </button>
+                    </td>
+                    <td />
+                    <td>{formatMoney(yearRow.payment)}</td>
+                    <td>{formatMoney(yearRow.principal)}</td>
+                    <td>{formatMoney(yearRow.interest)}</td>
+                    {hasExtra && <td>{formatMoney(yearRow.extra)}</td>}
+                    <td>{formatMoney(yearRow.balance)}</td>
+                    <td>{formatMoney(yearRow.cumulativeInterest)}</td>
+                  </tr>
+                  {isExpanded && yearRow.periods.map(row => (
+                    <tr key={row.period} className="amortization-month-row">
+                      <td>{periodLabel} {row.period}</td>
+                      <td>{row.date ? formatDate(row.date) : ''}</td>
+                      <td>{formatMoney(row.payment)}</td>
+                      <td>{formatMoney(row.principal)}</td>
+                      <td>{formatMoney(row.interest)}</td>
+                      {hasExtra && <td>{formatMoney(row.extra)}</td>}
+                      <td>{formatMoney(row.balance)}</td>
+                      <td>{formatMoney(row.cumulativeInterest)}</td>
+                    </tr>
+                  ))}
+                </React.Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default AmortizationSchedule;
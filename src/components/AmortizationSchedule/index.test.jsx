@@ -0,0 +1,43 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import AmortizationSchedule from './index';
+import { generateAmortizationSchedule } from '../../utils/mortgage-utils';
+import { formatDate } from '../../locales';
+
+describe('AmortizationSchedule', () => {
+  const schedule = generateAmortizationSchedule(100000, 6, 2);
+
+  it('renders nothing for an empty schedule', () => {
+    render(<AmortizationSchedule schedule={[]} />);
+    expect(screen.queryByTestId('amortization-schedule')).not.toBeInTheDocument();
+  });
+
+  it('renders one collapsed row per year', () => {
+    render(<AmortizationSchedule schedule={schedule} />);
+
+    expect(screen.getByText('Year 1')).toBeInTheDocument();
+    expect(screen.getByText('Year 2')).toBeInTheDocument();
+    expect(screen.queryByText('Month 1')).not.toBeInTheDocument();
+  });
+
+  it('expands and collapses monthly rows for a year', () => {
+    render(<AmortizationSchedule schedule={schedule} />);
+
+    fireEvent.click(screen.getByTestId('toggle-year-1'));
+    expect(screen.getByText('Month 1')).toBeInTheDocument();
+    expect(screen.getByText('Month 12')).toBeInTheDocument();
+    expect(screen.queryByText('Month 13')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByTestId('toggle-year-1'));
+    expect(screen.queryByText('Month 1')).not.toBeInTheDocument();
+  });
+
+  it('shows the due date of each payment', () => {
+    const dated = generateAmortizationSchedule(100000, 6, 2, { startDate: new Date(2025, 0, 15) });
+    render(<AmortizationSchedule schedule={dated} />);
+
+    fireEvent.click(screen.getByTestId('toggle-year-1'));
+    expect(screen.getByText('Month 1').nextSibling).toHaveTextContent(formatDate(new Date(2025, 1, 15)));
+  });
+});
@@ -0,0 +1,72 @@
+import React from 'react';
+import numeral from 'numeral';
+import { maxBy } from 'lodash';
+import './style.css';
+
+const formatMoney = (value) => numeral(value).format('$0,0.00');
+
+const PathTable = ({ title, path, periodsPerYear, testId }) => {
+  const highest = maxBy(path, 'payment');
+
+  return (
+    <div className="arm-path" data-testid={testId}>
+      <h4 className="arm-path-title">{title}</h4>
+      <table className="arm-path-table">
+        <thead>
+          <tr>
+            <th>From</th>
+            <th>Rate</th>
+            <th>Payment</th>
+          </tr>
+        </thead>
+        <tbody>
+          {path.map(step => (
+            <tr key={step.period} className={step === highest && path.length > 1 ? 'highest' : ''}>
+              <td>Year {Math.floor((step.period - 1) / periodsPerYear) + 1}</td>
+              <td>{numeral(step.rate).format('0.00')}%</td>
+              <td>{formatMoney(step.payment)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="arm-path-max">
+        Highest payment: <strong>{formatMoney(highest ? highest.payment : 0)}</strong>
+      </p>
+    </div>
+  );
+};
+
+/**
+ * ArmPaymentPath Component - Payment path of an adjustable-rate mortgage
+ *
+ * Shows the payment after every rate reset under the entered index path,
+ * next to the worst case the periodic and lifetime caps allow.
+ *
+ * @component
+ * @category Components
+ */
+const ArmPaymentPath = ({ path, worstCasePath, periodsPerYear = 12 }) => {
+  if (!path || path.length === 0) return null;
+
+  return (
+    <div className="arm-payment-path" data-testid="arm-payment-path">
+      <h3 className="arm-payment-path-title">Adjustable Rate Payment Path</h3>
+      <div className="arm-payment-path-grid">
+        <PathTable
+          title="Entered rate path"
+          path={path}
+          periodsPerYear={periodsPerYear}
+          testId="arm-expected-path"
+        />
+        <PathTable
+          title="Worst case allowed by caps"
+          path={worstCasePath}
+          periodsPerYear={periodsPerYear}
+          testId="arm-worst-case-path"
+        />
+      </div>
+    </div>
+  );
+};
+
+export default ArmPaymentPath;
@@ -0,0 +1,32 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import ArmPaymentPath from './index';
+
+const path = [
+  { period: 1, rate: 3, payment: 1264.81 },
+  { period: 61, rate: 5, payment: 1567.2 }
+];
+
+const worstCasePath = [
+  { period: 1, rate: 3, payment: 1264.81 },
+  { period: 61, rate: 5, payment: 1567.2 },
+  { period: 73, rate: 7, payment: 1880.1 },
+  { period: 85, rate: 8, payment: 2035.5 }
+];
+
+describe('ArmPaymentPath', () => {
+  it('renders nothing without a path', () => {
+    render(<ArmPaymentPath path={[]} worstCasePath={[]} />);
+    expect(screen.queryByTestId('arm-payment-path')).not.toBeInTheDocument();
+  });
+
+  it('renders entered and worst case paths', () => {
+    render(<ArmPaymentPath path={path} worstCasePath={worstCasePath} />);
+
+    expect(screen.getByTestId('arm-expected-path')).toHaveTextContent('Year 6');
+    expect(screen.getByTestId('arm-expected-path')).toHaveTextContent('Highest payment: $1,567.20');
+    expect(screen.getByTestId('arm-worst-case-path')).toHaveTextContent('8.00%');
+    expect(screen.getByTestId('arm-worst-case-path')).toHaveTextContent('Highest payment: $2,035.50');
+  });
+});
@@ -0,0 +1,88 @@
+import React, { useMemo } from 'react';
+import numeral from 'numeral';
+import {
+  calculateLoanToValue,
+  runStressTest,
+  DOWN_PAYMENT_TYPES,
+  STRESS_TEST_DEFAULTS
+} from '../../utils/mortgage-utils';
+import { parseCalcQuery } from '../../utils/share-utils';
+import './style.css';
+
+const SCENARIO_DEFAULTS = {
+  formData: {
+    homePrice: '',
+    downPayment: '',
+    downPaymentType: DOWN_PAYMENT_TYPES.AMOUNT,
+    loanTerm: ''
+  },
+  advancedOptions: {
+    compounding: '',
+    grossAnnualIncome: '',
+    stressShock: STRESS_TEST_DEFAULTS.SHOCK.toString(),
+    stressFloorRate: STRESS_TEST_DEFAULTS.FLOOR_RATE.toString(),
+    stressMaxIncomeShare: STRESS_TEST_DEFAULTS.MAX_INCOME_SHARE.toString()
+  }
+};
+
+// Read the loan and the stress terms back from the calculator query saved with the scenario
+const getScenarioStressTest = (scenario) => {
+  if (!scenario) return null;
+
+  const { formData, advancedOptions } = parseCalcQuery(new URLSearchParams(scenario.query), SCENARIO_DEFAULTS);
+  const homePrice = parseFloat(formData.homePrice);
+  const downPayment = parseFloat(formData.downPayment) || 0;
+  const income = parseFloat(advancedOptions.grossAnnualIncome);
+  const { principal } = calculateLoanToValue(homePrice, downPayment, formData.downPaymentType);
+
+  if (!(income > 0) || !(principal > 0)) return null;
+
+  return {
+    principal,
+    years: parseFloat(formData.loanTerm) || null,
+    test: {
+      shock: parseFloat(advancedOptions.stressShock) || 0,
+      floorRate: parseFloat(advancedOptions.stressFloorRate) || 0,
+      grossAnnualIncome: income,
+      maxIncomeShare: parseFloat(advancedOptions.stressMaxIncomeShare) || 0,
+      compounding: advancedOptions.compounding
+    }
+  };
+};
+
+/**
+ * BankStressTest Component - Stress test pass/fail of one bank's offer
+ *
+ * Re-runs the loan of a scenario saved on the calculator at the bank's
+ * rate plus the scenario's rate shock (or its floor rate) and shows
+ * whether the payment stays within the allowed share of income. The
+ * scenario needs the borrower's income; without it a dash is shown.
+ *
+ * @component
+ * @category Components
+ */
+const BankStressTest = ({ bank, scenario }) => {
+  const stressTest = useMemo(() => getScenarioStressTest(scenario), [scenario]);
+
+  if (!stressTest) {
+    return (
+      <span className="bank-stress" title="Save a calculator scenario with the borrower's income to stress test the banks">
+        —
+      </span>
+    );
+  }
+
+  const result = runStressTest(stressTest.principal, bank.InterestRate, stressTest.years || bank.LoanTerm, stressTest.test);
+
+  return (
+    <span className={`bank-stress ${result.passes ? 'pass' : 'fail'}`} data-testid={`bank-stress-${bank.id}`}>
+      {result.passes ? 'Pass' : 'Fail'}
+      <span className="bank-stress-detail">
+        {numeral(result.stressedPayment).format('$0,0.00')} at {numeral(result.stressRate).format('0.00[0]')}%
+        is {numeral(result.incomeShare).format('0.00')}% of income
+      </span>
+    </span>
+  );
+};
+
+export default BankStressTest;
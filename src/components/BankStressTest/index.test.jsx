@@ -0,0 +1,45 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import BankStressTest from './index';
+
+describe('BankStressTest', () => {
+  const bank = { id: '1', BankName: 'Test Bank', InterestRate: 5, LoanTerm: 30 };
+  const scenario = {
+    id: 's1',
+    name: 'Starter home',
+    query: 'homePrice=360000&downPayment=60000&loanTerm=30&grossAnnualIncome=72000'
+  };
+
+  it('shows a dash without a saved scenario', () => {
+    render(<BankStressTest bank={bank} scenario={undefined} />);
+    expect(screen.getByText('—')).toBeInTheDocument();
+    expect(screen.queryByTestId('bank-stress-1')).not.toBeInTheDocument();
+  });
+
+  it('shows a dash when the scenario has no income', () => {
+    render(<BankStressTest bank={bank} scenario={{ ...scenario, query: 'homePrice=360000&downPayment=60000&loanTerm=30' }} />);
+    expect(screen.queryByTestId('bank-stress-1')).not.toBeInTheDocument();
+  });
+
+  it('passes the bank at the default shock within the income limit', () => {
+    render(<BankStressTest bank={bank} scenario={scenario} />);
+
+    expect(screen.getByTestId('bank-stress-1')).toHaveClass('pass');
+    expect(screen.getByTestId('bank-stress-1')).toHaveTextContent('Pass$1,995.91 at 7.00% is 33.27% of income');
+  });
+
+  it('fails a bank whose stressed payment is above the income limit', () => {
+    render(<BankStressTest bank={{ ...bank, InterestRate: 7 }} scenario={scenario} />);
+
+    expect(screen.getByTestId('bank-stress-1')).toHaveClass('fail');
+    expect(screen.getByTestId('bank-stress-1')).toHaveTextContent('Fail');
+  });
+
+  it('uses the shock and income share saved with the scenario', () => {
+    render(<BankStressTest bank={bank} scenario={{ ...scenario, query: `${scenario.query}&stressShock=1&stressMaxIncomeShare=30` }} />);
+
+    expect(screen.getByTestId('bank-stress-1')).toHaveClass('pass');
+    expect(screen.getByTestId('bank-stress-1')).toHaveTextContent('at 6.00% is 29.98% of income');
+  });
+});
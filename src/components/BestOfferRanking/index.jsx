@@ -0,0 +1,167 @@
+import React, { useMemo, useState } from 'react';
+import numeral from 'numeral';
+import {
+  calculateLoanToValue,
+  rankBankOffers,
+  OFFER_METRICS,
+  DOWN_PAYMENT_TYPES
+} from '../../utils/mortgage-utils';
+import { parseCalcQuery } from '../../utils/share-utils';
+import './style.css';
+
+const formatMoney = (value) => numeral(value).format('$0,0.00');
+
+const METRIC_LABELS = {
+  [OFFER_METRICS.PAYMENT]: 'Monthly Payment',
+  [OFFER_METRICS.TOTAL_INTEREST]: 'Total Interest',
+  [OFFER_METRICS.TOTAL_COST]: 'Total Cost'
+};
+
+const EMPTY_INPUTS = {
+  homePrice: '',
+  downPayment: '',
+  downPaymentType: DOWN_PAYMENT_TYPES.AMOUNT,
+  loanTerm: ''
+};
+
+// Read the purchase inputs back from the calculator query saved with the scenario
+const getScenarioRequest = (scenario) => {
+  if (!scenario) return null;
+
+  const { formData } = parseCalcQuery(new URLSearchParams(scenario.query), {
+    formData: EMPTY_INPUTS,
+    advancedOptions: {}
+  });
+  const homePrice = parseFloat(formData.homePrice);
+  const downPayment = parseFloat(formData.downPayment) || 0;
+  const years = parseFloat(formData.loanTerm);
+  const loan = calculateLoanToValue(homePrice, downPayment, formData.downPaymentType);
+
+  if (!(years > 0) || !(loan.principal > 0)) return null;
+
+  return { ...loan, years };
+};
+
+/**
+ * BestOfferRanking Component - Ranks the banks' offers for the borrower's loan
+ *
+ * Takes the purchase inputs of a scenario saved on the calculator and ranks
+ * every bank the loan is eligible for by monthly payment, total interest or
+ * total cost, with the difference to the best offer. Ineligible banks are
+ * listed with the reason.
+ *
+ * @component
+ * @category Components
+ */
+const BestOfferRanking = ({ banks = [], scenarios = [] }) => {
+  const [scenarioId, setScenarioId] = useState('');
+  const [metric, setMetric] = useState(OFFER_METRICS.TOTAL_COST);
+
+  // Default to the latest scenario saved on the calculator
+  const scenario = scenarios.find(item => item.id === scenarioId) || scenarios[scenarios.length - 1];
+
+  const ranking = useMemo(() => {
+    const request = getScenarioRequest(scenario);
+    return request ? rankBankOffers(request, banks, metric) : null;
+  }, [scenario, banks, metric]);
+
+  return (
+    <div className="best-offer" data-testid="best-offer-ranking">
+      <h2 className="best-offer-title">Best Offer for Me</h2>
+      <div className="best-offer-controls">
+        <div className="best-offer-field">
+          <label htmlFor="offerScenario">Calculator Scenario</label>
+          <select
+            id="offerScenario"
+            value={scenario ? scenario.id : ''}
+            onChange={(e) => setScenarioId(e.target.value)}
+            disabled={scenarios.length === 0}
+          >
+            {scenarios.length === 0 && <option value="">No saved scenarios</option>}
+            {scenarios.map(item => (
+              <option key={item.id} value={item.id}>{item.name}</option>
+            ))}
+          </select>
+        </div>
+        <div className="best-offer-field">
+          <label htmlFor="offerMetric">Rank By</label>
+          <select id="offerMetric" value={metric} onChange={(e) => setMetric(e.target.value)}>
+            {Object.values(OFFER_METRICS).map(value => (
+              <option key={value} value={value}>{METRIC_LABELS[value]}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {!ranking && (
+        <p className="best-offer-hint">
+          Save a scenario on the calculator to rank the banks for its loan
+        </p>
+      )}
+
+      {ranking && ranking.offers.length === 0 && (
+        <p className="best-offer-hint" data-testid="best-offer-none">
+          No bank offers a loan for these numbers
+        </p>
+      )}
+
+      {ranking && ranking.offers.length > 0 && (
+        <div className="best-offer-table-wrapper">
+          <table className="best-offer-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Bank</th>
+                <th>Rate</th>
+                {Object.values(OFFER_METRICS).map(value => (
+                  <th key={value} className={value === metric ? 'ranked' : ''}>
+                    <button
+                      type="button"
+                      className="best-offer-sort"
+                      onClick={() => setMetric(value)}
+                      title={`Rank by ${METRIC_LABELS[value].toLowerCase()}`}
+                    >
+                      {METRIC_LABELS[value]}
+                    </button>
+                  </th>
+                ))}
+                <th>vs Best</th>
+              </tr>
+            </thead>
+            <tbody>
+              {ranking.offers.map(offer => (
+                <tr
+                  key={offer.bank.id}
+                  className={offer.rank === 1 ? 'best' : ''}
+                  data-testid={`offer-${offer.bank.id}`}
+                >
+                  <td>{offer.rank}</td>
+                  <td>{offer.bank.BankName}</td>
+                  <td>{offer.bank.InterestRate}%</td>
+                  <td>{formatMoney(offer.payment)}</td>
+                  <td>{formatMoney(offer.totalInterest)}</td>
+                  <td>{formatMoney(offer.totalCost)}</td>
+                  <td data-testid={`offer-delta-${offer.bank.id}`}>
+                    {offer.rank === 1 ? 'Best offer' : `+${formatMoney(offer.delta)}`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {ranking && ranking.excluded.length > 0 && (
+        <ul className="best-offer-excluded" data-testid="best-offer-excluded">
+          {ranking.excluded.map(({ bank, reasons }) => (
+            <li key={bank.id}>
+              <strong>{bank.BankName}</strong>: {reasons.map(reason => reason.message).join('; ')}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default BestOfferRanking;
@@ -0,0 +1,78 @@
+import React from 'react';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import BestOfferRanking from './index';
+
+const banks = [
+  { id: '1', BankName: 'Low Rate Bank', InterestRate: 4.5, MaximumLoan: 500000, MinimumDownPayment: 50000, LoanTerm: 30 },
+  { id: '2', BankName: 'Long Term Bank', InterestRate: 5, MaximumLoan: 500000, MinimumDownPayment: 20000, LoanTerm: 40 },
+  { id: '3', BankName: 'Small Loan Bank', InterestRate: 3, MaximumLoan: 200000, MinimumDownPayment: 20000, LoanTerm: 30 }
+];
+
+const scenarios = [
+  { id: 'a', name: '20 years', query: 'homePrice=360000&downPayment=60000&loanTerm=20&loanApr=5' },
+  { id: 'b', name: '50 years', query: 'homePrice=360000&downPayment=60000&loanTerm=50&loanApr=5' }
+];
+
+const getRankedNames = () => (
+  screen.getAllByTestId(/^offer-\d+$/).map(row => within(row).getAllByRole('cell')[1].textContent)
+);
+
+describe('BestOfferRanking', () => {
+  it('asks for a saved scenario before ranking', () => {
+    render(<BestOfferRanking banks={banks} />);
+
+    expect(screen.getByText(/Save a scenario on the calculator/i)).toBeInTheDocument();
+    expect(screen.queryByRole('table')).not.toBeInTheDocument();
+  });
+
+  it('ranks the eligible banks with the delta to the best offer', () => {
+    render(<BestOfferRanking banks={banks} scenarios={scenarios.slice(0, 1)} />);
+
+    expect(getRankedNames()).toEqual(['Low Rate Bank', 'Long Term Bank']);
+    expect(screen.getByTestId('offer-delta-1')).toHaveTextContent('Best offer');
+    expect(screen.getByTestId('offer-delta-2')).toHaveTextContent(/^\+\$\d/);
+    expect(screen.getByTestId('best-offer-excluded')).toHaveTextContent('Small Loan Bank: Loan above the $200,000 maximum');
+  });
+
+  it('re-ranks by the chosen metric', () => {
+    const withHighRate = [
+      ...banks,
+      { id: '4', BankName: 'High Rate Bank', InterestRate: 7, MaximumLoan: 500000, MinimumDownPayment: 20000, LoanTerm: 40 }
+    ];
+    render(<BestOfferRanking banks={withHighRate} scenarios={scenarios.slice(0, 1)} />);
+
+    fireEvent.change(screen.getByLabelText(/Rank By/i), { target: { value: 'payment' } });
+    expect(screen.getByTestId('offer-delta-2')).toHaveTextContent('+$81.92');
+
+    fireEvent.click(screen.getByTitle('Rank by total interest'));
+    expect(screen.getByLabelText(/Rank By/i).value).toBe('totalInterest');
+    expect(getRankedNames()).toEqual(['Low Rate Bank', 'Long Term Bank', 'High Rate Bank']);
+    expect(screen.getByTestId('offer-delta-2')).toHaveTextContent('+$19,660.36');
+  });
+
+  it('uses the down payment percentage of the scenario', () => {
+    const percentScenario = {
+      id: 'c',
+      name: 'Percent down',
+      query: 'homePrice=360000&downPayment=10&downPaymentType=percent&loanTerm=30&loanApr=5'
+    };
+    render(<BestOfferRanking banks={banks} scenarios={[percentScenario]} />);
+
+    expect(getRankedNames()).toEqual(['Long Term Bank']);
+    expect(screen.getByTestId('best-offer-excluded')).toHaveTextContent('Low Rate Bank');
+  });
+
+  it('says when no bank offers the loan', () => {
+    render(<BestOfferRanking banks={banks} scenarios={scenarios} />);
+    expect(screen.getByLabelText(/Calculator Scenario/i).value).toBe('b');
+
+    fireEvent.change(screen.getByLabelText(/Calculator Scenario/i), { target: { value: 'a' } });
+    expect(screen.queryByTestId('best-offer-none')).not.toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText(/Calculator Scenario/i), { target: { value: 'b' } });
+
+    expect(screen.getByTestId('best-offer-none')).toBeInTheDocument();
+    expect(screen.getByTestId('best-offer-excluded').children).toHaveLength(3);
+  });
+});
@@ -0,0 +1,51 @@
+import React from 'react';
+import numeral from 'numeral';
+import './style.css';
+
+const formatMoney = (value) => numeral(value).format('$0,0.00');
+
+/**
+ * BuydownLadder Component - Year-by-year payments of a temporary rate buydown
+ *
+ * Shows the reduced rate and payment in each buydown year, the monthly
+ * subsidy drawn from escrow and the total subsidy funded at closing.
+ *
+ * @component
+ * @category Components
+ */
+const BuydownLadder = ({ buydown }) => {
+  if (!buydown) return null;
+
+  const lastYear = buydown.ladder[buydown.ladder.length - 1].year;
+
+  return (
+    <div className="buydown-ladder" data-testid="buydown-ladder">
+      <h3 className="buydown-ladder-title">{buydown.label}</h3>
+      <table className="buydown-ladder-table">
+        <thead>
+          <tr>
+            <th>Year</th>
+            <th>Rate</th>
+            <th>Your Payment</th>
+            <th>Subsidy / Month</th>
+          </tr>
+        </thead>
+        <tbody>
+          {buydown.ladder.map(row => (
+            <tr key={row.year} data-testid={`buydown-year-${row.year}`}>
+              <td>{row.year === lastYear ? `Year ${row.year}+` : `Year ${row.year}`}</td>
+              <td>{numeral(row.rate).format('0.00[0]')}%</td>
+              <td>{formatMoney(row.payment)}</td>
+              <td>{formatMoney(row.monthlySubsidy)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="buydown-ladder-subsidy" data-testid="buydown-subsidy">
+        Subsidy to escrow at closing: <strong>{formatMoney(buydown.subsidy)}</strong>
+      </p>
+    </div>
+  );
+};
+
+export default BuydownLadder;
@@ -0,0 +1,22 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import BuydownLadder from './index';
+import { calculateBuydown } from '../../utils/mortgage-utils';
+
+describe('BuydownLadder', () => {
+  it('renders nothing without a buydown', () => {
+    render(<BuydownLadder buydown={null} />);
+    expect(screen.queryByTestId('buydown-ladder')).not.toBeInTheDocument();
+  });
+
+  it('shows the payment ladder and the escrowed subsidy', () => {
+    render(<BuydownLadder buydown={calculateBuydown(300000, 7, 30, '2-1')} />);
+
+    expect(screen.getByText('2-1 buydown')).toBeInTheDocument();
+    expect(screen.getByTestId('buydown-year-1')).toHaveTextContent('5.00%');
+    expect(screen.getByTestId('buydown-year-1')).toHaveTextContent('$1,610.46');
+    expect(screen.getByTestId('buydown-year-3')).toHaveTextContent('Year 3+');
+    expect(screen.getByTestId('buydown-subsidy')).toHaveTextContent('$6,992.52');
+  });
+});
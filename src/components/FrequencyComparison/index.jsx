@@ -0,0 +1,56 @@
+import React from 'react';
+import numeral from 'numeral';
+import { formatDate } from '../../locales';
+import './style.css';
+
+const formatMoney = (value) => numeral(value).format('$0,0.00');
+
+/**
+ * FrequencyComparison Component - Compares payment frequencies against monthly
+ *
+ * Lists the regular payment, total interest and payoff date of every
+ * payment frequency, with the interest and time saved versus monthly.
+ *
+ * @component
+ * @category Components
+ */
+const FrequencyComparison = ({ rows, selected }) => {
+  if (!rows || rows.length === 0) return null;
+
+  return (
+    <div className="frequency-comparison" data-testid="frequency-comparison">
+      <h3 className="frequency-comparison-title">Payment Frequency Comparison</h3>
+      <div className="frequency-comparison-wrapper">
+        <table className="frequency-comparison-table" aria-label="payment frequency comparison">
+          <thead>
+            <tr>
+              <th>Frequency</th>
+              <th>Payment</th>
+              <th>Total Interest</th>
+              <th>Payoff Date</th>
+              <th>Interest Saved</th>
+              <th>Months Saved</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr
+                key={row.frequency}
+                className={row.frequency === selected ? 'selected' : ''}
+              >
+                <td>{row.label}</td>
+                <td>{formatMoney(row.payment)}</td>
+                <td>{formatMoney(row.totalInterest)}</td>
+                <td>{formatDate(row.payoffDate)}</td>
+                <td>{formatMoney(row.interestSaved)}</td>
+                <td>{row.monthsSaved}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default FrequencyComparison;
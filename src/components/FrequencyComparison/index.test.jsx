@@ -0,0 +1,31 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import FrequencyComparison from './index';
+import { compareFrequencies } from '../../utils/mortgage-utils';
+
+describe('FrequencyComparison', () => {
+  const rows = compareFrequencies(300000, 5, 30, new Date(2025, 0, 1));
+
+  it('renders nothing without rows', () => {
+    render(<FrequencyComparison rows={[]} selected="monthly" />);
+    expect(screen.queryByTestId('frequency-comparison')).not.toBeInTheDocument();
+  });
+
+  it('renders a row for every payment frequency', () => {
+    render(<FrequencyComparison rows={rows} selected="monthly" />);
+
+    expect(screen.getByText('Monthly')).toBeInTheDocument();
+    expect(screen.getByText('Semi-monthly')).toBeInTheDocument();
+    expect(screen.getByText('Bi-weekly')).toBeInTheDocument();
+    expect(screen.getByText('Accelerated bi-weekly')).toBeInTheDocument();
+    expect(screen.getByText('Weekly')).toBeInTheDocument();
+  });
+
+  it('highlights the selected frequency', () => {
+    render(<FrequencyComparison rows={rows} selected="weekly" />);
+
+    expect(screen.getByText('Weekly').closest('tr')).toHaveClass('selected');
+    expect(screen.getByText('Monthly').closest('tr')).not.toHaveClass('selected');
+  });
+});
@@ -0,0 +1,64 @@
+import React from 'react';
+import numeral from 'numeral';
+import './style.css';
+
+const formatMoney = (value) => numeral(value).format('$0,0.00');
+
+const SEGMENTS = [
+  { key: 'principalAndInterest', label: 'Principal & interest', color: '#3498db' },
+  { key: 'propertyTax', label: 'Property tax', color: '#e67e22', escrow: true },
+  { key: 'homeInsurance', label: 'Homeowner insurance', color: '#27ae60', escrow: true },
+  { key: 'pmi', label: 'Mortgage insurance (PMI)', color: '#c0392b' },
+  { key: 'hoaFees', label: 'HOA fees', color: '#8e44ad' }
+];
+
+/**
+ * HousingCostBreakdown Component - Full monthly housing cost
+ *
+ * Stacks principal and interest, escrowed property tax and insurance,
+ * mortgage insurance and HOA fees into one bar with a labeled legend.
+ *
+ * @component
+ * @category Components
+ */
+const HousingCostBreakdown = ({ cost }) => {
+  if (!cost || cost.total <= 0) return null;
+
+  const segments = SEGMENTS.filter(segment => cost[segment.key] > 0);
+
+  return (
+    <div className="housing-cost" data-testid="housing-cost-breakdown">
+      <h3 className="housing-cost-title">
+        Monthly Housing Cost <span className="housing-cost-total">{formatMoney(cost.total)}</span>
+      </h3>
+      <div className="housing-cost-bar" role="img" aria-label="monthly housing cost breakdown">
+        {segments.map(segment => (
+          <div
+            key={segment.key}
+            className="housing-cost-segment"
+            style={{ width: `${(cost[segment.key] / cost.total) * 100}%`, background: segment.color }}
+            title={`${segment.label}: ${formatMoney(cost[segment.key])}`}
+          />
+        ))}
+      </div>
+      <ul className="housing-cost-legend">
+        {segments.map(segment => (
+          <li key={segment.key} data-testid={`housing-cost-${segment.key}`}>
+            <span className="housing-cost-swatch" style={{ background: segment.color }} />
+            <span className="housing-cost-label">
+              {segment.label}{segment.escrow && <em> (escrow)</em>}
+            </span>
+            <span className="housing-cost-value">{formatMoney(cost[segment.key])}</span>
+          </li>
+        ))}
+      </ul>
+      {cost.escrow > 0 && (
+        <p className="housing-cost-escrow">
+          Monthly escrow deposit: <strong>{formatMoney(cost.escrow)}</strong>
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default HousingCostBreakdown;
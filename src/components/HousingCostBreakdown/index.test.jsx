@@ -0,0 +1,37 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import HousingCostBreakdown from './index';
+import { calculateHousingCost } from '../../utils/mortgage-utils';
+
+describe('HousingCostBreakdown', () => {
+  it('renders nothing without a cost', () => {
+    render(<HousingCostBreakdown cost={null} />);
+    expect(screen.queryByTestId('housing-cost-breakdown')).not.toBeInTheDocument();
+  });
+
+  it('renders every cost with its label and the total', () => {
+    const cost = calculateHousingCost(1500, 300000, { propertyTax: 1.2, homeInsurance: 1200, hoaFees: 150 });
+    render(<HousingCostBreakdown cost={cost} />);
+
+    expect(screen.getByTestId('housing-cost-breakdown')).toHaveTextContent('$2,050.00');
+    expect(screen.getByTestId('housing-cost-propertyTax')).toHaveTextContent('Property tax (escrow)$300.00');
+    expect(screen.getByTestId('housing-cost-homeInsurance')).toHaveTextContent('$100.00');
+    expect(screen.getByTestId('housing-cost-hoaFees')).toHaveTextContent('$150.00');
+    expect(screen.getByText(/Monthly escrow deposit/i)).toHaveTextContent('$400.00');
+  });
+
+  it('shows mortgage insurance while it is charged', () => {
+    render(<HousingCostBreakdown cost={calculateHousingCost(1500, 300000, { pmi: 112.5 })} />);
+
+    expect(screen.getByTestId('housing-cost-pmi')).toHaveTextContent('Mortgage insurance (PMI)$112.50');
+  });
+
+  it('leaves out costs that were not entered', () => {
+    render(<HousingCostBreakdown cost={calculateHousingCost(1500, 300000)} />);
+
+    expect(screen.getByTestId('housing-cost-principalAndInterest')).toBeInTheDocument();
+    expect(screen.queryByTestId('housing-cost-hoaFees')).not.toBeInTheDocument();
+    expect(screen.queryByText(/Monthly escrow deposit/i)).not.toBeInTheDocument();
+  });
+});
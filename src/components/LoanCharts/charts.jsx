@@ -0,0 +1,245 @@
+import React from 'react';
+import numeral from 'numeral';
+import { max } from 'lodash';
+import {
+  CHART_WIDTH,
+  CHART_HEIGHT,
+  CHART_COLORS,
+  getTicks,
+  getPlotArea,
+  buildLinePath
+} from '../../utils/chart-utils';
+
+const formatMoney = (value) => numeral(value).format('$0,0.00');
+const formatAxis = (value) => numeral(value).format('$0.[0]a');
+
+const TOOLTIP_WIDTH = 170;
+const TOOLTIP_LINE_HEIGHT = 15;
+
+// Year marks on the x axis, at most about six of them
+const getYearMarks = (periods, periodsPerYear) => {
+  const years = Math.ceil(periods / periodsPerYear);
+  const every = Math.max(1, Math.ceil(years / 6));
+  const marks = [];
+  for (let year = every; year <= years; year += every) {
+    marks.push(year);
+  }
+  return marks;
+};
+
+const Legend = ({ items }) => (
+  <g>
+    {items.map((item, index) => {
+      const x = CHART_WIDTH - 16 - (items.length - index) * 110;
+      return (
+        <g key={item.label}>
+          <rect x={x} y={4} width={10} height={10} fill={item.color} />
+          <text x={x + 14} y={13} fontSize="11" fill={CHART_COLORS.text}>{item.label}</text>
+        </g>
+      );
+    })}
+  </g>
+);
+
+const Tooltip = ({ plot, index, lines }) => {
+  const cx = plot.x(index + 1);
+  const height = lines.length * TOOLTIP_LINE_HEIGHT + 8;
+  const x = cx + 8 + TOOLTIP_WIDTH > plot.right ? cx - 8 - TOOLTIP_WIDTH : cx + 8;
+
+  return (
+    <g data-testid="chart-tooltip" pointerEvents="none">
+      <line x1={cx} x2={cx} y1={plot.top} y2={plot.bottom} stroke={CHART_COLORS.text} strokeDasharray="3 3" />
+      <rect x={x} y={plot.top} width={TOOLTIP_WIDTH} height={height} rx="4" fill="#ffffff" stroke={CHART_COLORS.axis} />
+      {lines.map((line, lineIndex) => (
+        <text
+          key={line}
+          x={x + 8}
+          y={plot.top + 4 + (lineIndex + 1) * TOOLTIP_LINE_HEIGHT - 3}
+          fontSize="11"
+          fill="#2c3e50"
+        >
+          {line}
+        </text>
+      ))}
+    </g>
+  );
+};
+
+/**
+ * Axes, grid, legend and hover handling shared by the loan charts
+ * Only presentation attributes are used, so the markup renders the same outside the page
+ */
+const ChartFrame = ({
+  title, periods, periodsPerYear, yMax, legend, hoverIndex, onHover, tooltipLines, testId, children
+}) => {
+  const ticks = getTicks(yMax);
+  const plot = getPlotArea(periods, ticks[ticks.length - 1]);
+  const slotWidth = (plot.right - plot.left) / Math.max(periods, 1);
+  const showTooltip = hoverIndex !== null && hoverIndex !== undefined && hoverIndex < periods;
+
+  return (
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      width={CHART_WIDTH}
+      height={CHART_HEIGHT}
+      role="img"
+      aria-label={title}
+      data-testid={testId}
+      onMouseLeave={onHover ? () => onHover(null) : undefined}
+    >
+      <rect x="0" y="0" width={CHART_WIDTH} height={CHART_HEIGHT} fill="#ffffff" />
+      {ticks.map(tick => (
+        <g key={tick}>
+          <line x1={plot.left} x2={plot.right} y1={plot.y(tick)} y2={plot.y(tick)} stroke={CHART_COLORS.axis} strokeWidth="0.5" />
+          <text x={plot.left - 6} y={plot.y(tick) + 4} fontSize="11" textAnchor="end" fill={CHART_COLORS.text}>
+            {formatAxis(tick)}
+          </text>
+        </g>
+      ))}
+      <text x={plot.left - 6} y={plot.bottom + 18} fontSize="11" textAnchor="end" fill={CHART_COLORS.text}>
+        Years
+      </text>
+      {getYearMarks(periods, periodsPerYear).map(year => (
+        <text
+          key={year}
+          x={plot.x(Math.min(year * periodsPerYear, periods))}
+          y={plot.bottom + 18}
+          fontSize="11"
+          textAnchor="middle"
+          fill={CHART_COLORS.text}
+        >
+          {year}
+        </text>
+      ))}
+      {legend && <Legend items={legend} />}
+      {children(plot, slotWidth)}
+      {showTooltip && <Tooltip plot={plot} index={hoverIndex} lines={tooltipLines(hoverIndex)} />}
+      {onHover && Array.from({ length: periods }, (_, index) => (
+        <rect
+          key={index}
+          x={plot.left + index * slotWidth}
+          y={plot.top}
+          width={slotWidth}
+          height={plot.bottom - plot.top}
+          fill="transparent"
+          onMouseEnter={() => onHover(index)}
+          data-testid={`${testId}-period-${index + 1}`}
+        />
+      ))}
+    </svg>
+  );
+};
+
+const getPeriodLabel = (periodsPerYear, index) => (
+  `${periodsPerYear === 12 ? 'Month' : 'Payment'} ${index + 1}`
+);
+
+/**
+ * Remaining balance after every payment
+ */
+export const BalanceChart = ({ series, periodsPerYear = 12, hoverIndex = null, onHover }) => (
+  <ChartFrame
+    title="Remaining balance"
+    testId="balance-chart"
+    periods={series.balance.length}
+    periodsPerYear={periodsPerYear}
+    yMax={(series.balance[0] || 0) + (series.principal[0] || 0)}
+    hoverIndex={hoverIndex}
+    onHover={onHover}
+    tooltipLines={index => [
+      getPeriodLabel(periodsPerYear, index),
+      `Balance: ${formatMoney(series.balance[index])}`
+    ]}
+  >
+    {plot => (
+      <path d={buildLinePath(series.balance, plot)} fill="none" stroke={CHART_COLORS.balance} strokeWidth="2" />
+    )}
+  </ChartFrame>
+);
+
+/**
+ * Principal repaid and interest paid so far
+ */
+export const CumulativeChart = ({ series, periodsPerYear = 12, hoverIndex = null, onHover }) => (
+  <ChartFrame
+    title="Cumulative principal and interest"
+    testId="cumulative-chart"
+    periods={series.cumulativePrincipal.length}
+    periodsPerYear={periodsPerYear}
+    yMax={max([...series.cumulativePrincipal, ...series.cumulativeInterest])}
+    legend={[
+      { label: 'Principal', color: CHART_COLORS.principal },
+      { label: 'Interest', color: CHART_COLORS.interest }
+    ]}
+    hoverIndex={hoverIndex}
+    onHover={onHover}
+    tooltipLines={index => [
+      getPeriodLabel(periodsPerYear, index),
+      `Principal: ${formatMoney(series.cumulativePrincipal[index])}`,
+      `Interest: ${formatMoney(series.cumulativeInterest[index])}`
+    ]}
+  >
+    {plot => (
+      <g>
+        <path d={buildLinePath(series.cumulativePrincipal, plot)} fill="none" stroke={CHART_COLORS.principal} strokeWidth="2" />
+        <path d={buildLinePath(series.cumulativeInterest, plot)} fill="none" stroke={CHART_COLORS.interest} strokeWidth="2" />
+      </g>
+    )}
+  </ChartFrame>
+);
+
+// One path of bars instead of a rect per payment keeps long schedules light
+const buildBarsPath = (plot, slotWidth, bottoms, tops) => (
+  bottoms
+    .map((bottom, index) => {
+      const x = plot.left + index * slotWidth;
+      const y = plot.y(tops[index]);
+      return `M${x.toFixed(2)},${plot.y(bottom).toFixed(2)} V${y.toFixed(2)} h${slotWidth.toFixed(3)} V${plot.y(bottom).toFixed(2)} Z`;
+    })
+    .join(' ')
+);
+
+/**
+ * Principal and interest share of every payment
+ */
+export const CompositionChart = ({ series, periodsPerYear = 12, hoverIndex = null, onHover }) => {
+  const totals = series.principal.map((principal, index) => principal + series.interest[index]);
+
+  return (
+    <ChartFrame
+      title="Payment composition"
+      testId="composition-chart"
+      periods={series.principal.length}
+      periodsPerYear={periodsPerYear}
+      yMax={max(totals)}
+      legend={[
+        { label: 'Principal', color: CHART_COLORS.principal },
+        { label: 'Interest', color: CHART_COLORS.interest }
+      ]}
+      hoverIndex={hoverIndex}
+      onHover={onHover}
+      tooltipLines={index => [
+        getPeriodLabel(periodsPerYear, index),
+        `Principal: ${formatMoney(series.principal[index])}`,
+        `Interest: ${formatMoney(series.interest[index])}`
+      ]}
+    >
+      {(plot, slotWidth) => (
+        <g>
+          <path
+            d={buildBarsPath(plot, slotWidth, series.principal.map(() => 0), series.principal)}
+            fill={CHART_COLORS.principal}
+          />
+          <path d={buildBarsPath(plot, slotWidth, series.principal, totals)} fill={CHART_COLORS.interest} />
+        </g>
+      )}
+    </ChartFrame>
+  );
+};
+
+export const LOAN_CHARTS = [
+  { key: 'balance', title: 'Remaining Balance', Chart: BalanceChart },
+  { key: 'cumulative', title: 'Cumulative Principal vs Interest', Chart: CumulativeChart },
+  { key: 'composition', title: 'Payment Composition', Chart: CompositionChart }
+];
@@ -0,0 +1,39 @@
+import React, { useMemo, useState } from 'react';
+import { buildChartSeries } from '../../utils/chart-utils';
+import { LOAN_CHARTS } from './charts';
+import './style.css';
+
+/**
+ * LoanCharts Component - Balance, cumulative and per-payment charts of a schedule
+ *
+ * Plain SVG, no charting library; hovering a chart shows the values
+ * of the payment under the cursor.
+ *
+ * @component
+ * @category Components
+ */
+const LoanCharts = ({ schedule, periodsPerYear = 12 }) => {
+  const [hover, setHover] = useState({ chart: null, index: null });
+  const series = useMemo(() => buildChartSeries(schedule || []), [schedule]);
+
+  if (!schedule || schedule.length === 0) return null;
+
+  return (
+    <div className="loan-charts" data-testid="loan-charts">
+      <h3 className="loan-charts-title">Charts</h3>
+      {LOAN_CHARTS.map(({ key, title, Chart }) => (
+        <div key={key} className="loan-chart">
+          <h4 className="loan-chart-title">{title}</h4>
+          <Chart
+            series={series}
+            periodsPerYear={periodsPerYear}
+            hoverIndex={hover.chart === key ? hover.index : null}
+            onHover={index => setHover({ chart: key, index })}
+          />
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default LoanCharts;
@@ -0,0 +1,45 @@
+import React from 'react';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import '@testing-library/jest-dom';
+import LoanCharts from './index';
+import { BalanceChart } from './charts';
+import { generateAmortizationSchedule } from '../../utils/mortgage-utils';
+import { buildChartSeries } from '../../utils/chart-utils';
+
+describe('LoanCharts', () => {
+  const schedule = generateAmortizationSchedule(100000, 6, 2);
+
+  it('renders nothing for an empty schedule', () => {
+    render(<LoanCharts schedule={[]} />);
+    expect(screen.queryByTestId('loan-charts')).not.toBeInTheDocument();
+  });
+
+  it('renders the balance, cumulative and composition charts', () => {
+    render(<LoanCharts schedule={schedule} />);
+
+    expect(screen.getByRole('img', { name: 'Remaining balance' })).toBeInTheDocument();
+    expect(screen.getByRole('img', { name: 'Cumulative principal and interest' })).toBeInTheDocument();
+    expect(screen.getByRole('img', { name: 'Payment composition' })).toBeInTheDocument();
+  });
+
+  it('shows a tooltip for the hovered payment', () => {
+    render(<LoanCharts schedule={schedule} />);
+
+    fireEvent.mouseEnter(screen.getByTestId('balance-chart-period-12'));
+    const tooltip = within(screen.getByTestId('balance-chart')).getByTestId('chart-tooltip');
+    expect(tooltip).toHaveTextContent('Month 12');
+    expect(tooltip).toHaveTextContent(`Balance: $${schedule[11].balance.toLocaleString('en-US', { minimumFractionDigits: 2 })}`);
+    expect(screen.getAllByTestId('chart-tooltip')).toHaveLength(1);
+
+    fireEvent.mouseLeave(screen.getByTestId('balance-chart'));
+    expect(screen.queryByTestId('chart-tooltip')).not.toBeInTheDocument();
+  });
+
+  it('renders standalone SVG markup without hover targets', () => {
+    const markup = renderToStaticMarkup(<BalanceChart series={buildChartSeries(schedule)} />);
+
+    expect(markup).toContain('xmlns="http://www.w3.org/2000/svg"');
+    expect(markup).not.toContain('balance-chart-period-1');
+  });
+});
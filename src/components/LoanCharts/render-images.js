@@ -0,0 +1,20 @@
+import React from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import { buildChartSeries, svgToDataUrl } from '../../utils/chart-utils';
+import { LOAN_CHARTS } from './charts';
+
+/**
+ * Render the loan charts to PNG images for PDF reports
+ * Uses the same SVG components as the page, without hover targets
+ * @param {Array} schedule - Rows from generateAmortizationSchedule
+ * @param {number} periodsPerYear - Payments per year of the schedule
+ * @returns {Promise<Array>} Charts as { title, image } with PNG data URLs
+ */
+export const renderChartImages = (schedule, periodsPerYear = 12) => {
+  const series = buildChartSeries(schedule);
+
+  return Promise.all(LOAN_CHARTS.map(async ({ title, Chart }) => ({
+    title,
+    image: await svgToDataUrl(renderToStaticMarkup(<Chart series={series} periodsPerYear={periodsPerYear} />))
+  })));
+};
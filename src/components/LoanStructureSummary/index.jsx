@@ -0,0 +1,64 @@
+import React from 'react';
+import numeral from 'numeral';
+import { LOAN_PHASES } from '../../utils/mortgage-utils';
+import './style.css';
+
+const formatMoney = (value) => numeral(value).format('$0,0.00');
+
+const PHASE_LABELS = {
+  [LOAN_PHASES.INTEREST_ONLY]: 'Interest only',
+  [LOAN_PHASES.AMORTIZING]: 'Principal and interest',
+  [LOAN_PHASES.BALLOON]: 'Final payment with balloon'
+};
+
+/**
+ * LoanStructureSummary Component - Payment phases of an interest-only or balloon loan
+ *
+ * Lists the payment in each phase of the loan and, for a balloon loan,
+ * the balance that falls due at the end.
+ *
+ * @component
+ * @category Components
+ */
+const LoanStructureSummary = ({ structure, periodsPerYear = 12 }) => {
+  if (!structure || structure.phases.length === 0) return null;
+
+  const periodLabel = periodsPerYear === 12 ? 'Month' : 'Payment';
+  const formatRange = ({ fromPeriod, toPeriod }) => (
+    fromPeriod === toPeriod
+      ? `${periodLabel} ${fromPeriod}`
+      : `${periodLabel}s ${fromPeriod}-${toPeriod}`
+  );
+
+  return (
+    <div className="loan-structure" data-testid="loan-structure">
+      <h3 className="loan-structure-title">Payment Phases</h3>
+      <table className="loan-structure-table">
+        <thead>
+          <tr>
+            <th>Phase</th>
+            <th>Payments</th>
+            <th>Payment</th>
+          </tr>
+        </thead>
+        <tbody>
+          {structure.phases.map(item => (
+            <tr key={item.phase} data-testid={`loan-phase-${item.phase}`}>
+              <td>{PHASE_LABELS[item.phase]}</td>
+              <td>{formatRange(item)}</td>
+              <td>{formatMoney(item.payment)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {structure.balloonAmount > 0 && (
+        <p className="loan-structure-balloon" data-testid="balloon-amount">
+          Balloon due with {periodLabel.toLowerCase()} {structure.balloonPeriod}:{' '}
+          <strong>{formatMoney(structure.balloonAmount)}</strong>
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default LoanStructureSummary;
@@ -0,0 +1,23 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import LoanStructureSummary from './index';
+import { analyzeLoanStructure } from '../../utils/mortgage-utils';
+
+describe('LoanStructureSummary', () => {
+  it('renders nothing without a structure', () => {
+    render(<LoanStructureSummary structure={null} />);
+    expect(screen.queryByTestId('loan-structure')).not.toBeInTheDocument();
+  });
+
+  it('shows the payment in each phase and the balloon', () => {
+    const structure = analyzeLoanStructure(200000, 6, 30, { interestOnlyMonths: 60, balloonYears: 10 });
+    render(<LoanStructureSummary structure={structure} />);
+
+    expect(screen.getByTestId('loan-phase-interestOnly')).toHaveTextContent('Months 1-60');
+    expect(screen.getByTestId('loan-phase-interestOnly')).toHaveTextContent('$1,000.00');
+    expect(screen.getByTestId('loan-phase-amortizing')).toHaveTextContent('$1,288.60');
+    expect(screen.getByTestId('loan-phase-balloon')).toHaveTextContent('Month 120');
+    expect(screen.getByTestId('balloon-amount')).toHaveTextContent('$179,864.40');
+  });
+});
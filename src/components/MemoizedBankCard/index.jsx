@@ -1,5 +1,11 @@
 import React, { useMemo, useCallback } from 'react';
 import { Card, CardContent, Typography, Box, Chip } from '@mui/material';
+import {
+  calculateMonthlyPayment,
+  generateAmortizationSchedule,
+  summarizeSchedule
+} from '../../utils/mortgage-utils';
+import { subtractMoney, formatMoney } from '../../utils/money-utils';
 import './style.css';
 
 // MemoizedBankCard Component - Performance Optimization Demo
@@ -18,18 +24,14 @@ const MemoizedBankCard = React.memo(({ bank, onSelect, isSelected }) => {
   const calculatedValues = useMemo(() => {
     const { InterestRate, MaximumLoan, MinimumDownPayment, LoanTerm } = bank;
     
-    // Perform mortgage payment calculations
-    const monthlyPayment = (MaximumLoan - MinimumDownPayment) * 
-      (InterestRate / 100 / 12) * 
-      Math.pow(1 + InterestRate / 100 / 12, LoanTerm * 12) / 
-      (Math.pow(1 + InterestRate / 100 / 12, LoanTerm * 12) - 1);
-    
-    const totalInterest = (monthlyPayment * LoanTerm * 12) - (MaximumLoan - MinimumDownPayment);
+    // Same cent-exact engine as the calculator, including the adjusted final payment
+    const principal = subtractMoney(MaximumLoan, MinimumDownPayment);
+    const schedule = generateAmortizationSchedule(principal, InterestRate, LoanTerm);
     const downPaymentPercentage = (MinimumDownPayment / MaximumLoan) * 100;
     
     return {
-      monthlyPayment: Math.round(monthlyPayment),
-      totalInterest: Math.round(totalInterest),
+      monthlyPayment: calculateMonthlyPayment(principal, InterestRate, LoanTerm),
+      totalInterest: summarizeSchedule(schedule).totalInterest,
       downPaymentPercentage: Math.round(downPaymentPercentage)
     };
   }, [bank.InterestRate, bank.MaximumLoan, bank.MinimumDownPayment, bank.LoanTerm]);
@@ -66,10 +68,10 @@ const MemoizedBankCard = React.memo(({ bank, onSelect, isSelected }) => {
           Calculated Values:
         </Typography>
         <Typography variant="body2" color="text.secondary" className="calculated-value-item">
-          Monthly Payment: <strong>${calculatedValues.monthlyPayment.toLocaleString()}</strong>
+          Monthly Payment: <strong>${formatMoney(calculatedValues.monthlyPayment)}</strong>
         </Typography>
         <Typography variant="body2" color="text.secondary" className="calculated-value-item">
-          Total Interest: <strong>${calculatedValues.totalInterest.toLocaleString()}</strong>
+          Total Interest: <strong>${formatMoney(calculatedValues.totalInterest)}</strong>
         </Typography>
         <Typography variant="body2" color="text.secondary" className="calculated-value-item">
           Down Payment %: <strong>{calculatedValues.downPaymentPercentage}%</strong>
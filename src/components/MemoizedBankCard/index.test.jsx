@@ -0,0 +1,38 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import MemoizedBankCard from './index';
+import {
+  calculateMonthlyPayment,
+  generateAmortizationSchedule,
+  summarizeSchedule
+} from '../../utils/mortgage-utils';
+
+const bank = {
+  id: '1',
+  BankName: 'Test Bank',
+  InterestRate: 5,
+  MaximumLoan: 360000,
+  MinimumDownPayment: 60000,
+  LoanTerm: 30
+};
+
+describe('MemoizedBankCard', () => {
+  it('shows the same payment and interest as the calculator, to the cent', () => {
+    render(<MemoizedBankCard bank={bank} onSelect={jest.fn()} isSelected={false} />);
+
+    const { totalInterest } = summarizeSchedule(generateAmortizationSchedule(300000, 5, 30));
+    expect(calculateMonthlyPayment(300000, 5, 30)).toBe(1610.46);
+    expect(screen.getByText('$1,610.46')).toBeInTheDocument();
+    expect(screen.getByText(`$${totalInterest.toLocaleString('en-US', { minimumFractionDigits: 2 })}`)).toBeInTheDocument();
+  });
+
+  it('selects the bank on click', () => {
+    const onSelect = jest.fn();
+    render(<MemoizedBankCard bank={bank} onSelect={onSelect} isSelected={false} />);
+
+    fireEvent.click(screen.getByText('Test Bank'));
+
+    expect(onSelect).toHaveBeenCalledWith('1');
+  });
+});
@@ -0,0 +1,325 @@
+import React, { useState } from 'react';
+import PictureAsPdfIcon from '@mui/icons-material/PictureAsPdf';
+import numeral from 'numeral';
+import { isEmpty } from 'lodash';
+import { analyzeRefinance } from '../../utils/mortgage-utils';
+import { generateRefinanceReport, savePDF } from '../../utils/pdf-utils';
+import './style.css';
+
+const formatMoney = (value) => numeral(value).format('$0,0.00');
+
+// Date inputs give YYYY-MM-DD, which new Date() would read as UTC midnight
+const parseDateInput = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const formatBreakEven = (month) => {
+  if (month === null) return 'Not reached';
+  return month === 0 ? 'Immediately' : `Month ${month}`;
+};
+
+const EMPTY_FORM_DATA = {
+  originalAmount: '',
+  currentRate: '',
+  startDate: '',
+  remainingYears: '',
+  offerBank: '',
+  newRate: '',
+  newTerm: '',
+  closingCosts: '',
+  financeClosingCosts: false
+};
+
+/**
+ * RefinanceAnalyzer Component - Compares the current loan with a refinance offer
+ *
+ * The offer can be typed in or taken from one of the stored banks. Shows the
+ * monthly savings, break-even month, lifetime interest difference and the
+ * cost of resetting the term, and exports the comparison to PDF.
+ *
+ * @component
+ * @category Components
+ */
+const RefinanceAnalyzer = ({ banks = [] }) => {
+  const [formData, setFormData] = useState(EMPTY_FORM_DATA);
+  const [analysis, setAnalysis] = useState(null);
+  const [validationError, setValidationError] = useState('');
+
+  const handleInputChange = (field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      [field]: value
+    }));
+    setValidationError('');
+  };
+
+  const handleOfferBankChange = (bankName) => {
+    const bank = banks.find(item => item.BankName === bankName);
+    setFormData(prev => ({
+      ...prev,
+      offerBank: bankName,
+      ...(bank && {
+        newRate: bank.InterestRate.toString(),
+        newTerm: bank.LoanTerm.toString()
+      })
+    }));
+    setValidationError('');
+  };
+
+  const validateForm = () => {
+    const { originalAmount, currentRate, startDate, remainingYears, newRate, newTerm, closingCosts } = formData;
+
+    if ([originalAmount, currentRate, startDate, remainingYears].some(isEmpty)) {
+      setValidationError('Enter the original amount, rate, start date and remaining term of the current loan');
+      return false;
+    }
+
+    if (isEmpty(newRate) || isEmpty(newTerm)) {
+      setValidationError('Enter the rate and term of the new offer');
+      return false;
+    }
+
+    if (parseDateInput(startDate) > new Date()) {
+      setValidationError('Start date cannot be in the future');
+      return false;
+    }
+
+    if (!(parseFloat(originalAmount) > 0 && parseFloat(remainingYears) > 0 && parseFloat(newTerm) > 0)) {
+      setValidationError('Amounts and terms must be greater than 0');
+      return false;
+    }
+
+    if ([currentRate, newRate].some(value => !(parseFloat(value) >= 0 && parseFloat(value) <= 100))) {
+      setValidationError('Interest rate must be between 0 and 100%');
+      return false;
+    }
+
+    if (!isEmpty(closingCosts) && !(parseFloat(closingCosts) >= 0)) {
+      setValidationError('Closing costs cannot be negative');
+      return false;
+    }
+
+    return true;
+  };
+
+  const buildInputs = () => ({
+    current: {
+      originalAmount: parseFloat(formData.originalAmount),
+      rate: parseFloat(formData.currentRate),
+      startDate: parseDateInput(formData.startDate),
+      remainingMonths: Math.round(parseFloat(formData.remainingYears) * 12)
+    },
+    offer: {
+      name: formData.offerBank,
+      rate: parseFloat(formData.newRate),
+      years: parseFloat(formData.newTerm),
+      closingCosts: parseFloat(formData.closingCosts) || 0,
+      financeClosingCosts: formData.financeClosingCosts
+    }
+  });
+
+  const handleAnalyze = (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) return;
+
+    const { current, offer } = buildInputs();
+    setAnalysis(analyzeRefinance(current, offer));
+  };
+
+  const handleExportPDF = () => {
+    const { current, offer } = buildInputs();
+    const doc = generateRefinanceReport(analysis, current, offer);
+    savePDF(doc, `refinance-analysis-${new Date().toISOString().split('T')[0]}.pdf`);
+  };
+
+  return (
+    <div className="refinance" data-testid="refinance-analyzer">
+      <div className="refinance-form-section">
+        {validationError && (
+          <div className="refinance-alert">
+            {validationError}
+          </div>
+        )}
+
+        <h3 className="refinance-section-title">Current Loan</h3>
+        <div className="refinance-form-grid">
+          <div className="refinance-form-field">
+            <label htmlFor="originalAmount">Original Amount ($)</label>
+            <input
+              id="originalAmount"
+              value={formData.originalAmount}
+              onChange={(e) => handleInputChange('originalAmount', e.target.value)}
+              type="number"
+              placeholder="e.g. 300000"
+            />
+          </div>
+
+          <div className="refinance-form-field">
+            <label htmlFor="currentRate">Current Rate (%)</label>
+            <input
+              id="currentRate"
+              value={formData.currentRate}
+              onChange={(e) => handleInputChange('currentRate', e.target.value)}
+              type="number"
+              placeholder="e.g. 7"
+            />
+          </div>
+
+          <div className="refinance-form-field">
+            <label htmlFor="startDate">Loan Start Date</label>
+            <input
+              id="startDate"
+              value={formData.startDate}
+              onChange={(e) => handleInputChange('startDate', e.target.value)}
+              type="date"
+            />
+          </div>
+
+          <div className="refinance-form-field">
+            <label htmlFor="remainingYears">Remaining Term (years)</label>
+            <input
+              id="remainingYears"
+              value={formData.remainingYears}
+              onChange={(e) => handleInputChange('remainingYears', e.target.value)}
+              type="number"
+              placeholder="e.g. 25"
+            />
+          </div>
+        </div>
+
+        <h3 className="refinance-section-title">New Offer</h3>
+        <div className="refinance-form-grid">
+          <div className="refinance-form-field">
+            <label htmlFor="offerBank">Offer From</label>
+            <select
+              id="offerBank"
+              value={formData.offerBank}
+              onChange={(e) => handleOfferBankChange(e.target.value)}
+            >
+              <option value="">Custom offer</option>
+              {banks.map(({ id, BankName }) => (
+                <option key={id} value={BankName}>{BankName}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="refinance-form-field">
+            <label htmlFor="newRate">New Rate (%)</label>
+            <input
+              id="newRate"
+              value={formData.newRate}
+              onChange={(e) => handleInputChange('newRate', e.target.value)}
+              type="number"
+              placeholder="e.g. 5"
+            />
+          </div>
+
+          <div className="refinance-form-field">
+            <label htmlFor="newTerm">New Term (years)</label>
+            <input
+              id="newTerm"
+              value={formData.newTerm}
+              onChange={(e) => handleInputChange('newTerm', e.target.value)}
+              type="number"
+              placeholder="e.g. 30"
+            />
+          </div>
+
+          <div className="refinance-form-field">
+            <label htmlFor="closingCosts">Closing Costs ($)</label>
+            <input
+              id="closingCosts"
+              value={formData.closingCosts}
+              onChange={(e) => handleInputChange('closingCosts', e.target.value)}
+              type="number"
+              placeholder="e.g. 4000"
+            />
+          </div>
+        </div>
+
+        <label className="refinance-checkbox">
+          <input
+            type="checkbox"
+            checked={formData.financeClosingCosts}
+            onChange={(e) => handleInputChange('financeClosingCosts', e.target.checked)}
+          />
+          Roll closing costs into the new loan
+        </label>
+
+        <div className="refinance-buttons">
+          <button className="refinance-button" onClick={handleAnalyze}>
+            Analyze Refinance
+          </button>
+          {analysis && (
+            <button
+              className="refinance-icon-button"
+              onClick={handleExportPDF}
+              data-testid="export-refinance-pdf"
+              title="Export refinance analysis to PDF"
+            >
+              <PictureAsPdfIcon />
+            </button>
+          )}
+        </div>
+      </div>
+
+      {analysis && (
+        <div className="refinance-result-section" data-testid="refinance-result">
+          <div className="refinance-summary">
+            <div className="refinance-summary-item">
+              <span className="refinance-summary-label">Current payment</span>
+              <span className="refinance-summary-value">{formatMoney(analysis.currentPayment)}</span>
+            </div>
+            <div className="refinance-summary-item">
+              <span className="refinance-summary-label">New payment</span>
+              <span className="refinance-summary-value" data-testid="refinance-new-payment">
+                {formatMoney(analysis.newPayment)}
+              </span>
+            </div>
+            <div className="refinance-summary-item">
+              <span className="refinance-summary-label">Monthly savings</span>
+              <span className={`refinance-summary-value ${analysis.monthlySavings < 0 ? 'negative' : ''}`}>
+                {formatMoney(analysis.monthlySavings)}
+              </span>
+            </div>
+            <div className="refinance-summary-item">
+              <span className="refinance-summary-label">Break-even</span>
+              <span className="refinance-summary-value" data-testid="refinance-break-even">
+                {formatBreakEven(analysis.breakEvenMonth)}
+              </span>
+            </div>
+            <div className="refinance-summary-item">
+              <span className="refinance-summary-label">Lifetime interest difference</span>
+              <span className={`refinance-summary-value ${analysis.interestDifference < 0 ? 'negative' : ''}`}>
+                {formatMoney(analysis.interestDifference)}
+              </span>
+            </div>
+            <div className="refinance-summary-item">
+              <span className="refinance-summary-label">Savings after closing costs</span>
+              <span className={`refinance-summary-value ${analysis.lifetimeSavings < 0 ? 'negative' : ''}`}>
+                {formatMoney(analysis.lifetimeSavings)}
+              </span>
+            </div>
+          </div>
+
+          <p className="refinance-details">
+            Refinancing {formatMoney(analysis.currentBalance)} still owed after {analysis.elapsedMonths} payments
+            into a new loan of {formatMoney(analysis.newPrincipal)}.
+          </p>
+          {analysis.termResetMonths !== 0 && (
+            <p className="refinance-details" data-testid="refinance-term-reset">
+              {analysis.termResetMonths > 0
+                ? `Resetting the term adds ${analysis.termResetMonths} months of payments and ${formatMoney(analysis.termResetInterest)} of interest.`
+                : `The new term ends ${-analysis.termResetMonths} months sooner and saves ${formatMoney(-analysis.termResetInterest)} of interest.`}
+              {' '}Keeping the {analysis.remainingMonths} months left, the new rate would cost {formatMoney(analysis.sameTermPayment)} a month.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RefinanceAnalyzer;
@@ -0,0 +1,85 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import RefinanceAnalyzer from './index';
+
+const banks = [
+  { id: '1', BankName: 'Test Bank', MaximumLoan: 500000, MinimumDownPayment: 50000, LoanTerm: 25, InterestRate: 5 }
+];
+
+const fillCurrentLoan = () => {
+  fireEvent.change(screen.getByLabelText(/Original Amount/i), { target: { value: '300000' } });
+  fireEvent.change(screen.getByLabelText(/Current Rate/i), { target: { value: '7' } });
+  fireEvent.change(screen.getByLabelText(/Loan Start Date/i), { target: { value: '2020-01-01' } });
+  fireEvent.change(screen.getByLabelText(/Remaining Term/i), { target: { value: '25' } });
+};
+
+describe('RefinanceAnalyzer', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('requires the current loan details', () => {
+    render(<RefinanceAnalyzer banks={banks} />);
+
+    fireEvent.click(screen.getByRole('button', { name: /Analyze Refinance/i }));
+
+    expect(screen.getByText(/Enter the original amount, rate, start date and remaining term/i)).toBeInTheDocument();
+  });
+
+  it('fills the offer from a stored bank', () => {
+    render(<RefinanceAnalyzer banks={banks} />);
+
+    fireEvent.change(screen.getByLabelText(/Offer From/i), { target: { value: 'Test Bank' } });
+
+    expect(screen.getByLabelText(/New Rate/i).value).toBe('5');
+    expect(screen.getByLabelText(/New Term/i).value).toBe('25');
+  });
+
+  it('shows savings and the break-even month', () => {
+    render(<RefinanceAnalyzer banks={banks} />);
+
+    fillCurrentLoan();
+    fireEvent.change(screen.getByLabelText(/Offer From/i), { target: { value: 'Test Bank' } });
+    fireEvent.change(screen.getByLabelText(/Closing Costs \(\$\)/i), { target: { value: '4000' } });
+    fireEvent.click(screen.getByRole('button', { name: /Analyze Refinance/i }));
+
+    expect(screen.getByTestId('refinance-result')).toBeInTheDocument();
+    expect(screen.getByTestId('refinance-break-even')).toHaveTextContent(/Month \d+/);
+    expect(screen.getByTestId('export-refinance-pdf')).toBeInTheDocument();
+  });
+
+  it('breaks even immediately without closing costs', () => {
+    render(<RefinanceAnalyzer banks={banks} />);
+
+    fillCurrentLoan();
+    fireEvent.change(screen.getByLabelText(/Offer From/i), { target: { value: 'Test Bank' } });
+    fireEvent.click(screen.getByRole('button', { name: /Analyze Refinance/i }));
+
+    expect(screen.getByTestId('refinance-break-even')).toHaveTextContent('Immediately');
+  });
+
+  it('counts the payments made from the local start date', () => {
+    jest.useFakeTimers('modern');
+    jest.setSystemTime(new Date(2025, 0, 31));
+    render(<RefinanceAnalyzer banks={banks} />);
+
+    fillCurrentLoan();
+    fireEvent.change(screen.getByLabelText(/Loan Start Date/i), { target: { value: '2020-02-01' } });
+    fireEvent.change(screen.getByLabelText(/Offer From/i), { target: { value: 'Test Bank' } });
+    fireEvent.click(screen.getByRole('button', { name: /Analyze Refinance/i }));
+
+    expect(screen.getByTestId('refinance-result')).toHaveTextContent('still owed after 59 payments');
+  });
+
+  it('explains the cost of resetting the term', () => {
+    render(<RefinanceAnalyzer banks={banks} />);
+
+    fillCurrentLoan();
+    fireEvent.change(screen.getByLabelText(/New Rate/i), { target: { value: '5' } });
+    fireEvent.change(screen.getByLabelText(/New Term/i), { target: { value: '30' } });
+    fireEvent.click(screen.getByRole('button', { name: /Analyze Refinance/i }));
+
+    expect(screen.getByTestId('refinance-term-reset')).toHaveTextContent(/Resetting the term adds 60 months/);
+  });
+});
@@ -0,0 +1,61 @@
+import React from 'react';
+import numeral from 'numeral';
+import { REPAYMENT_SCHEMES } from '../../utils/mortgage-utils';
+import './style.css';
+
+const formatMoney = (value) => numeral(value).format('$0,0.00');
+
+const SCHEME_LABELS = {
+  [REPAYMENT_SCHEMES.ANNUITY]: 'Annuity',
+  [REPAYMENT_SCHEMES.DIFFERENTIATED]: 'Differentiated'
+};
+
+/**
+ * RepaymentSchemeComparison Component - Annuity versus differentiated payments
+ *
+ * Puts the first and last payment, total paid and total interest of both
+ * repayment schemes side by side.
+ *
+ * @component
+ * @category Components
+ */
+const RepaymentSchemeComparison = ({ rows, selected }) => {
+  if (!rows || rows.length === 0) return null;
+
+  const differentiated = rows.find(row => row.scheme === REPAYMENT_SCHEMES.DIFFERENTIATED);
+
+  return (
+    <div className="scheme-comparison" data-testid="repayment-scheme-comparison">
+      <h3 className="scheme-comparison-title">Annuity vs Differentiated Payments</h3>
+      <div className="scheme-comparison-grid">
+        {rows.map(row => (
+          <div
+            key={row.scheme}
+            className={`scheme-comparison-card ${row.scheme === selected ? 'selected' : ''}`}
+            data-testid={`scheme-${row.scheme}`}
+          >
+            <h4 className="scheme-comparison-name">{SCHEME_LABELS[row.scheme]}</h4>
+            <dl>
+              <dt>First payment</dt>
+              <dd>{formatMoney(row.firstPayment)}</dd>
+              <dt>Last payment</dt>
+              <dd>{formatMoney(row.lastPayment)}</dd>
+              <dt>Total paid</dt>
+              <dd>{formatMoney(row.totalPayment)}</dd>
+              <dt>Total interest</dt>
+              <dd>{formatMoney(row.totalInterest)}</dd>
+            </dl>
+          </div>
+        ))}
+      </div>
+      {differentiated && differentiated.interestSaved > 0 && (
+        <p className="scheme-comparison-note">
+          Differentiated payments save <strong>{formatMoney(differentiated.interestSaved)}</strong> of
+          interest but start {formatMoney(differentiated.firstPayment - rows[0].firstPayment)} higher.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default RepaymentSchemeComparison;
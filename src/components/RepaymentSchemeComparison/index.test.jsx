@@ -0,0 +1,25 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import RepaymentSchemeComparison from './index';
+
+const rows = [
+  { scheme: 'annuity', firstPayment: 1610.46, lastPayment: 1610.39, totalPayment: 579765.2, totalInterest: 279765.2, interestSaved: 0 },
+  { scheme: 'differentiated', firstPayment: 2083.33, lastPayment: 836.81, totalPayment: 525625, totalInterest: 225625, interestSaved: 54140.2 }
+];
+
+describe('RepaymentSchemeComparison', () => {
+  it('renders nothing without rows', () => {
+    render(<RepaymentSchemeComparison rows={[]} />);
+    expect(screen.queryByTestId('repayment-scheme-comparison')).not.toBeInTheDocument();
+  });
+
+  it('shows both schemes side by side', () => {
+    render(<RepaymentSchemeComparison rows={rows} selected="differentiated" />);
+
+    expect(screen.getByTestId('scheme-annuity')).toHaveTextContent('$279,765.20');
+    expect(screen.getByTestId('scheme-differentiated')).toHaveTextContent('$2,083.33');
+    expect(screen.getByTestId('scheme-differentiated')).toHaveClass('selected');
+    expect(screen.getByText(/save/i)).toHaveTextContent('$54,140.20');
+  });
+});
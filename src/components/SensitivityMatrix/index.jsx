@@ -0,0 +1,116 @@
+import React, { useMemo, useState } from 'react';
+import PictureAsPdfIcon from '@mui/icons-material/PictureAsPdf';
+import TableChartIcon from '@mui/icons-material/TableChart';
+import numeral from 'numeral';
+import { buildSensitivityMatrix, getBudgetStatus } from '../../utils/mortgage-utils';
+import { exportSensitivityToCSV } from '../../utils/file-utils';
+import { generateSensitivityReport, savePDF } from '../../utils/pdf-utils';
+import './style.css';
+
+const formatMoney = (value) => numeral(value).format('$0,0.00');
+
+const RATE_STEPS = ['0.125', '0.25', '0.5', '1'];
+
+/**
+ * SensitivityMatrix Component - Monthly payment across rates and terms
+ *
+ * Rows step through rates up to 2% either side of the entered rate, columns
+ * are the common loan terms; cells are colored against an optional budget.
+ * The grid can be exported to CSV or PDF.
+ *
+ * @component
+ * @category Components
+ */
+const SensitivityMatrix = ({ principal, annualRate }) => {
+  const [step, setStep] = useState('0.5');
+  const [budget, setBudget] = useState('');
+
+  const matrix = useMemo(
+    () => buildSensitivityMatrix(principal, annualRate, { step: parseFloat(step) }),
+    [principal, annualRate, step]
+  );
+  const budgetValue = parseFloat(budget) || 0;
+
+  if (!(principal > 0) || matrix.rows.length === 0) return null;
+
+  const handleExportCSV = () => {
+    exportSensitivityToCSV(matrix, `payment-sensitivity-${new Date().toISOString().split('T')[0]}.csv`);
+  };
+
+  const handleExportPDF = () => {
+    const doc = generateSensitivityReport(matrix, { principal, budget: budgetValue });
+    savePDF(doc, `payment-sensitivity-${new Date().toISOString().split('T')[0]}.pdf`);
+  };
+
+  return (
+    <div className="sensitivity" data-testid="sensitivity-matrix">
+      <h3 className="sensitivity-title">Rate &times; Term Sensitivity</h3>
+      <div className="sensitivity-controls">
+        <div className="sensitivity-field">
+          <label htmlFor="sensitivityStep">Rate Step (%)</label>
+          <select id="sensitivityStep" value={step} onChange={(e) => setStep(e.target.value)}>
+            {RATE_STEPS.map(value => (
+              <option key={value} value={value}>{value}</option>
+            ))}
+          </select>
+        </div>
+        <div className="sensitivity-field">
+          <label htmlFor="sensitivityBudget">Monthly Budget ($)</label>
+          <input
+            id="sensitivityBudget"
+            value={budget}
+            onChange={(e) => setBudget(e.target.value)}
+            type="number"
+            placeholder="Color cells against a budget"
+          />
+        </div>
+        <button
+          className="sensitivity-icon-button"
+          onClick={handleExportCSV}
+          data-testid="export-sensitivity-csv"
+          title="Export sensitivity grid to CSV"
+        >
+          <TableChartIcon />
+        </button>
+        <button
+          className="sensitivity-icon-button"
+          onClick={handleExportPDF}
+          data-testid="export-sensitivity-pdf"
+          title="Export sensitivity grid to PDF"
+        >
+          <PictureAsPdfIcon />
+        </button>
+      </div>
+      <div className="sensitivity-table-wrapper">
+        <table className="sensitivity-table">
+          <thead>
+            <tr>
+              <th>Rate</th>
+              {matrix.terms.map(years => (
+                <th key={years}>{years} years</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {matrix.rows.map(row => (
+              <tr key={row.rate} className={row.rate === annualRate ? 'current' : ''}>
+                <td>{numeral(row.rate).format('0.00[0]')}%</td>
+                {row.payments.map((payment, index) => (
+                  <td
+                    key={matrix.terms[index]}
+                    className={getBudgetStatus(payment, budgetValue) || ''}
+                    data-testid={`sensitivity-${row.rate}-${matrix.terms[index]}`}
+                  >
+                    {formatMoney(payment)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default SensitivityMatrix;
@@ -0,0 +1,56 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import SensitivityMatrix from './index';
+import { exportSensitivityToCSV } from '../../utils/file-utils';
+import { generateSensitivityReport, savePDF } from '../../utils/pdf-utils';
+
+jest.mock('../../utils/file-utils', () => ({
+  exportSensitivityToCSV: jest.fn()
+}));
+
+jest.mock('../../utils/pdf-utils', () => ({
+  generateSensitivityReport: jest.fn(() => ({})),
+  savePDF: jest.fn()
+}));
+
+describe('SensitivityMatrix', () => {
+  it('renders nothing without a loan', () => {
+    render(<SensitivityMatrix principal={0} annualRate={5} />);
+    expect(screen.queryByTestId('sensitivity-matrix')).not.toBeInTheDocument();
+  });
+
+  it('shows a payment for every rate and term', () => {
+    render(<SensitivityMatrix principal={300000} annualRate={5} />);
+
+    expect(screen.getAllByRole('row')).toHaveLength(10);
+    expect(screen.getByTestId('sensitivity-5-30')).toHaveTextContent('$1,610.46');
+
+    fireEvent.change(screen.getByLabelText(/Rate Step/i), { target: { value: '1' } });
+    expect(screen.getAllByRole('row')).toHaveLength(6);
+  });
+
+  it('colors cells against the budget', () => {
+    render(<SensitivityMatrix principal={300000} annualRate={5} />);
+
+    fireEvent.change(screen.getByLabelText(/Monthly Budget/i), { target: { value: '1700' } });
+
+    expect(screen.getByTestId('sensitivity-5-30')).toHaveClass('within');
+    expect(screen.getByTestId('sensitivity-6-30')).toHaveClass('near');
+    expect(screen.getByTestId('sensitivity-5-15')).toHaveClass('over');
+  });
+
+  it('exports the grid to CSV and PDF', () => {
+    render(<SensitivityMatrix principal={300000} annualRate={5} />);
+
+    fireEvent.click(screen.getByTestId('export-sensitivity-csv'));
+    expect(exportSensitivityToCSV).toHaveBeenCalledWith(
+      expect.objectContaining({ terms: [10, 15, 20, 25, 30] }),
+      expect.stringContaining('payment-sensitivity-')
+    );
+
+    fireEvent.click(screen.getByTestId('export-sensitivity-pdf'));
+    expect(generateSensitivityReport).toHaveBeenCalledWith(expect.any(Object), { principal: 300000, budget: 0 });
+    expect(savePDF).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,58 @@
+import React from 'react';
+import numeral from 'numeral';
+import './style.css';
+
+const formatMoney = (value) => numeral(value).format('$0,0.00');
+const formatPercent = (value) => `${numeral(value).format('0.00[0]')}%`;
+
+/**
+ * StressTestResult Component - Payment at the stressed qualifying rate
+ *
+ * Compares the payment at the contract rate with the payment at the
+ * stressed rate and reports whether it stays within the allowed share
+ * of the borrower's gross monthly income.
+ *
+ * @component
+ * @category Components
+ */
+const StressTestResult = ({ result }) => {
+  if (!result) return null;
+
+  return (
+    <div className="stress-test" data-testid="stress-test">
+      <h3 className="stress-test-title">
+        Stress Test
+        <span className={`stress-test-status ${result.passes ? 'pass' : 'fail'}`} data-testid="stress-test-status">
+          {result.passes ? 'Pass' : 'Fail'}
+        </span>
+      </h3>
+      <table className="stress-test-table">
+        <thead>
+          <tr>
+            <th />
+            <th>Rate</th>
+            <th>Monthly Payment</th>
+          </tr>
+        </thead>
+        <tbody>
+          <tr>
+            <td>Contract rate</td>
+            <td>{formatPercent(result.rate)}</td>
+            <td>{formatMoney(result.payment)}</td>
+          </tr>
+          <tr data-testid="stress-test-stressed">
+            <td>Stressed rate</td>
+            <td>{formatPercent(result.stressRate)}</td>
+            <td>{formatMoney(result.stressedPayment)}</td>
+          </tr>
+        </tbody>
+      </table>
+      <p className="stress-test-share" data-testid="stress-test-share">
+        The stressed payment takes <strong>{formatPercent(result.incomeShare)}</strong> of gross monthly income,{' '}
+        {result.passes ? 'within' : 'above'} the {formatPercent(result.maxIncomeShare)} limit.
+      </p>
+    </div>
+  );
+};
+
+export default StressTestResult;
@@ -0,0 +1,31 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import StressTestResult from './index';
+import { runStressTest } from '../../utils/mortgage-utils';
+
+describe('StressTestResult', () => {
+  const test = { shock: 2, floorRate: 5.25, grossAnnualIncome: 72000, maxIncomeShare: 39 };
+
+  it('renders nothing without a result', () => {
+    render(<StressTestResult result={null} />);
+    expect(screen.queryByTestId('stress-test')).not.toBeInTheDocument();
+  });
+
+  it('shows the stressed payment and a pass within the income limit', () => {
+    render(<StressTestResult result={runStressTest(300000, 5, 30, test)} />);
+
+    expect(screen.getByTestId('stress-test-status')).toHaveTextContent('Pass');
+    expect(screen.getByTestId('stress-test-stressed')).toHaveTextContent('7.00%');
+    expect(screen.getByTestId('stress-test-stressed')).toHaveTextContent('$1,995.91');
+    expect(screen.getByTestId('stress-test-share')).toHaveTextContent('33.27% of gross monthly income, within the 39.00% limit');
+  });
+
+  it('reports a fail above the income limit', () => {
+    render(<StressTestResult result={runStressTest(300000, 5, 30, { ...test, grossAnnualIncome: 60000 })} />);
+
+    expect(screen.getByTestId('stress-test-status')).toHaveTextContent('Fail');
+    expect(screen.getByTestId('stress-test-status')).toHaveClass('fail');
+    expect(screen.getByTestId('stress-test-share')).toHaveTextContent('above the 39.00% limit');
+  });
+});
@@ -0,0 +1,5 @@
+// Run the tests in a time zone with daylight saving time so date
+// arithmetic that breaks across the clock change shows up
+module.exports = async () => {
+  process.env.TZ = 'America/New_York';
+};
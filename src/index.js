@@ -3,7 +3,8 @@ import '@fontsource/roboto'
 import './index.css'
 import { BrowserRouter as Router } from 'react-router-dom'
 import { Provider } from 'react-redux'
-import store from './redux/store'
+import { PersistGate } from 'redux-persist/integration/react'
+import store, { persistor } from './redux/store'
 import { createRoot } from 'react-dom/client';
 import { LocaleProvider } from './locales'
 import App from './App'
@@ -16,9 +17,11 @@ root.render(
   <React.StrictMode>
     <LocaleProvider>
       <Provider store={store}>
-        <Router>
-          <App />
-        </Router>
+        <PersistGate loading={null} persistor={persistor}>
+          <Router>
+            <App />
+          </Router>
+        </PersistGate>
       </Provider>
     </LocaleProvider>
   </React.StrictMode>,
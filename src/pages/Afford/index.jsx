@@ -0,0 +1,307 @@
+import React, { useState, useEffect } from 'react';
+import {
+  FormControl,
+  InputLabel,
+  MenuItem,
+  Select
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { isEmpty } from 'lodash';
+
+import { banksOperations, banksSelectors } from '../../redux/banks';
+import { useSelector, useDispatch } from 'react-redux';
+import numeral from 'numeral';
+import { calculateAffordability, AFFORDABILITY_LIMITS } from '../../utils/mortgage-utils';
+import './style.css';
+
+const EMPTY_FORM_DATA = {
+  grossAnnualIncome: '',
+  monthlyDebts: '',
+  frontEndRatio: '28',
+  backEndRatio: '36',
+  cash: ''
+};
+
+const LIMIT_LABELS = {
+  [AFFORDABILITY_LIMITS.FRONT_END]: 'Front-end DTI',
+  [AFFORDABILITY_LIMITS.BACK_END]: 'Back-end DTI',
+  [AFFORDABILITY_LIMITS.MAXIMUM_LOAN]: 'Bank maximum loan',
+  [AFFORDABILITY_LIMITS.DOWN_PAYMENT]: 'Minimum down payment'
+};
+
+const formatMoney = (value) => numeral(value).format('$0,0.00');
+
+// Short reason a bank cannot finance any home for the borrower
+const getInfeasibleReason = ({ bank, limitedBy }) => (
+  limitedBy === AFFORDABILITY_LIMITS.DOWN_PAYMENT
+    ? `Needs ${formatMoney(bank.MinimumDownPayment)} down`
+    : `No payment room under the ${LIMIT_LABELS[limitedBy]}`
+);
+
+function Afford() {
+  const banks = useSelector(banksSelectors.getAllBanks);
+  const isLoading = useSelector(banksSelectors.getLoading);
+  const error = useSelector(banksSelectors.getError);
+  const dispatch = useDispatch();
+
+  const [formData, setFormData] = useState(EMPTY_FORM_DATA);
+  const [bankValue, setBankValue] = useState('');
+  const [results, setResults] = useState([]);
+  const [validationError, setValidationError] = useState('');
+
+  useEffect(() => {
+    dispatch(banksOperations.fetchBanks());
+  }, [dispatch]);
+
+  const handleInputChange = (field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      [field]: value
+    }));
+    setValidationError('');
+  };
+
+  const validateForm = () => {
+    const { grossAnnualIncome, monthlyDebts, frontEndRatio, backEndRatio, cash } = formData;
+
+    if (isEmpty(grossAnnualIncome) || isEmpty(frontEndRatio) || isEmpty(backEndRatio) || isEmpty(cash)) {
+      setValidationError('Income, DTI ratios and available cash are required');
+      return false;
+    }
+
+    if (!(parseFloat(grossAnnualIncome) > 0)) {
+      setValidationError('Gross income must be greater than 0');
+      return false;
+    }
+
+    if ([frontEndRatio, backEndRatio].some(value => !(parseFloat(value) > 0 && parseFloat(value) <= 100))) {
+      setValidationError('DTI ratios must be between 0 and 100%');
+      return false;
+    }
+
+    if ([monthlyDebts, cash].some(value => !isEmpty(value) && !(parseFloat(value) >= 0))) {
+      setValidationError('Debts and available cash cannot be negative');
+      return false;
+    }
+
+    return true;
+  };
+
+  const handleCalculate = (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) return;
+
+    const borrower = {
+      grossAnnualIncome: parseFloat(formData.grossAnnualIncome),
+      monthlyDebts: parseFloat(formData.monthlyDebts) || 0,
+      frontEndRatio: parseFloat(formData.frontEndRatio),
+      backEndRatio: parseFloat(formData.backEndRatio),
+      cash: parseFloat(formData.cash)
+    };
+
+    setResults(banks.map(bank => ({ bank, ...calculateAffordability(borrower, bank) })));
+  };
+
+  const handleReset = () => {
+    setFormData(EMPTY_FORM_DATA);
+    setBankValue('');
+    setResults([]);
+    setValidationError('');
+  };
+
+  const selected = results.find(result => result.bank.BankName === bankValue);
+
+  if (isLoading) {
+    return (
+      <div className="afford-container">
+        <div className="afford-content">
+          <p className="afford-status">Loading banks...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="afford-container">
+        <div className="afford-content">
+          <div className="afford-alert error">
+            Failed to load banks: {error}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="afford-container">
+      <div className="afford-content">
+        <div className="afford-header">
+          <h1 className="afford-title">How Much House Can I Afford?</h1>
+        </div>
+
+        <div className="afford-form-section">
+          <div className="afford-bank-select">
+            <FormControl fullWidth>
+              <InputLabel id="affordSelectBank">Bank name</InputLabel>
+              <Select
+                labelId="affordSelectBank"
+                value={bankValue}
+                label="Bank name"
+                onChange={(e) => setBankValue(e.target.value)}
+              >
+                {banks.map(({ id, BankName }) => (
+                  <MenuItem key={id} value={BankName}>{BankName}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </div>
+
+          {validationError && (
+            <div className="afford-alert error">
+              {validationError}
+            </div>
+          )}
+
+          <div className="afford-form-grid">
+            <div className="afford-form-field">
+              <label htmlFor="grossAnnualIncome">Gross Annual Income ($)</label>
+              <input
+                id="grossAnnualIncome"
+                value={formData.grossAnnualIncome}
+                onChange={(e) => handleInputChange('grossAnnualIncome', e.target.value)}
+                type="number"
+                placeholder="e.g. 120000"
+              />
+            </div>
+
+            <div className="afford-form-field">
+              <label htmlFor="monthlyDebts">Existing Monthly Debts ($)</label>
+              <input
+                id="monthlyDebts"
+                value={formData.monthlyDebts}
+                onChange={(e) => handleInputChange('monthlyDebts', e.target.value)}
+                type="number"
+                placeholder="Car, student loans, cards"
+              />
+            </div>
+
+            <div className="afford-form-field">
+              <label htmlFor="frontEndRatio">Front-end DTI (%)</label>
+              <input
+                id="frontEndRatio"
+                value={formData.frontEndRatio}
+                onChange={(e) => handleInputChange('frontEndRatio', e.target.value)}
+                type="number"
+                placeholder="Housing payment share of income"
+              />
+            </div>
+
+            <div className="afford-form-field">
+              <label htmlFor="backEndRatio">Back-end DTI (%)</label>
+              <input
+                id="backEndRatio"
+                value={formData.backEndRatio}
+                onChange={(e) => handleInputChange('backEndRatio', e.target.value)}
+                type="number"
+                placeholder="All debt payments share of income"
+              />
+            </div>
+
+            <div className="afford-form-field">
+              <label htmlFor="cash">Available Cash ($)</label>
+              <input
+                id="cash"
+                value={formData.cash}
+                onChange={(e) => handleInputChange('cash', e.target.value)}
+                type="number"
+                placeholder="Used as the down payment"
+              />
+            </div>
+          </div>
+
+          <div className="afford-buttons">
+            <button
+              className="afford-button"
+              onClick={handleCalculate}
+            >
+              Calculate
+            </button>
+            <button
+              className="afford-icon-button"
+              onClick={handleReset}
+              data-testid="afford-reset"
+              title="Clear form"
+            >
+              <DeleteIcon />
+            </button>
+          </div>
+        </div>
+
+        {selected && (
+          <div className="afford-result-section" data-testid="afford-selected">
+            <h2 className="afford-result-title">Maximum Home Price with {selected.bank.BankName}</h2>
+            <div className="afford-result-amount" data-testid="max-home-price">
+              {selected.feasible ? formatMoney(selected.maxPrice) : 'Not affordable'}
+            </div>
+            {selected.feasible ? (
+              <p className="afford-result-details">
+                Loan up to {formatMoney(selected.maxLoan)} with {formatMoney(selected.downPayment)} down,
+                paying {formatMoney(selected.maxPayment)} a month. Limited by {LIMIT_LABELS[selected.limitedBy]}.
+              </p>
+            ) : (
+              <p className="afford-result-details" data-testid="afford-infeasible">
+                {selected.limitedBy === AFFORDABILITY_LIMITS.DOWN_PAYMENT
+                  ? `${selected.bank.BankName} requires at least ${formatMoney(selected.bank.MinimumDownPayment)} down.`
+                  : `Your income and debts leave no room for a mortgage payment under the ${LIMIT_LABELS[selected.limitedBy]}.`}
+              </p>
+            )}
+          </div>
+        )}
+
+        {results.length > 0 && (
+          <div className="afford-result-section">
+            <h2 className="afford-result-title">Maximum Purchase Price by Bank</h2>
+            <div className="afford-table-wrapper">
+              <table className="afford-table" data-testid="affordability-table">
+                <thead>
+                  <tr>
+                    <th>Bank</th>
+                    <th>Rate</th>
+                    <th>Term</th>
+                    <th>Monthly Payment</th>
+                    <th>Max Loan</th>
+                    <th>Max Price</th>
+                    <th>Limited By</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {results.map(result => (
+                    <tr
+                      key={result.bank.id}
+                      className={result.bank.BankName === bankValue ? 'selected' : ''}
+                      data-testid={`afford-row-${result.bank.id}`}
+                    >
+                      <td>{result.bank.BankName}</td>
+                      <td>{result.bank.InterestRate}%</td>
+                      <td>{result.bank.LoanTerm} years</td>
+                      <td>{formatMoney(result.maxPayment)}</td>
+                      <td>{result.feasible ? formatMoney(result.maxLoan) : '—'}</td>
+                      <td>{result.feasible ? formatMoney(result.maxPrice) : '—'}</td>
+                      <td className={result.feasible ? '' : 'infeasible'}>
+                        {result.feasible ? LIMIT_LABELS[result.limitedBy] : getInfeasibleReason(result)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Afford;
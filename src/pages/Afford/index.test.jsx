@@ -0,0 +1,96 @@
+import React from 'react';
+import { render, fireEvent, screen } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import { Provider } from 'react-redux';
+import configureMockStore from 'redux-mock-store';
+import Afford from './index';
+
+// Mock the Redux operations
+jest.mock('../../redux/banks/banks-operations', () => ({
+  fetchBanks: jest.fn(() => ({ type: 'banks/fetchBanks/pending' }))
+}));
+
+const mockStore = configureMockStore([]);
+
+const initialState = {
+  banks: {
+    items: [
+      { id: '1', BankName: 'Test Bank', MaximumLoan: 300000, MinimumDownPayment: 20000, LoanTerm: 30, InterestRate: 6 },
+      { id: '2', BankName: 'Strict Bank', MaximumLoan: 800000, MinimumDownPayment: 100000, LoanTerm: 20, InterestRate: 5 }
+    ],
+    loading: false,
+    error: null
+  }
+};
+
+const renderWithProviders = (ui, { reduxState } = {}) => {
+  const store = mockStore(reduxState || initialState);
+  return render(<Provider store={store}>{ui}</Provider>);
+};
+
+const fillForm = () => {
+  fireEvent.change(screen.getByLabelText(/Gross Annual Income/i), { target: { value: '120000' } });
+  fireEvent.change(screen.getByLabelText(/Existing Monthly Debts/i), { target: { value: '500' } });
+  fireEvent.change(screen.getByLabelText(/Available Cash/i), { target: { value: '60000' } });
+};
+
+describe('Afford Page', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('renders the form with default DTI ratios', () => {
+    renderWithProviders(<Afford />);
+
+    expect(screen.getByText(/How Much House Can I Afford/i)).toBeInTheDocument();
+    expect(screen.getByLabelText(/Front-end DTI/i).value).toBe('28');
+    expect(screen.getByLabelText(/Back-end DTI/i).value).toBe('36');
+  });
+
+  it('shows validation error without income', () => {
+    renderWithProviders(<Afford />);
+
+    fireEvent.click(screen.getByRole('button', { name: /Calculate/i }));
+
+    expect(screen.getByText(/Income, DTI ratios and available cash are required/i)).toBeInTheDocument();
+  });
+
+  it('shows the maximum price for every bank', () => {
+    renderWithProviders(<Afford />);
+
+    fillForm();
+    fireEvent.click(screen.getByRole('button', { name: /Calculate/i }));
+
+    expect(screen.getByTestId('afford-row-1')).toHaveTextContent('$360,000.00');
+    expect(screen.getByTestId('afford-row-1')).toHaveTextContent('Bank maximum loan');
+    expect(screen.getByTestId('afford-row-2')).toHaveTextContent('Needs $100,000.00 down');
+  });
+
+  it('highlights the selected bank', () => {
+    renderWithProviders(<Afford />);
+
+    fireEvent.mouseDown(screen.getByLabelText(/Bank name/i));
+    fireEvent.click(screen.getByText(/Test Bank/i));
+    fillForm();
+    fireEvent.click(screen.getByRole('button', { name: /Calculate/i }));
+
+    expect(screen.getByTestId('max-home-price').textContent).toBe('$360,000.00');
+  });
+
+  it('blames the debts when there is enough cash but no payment room', () => {
+    renderWithProviders(<Afford />);
+
+    fireEvent.mouseDown(screen.getByLabelText(/Bank name/i));
+    fireEvent.click(screen.getByText(/Test Bank/i));
+    fireEvent.change(screen.getByLabelText(/Gross Annual Income/i), { target: { value: '60000' } });
+    fireEvent.change(screen.getByLabelText(/Existing Monthly Debts/i), { target: { value: '2000' } });
+    fireEvent.change(screen.getByLabelText(/Available Cash/i), { target: { value: '150000' } });
+    fireEvent.click(screen.getByRole('button', { name: /Calculate/i }));
+
+    expect(screen.getByTestId('max-home-price').textContent).toBe('Not affordable');
+    expect(screen.getByTestId('afford-infeasible')).toHaveTextContent('leave no room for a mortgage payment under the Back-end DTI');
+    expect(screen.getByTestId('afford-infeasible')).not.toHaveTextContent(/requires at least/);
+    expect(screen.getByTestId('afford-row-1')).toHaveTextContent('No payment room under the Back-end DTI');
+    expect(screen.getByTestId('afford-row-2')).not.toHaveTextContent(/Needs/);
+  });
+});
@@ -3,9 +3,12 @@ import { useEffect } from 'react';
 import { useSelector, useDispatch } from 'react-redux';
 import { useIntl } from 'react-intl';
 import { banksOperations, banksSelectors } from '../../redux/banks';
+import { scenariosSelectors } from '../../redux/scenarios';
 import AddBankModal from '../Modal';
 import BankDetailsModal from '../../components/BankDetailsModal';
+import BankStressTest from '../../components/BankStressTest';
 import BanksStatistics from '../../components/BanksStatistics';
+import BestOfferRanking from '../../components/BestOfferRanking';
 import FileManager from '../../components/FileManager';
 import './style.css';
 
@@ -22,8 +25,12 @@ function Banks() {
   const banks = useSelector(banksSelectors.getAllBanks);
   const isLoading = useSelector(banksSelectors.getLoading);
   const error = useSelector(banksSelectors.getError);
+  const scenarios = useSelector(scenariosSelectors.getAllScenarios);
   const dispatch = useDispatch();
 
+  // The stress test column uses the latest scenario saved on the calculator
+  const latestScenario = scenarios[scenarios.length - 1];
+
   const [showModal, setShowModal] = React.useState(false);
   const [selectedBank, setSelectedBank] = React.useState(null);
   const [showDetailsModal, setShowDetailsModal] = React.useState(false);
@@ -143,6 +150,10 @@ function Banks() {
           <BanksStatistics />
         </div>
 
+        {banks.length > 0 && (
+          <BestOfferRanking banks={banks} scenarios={scenarios} />
+        )}
+
         {showModal && (
           <AddBankModal onCloseModal={handleCloseModal} />
         )}
@@ -196,6 +207,9 @@ function Banks() {
                   <th>
                     {intl.formatMessage({ id: 'banks.tableHeaders.loanTerm' })}
                   </th>
+                  <th>
+                    {intl.formatMessage({ id: 'banks.tableHeaders.stressTest' })}
+                  </th>
                   <th>
                     {intl.formatMessage({ id: 'banks.tableHeaders.actions' })}
                   </th>
@@ -213,6 +227,9 @@ function Banks() {
                     <td>${MaximumLoan.toLocaleString()}</td>
                     <td>${MinimumDownPayment.toLocaleString()}</td>
                     <td>{LoanTerm} years</td>
+                    <td>
+                      <BankStressTest bank={{ id, InterestRate, LoanTerm }} scenario={latestScenario} />
+                    </td>
                     <td>
                       <button 
                         className="banks-delete-button"
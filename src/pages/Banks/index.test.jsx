@@ -37,6 +37,9 @@ const initialState = {
     items: mockBanks,
     loading: false,
     error: null
+  },
+  scenarios: {
+    items: []
   }
 };
 
@@ -60,7 +63,8 @@ describe('Banks Component', () => {
       banks: {
         ...initialState.banks,
         loading: true
-      }
+      },
+      scenarios: initialState.scenarios
     };
     
     renderWithProviders(<Banks />, { reduxState: loadingState });
@@ -72,7 +76,8 @@ describe('Banks Component', () => {
       banks: {
         ...initialState.banks,
         error: 'Failed to fetch banks'
-      }
+      },
+      scenarios: initialState.scenarios
     };
     
     renderWithProviders(<Banks />, { reduxState: errorState });
@@ -85,7 +90,8 @@ describe('Banks Component', () => {
         items: [],
         loading: false,
         error: null
-      }
+      },
+      scenarios: initialState.scenarios
     };
     
     renderWithProviders(<Banks />, { reduxState: emptyState });
@@ -100,6 +106,7 @@ describe('Banks Component', () => {
     expect(screen.getByText('Maximum Loan ($)')).toBeInTheDocument();
     expect(screen.getByText('Minimum Down Payment ($)')).toBeInTheDocument();
     expect(screen.getByText('Loan Term (years)')).toBeInTheDocument();
+    expect(screen.getByText('Stress Test')).toBeInTheDocument();
     expect(screen.getByText('Actions')).toBeInTheDocument();
   });
 
@@ -62,6 +62,9 @@ const initialState = {
     items: mockBanks,
     loading: false,
     error: null
+  },
+  scenarios: {
+    items: []
   }
 };
 
@@ -127,7 +130,8 @@ describe('Banks Page Integration Tests', () => {
           items: [],
           loading: false,
           error: null
-        }
+        },
+        scenarios: initialState.scenarios
       };
 
       renderWithProviders(<Banks />, { reduxState: emptyState });
@@ -140,7 +144,8 @@ describe('Banks Page Integration Tests', () => {
           items: [],
           loading: true,
           error: null
-        }
+        },
+        scenarios: initialState.scenarios
       };
 
       renderWithProviders(<Banks />, { reduxState: loadingState });
@@ -153,7 +158,8 @@ describe('Banks Page Integration Tests', () => {
           items: [],
           loading: false,
           error: 'Failed to fetch banks'
-        }
+        },
+        scenarios: initialState.scenarios
       };
 
       renderWithProviders(<Banks />, { reduxState: errorState });
@@ -321,7 +327,8 @@ describe('Banks Page Integration Tests', () => {
           items: [],
           loading: false,
           error: null
-        }
+        },
+        scenarios: initialState.scenarios
       };
 
       renderWithProviders(<Banks />, { reduxState: emptyState });
@@ -338,7 +345,8 @@ describe('Banks Page Integration Tests', () => {
           items: [],
           loading: false,
           error: null
-        }
+        },
+        scenarios: initialState.scenarios
       };
 
       renderWithProviders(<Banks />, { reduxState: emptyState });
@@ -7,26 +7,258 @@ import {
 } from '@mui/material';
 import DeleteIcon from '@mui/icons-material/Delete';
 import PictureAsPdfIcon from '@mui/icons-material/PictureAsPdf';
-import { isEmpty, isNumber, round } from 'lodash';
+import TableChartIcon from '@mui/icons-material/TableChart';
+import LinkIcon from '@mui/icons-material/Link';
+import BookmarkAddIcon from '@mui/icons-material/BookmarkAdd';
+import EventIcon from '@mui/icons-material/Event';
+import { useSearchParams } from 'react-router-dom';
+import { isEmpty, isNumber, pick, round } from 'lodash';
 
 import { banksOperations, banksSelectors } from '../../redux/banks';
+import { scenariosActions } from '../../redux/scenarios';
 import { useSelector, useDispatch } from 'react-redux';
 import numeral from 'numeral';
-import { generateMortgageReport, savePDF } from '../../utils/pdf-utils';
+import { generateMortgageReport, generateLoanAnalysis, savePDF } from '../../utils/pdf-utils';
+import {
+  calculatePeriodicPayment,
+  generateAmortizationSchedule,
+  comparePrepaymentSchedules,
+  compareFrequencies,
+  compareRepaymentSchemes,
+  analyzeLoanStructure,
+  calculateFinanceCharges,
+  calculateApr,
+  calculatePointsBreakEven,
+  DISCOUNT_POINT_RATE_REDUCTION,
+  calculateBuydown,
+  BUYDOWN_TYPES,
+  buildArmRatePath,
+  buildWorstCaseRatePath,
+  getPaymentPath,
+  summarizeSchedule,
+  calculateLoanToValue,
+  checkBankLimits,
+  checkBankEligibility,
+  calculateEffectiveAnnualRate,
+  runStressTest,
+  STRESS_TEST_DEFAULTS,
+  calculateHousingCost,
+  calculatePmi,
+  solveMortgage,
+  SOLVE_TARGETS,
+  DOWN_PAYMENT_TYPES,
+  PROPERTY_TAX_TYPES,
+  PAYMENT_FREQUENCIES,
+  PREPAYMENT_STRATEGIES,
+  REPAYMENT_SCHEMES,
+  COMPOUNDING_FREQUENCIES,
+  DAY_COUNT_BASES
+} from '../../utils/mortgage-utils';
+import { formatDate } from '../../locales';
+import { buildCalcQuery, parseCalcQuery } from '../../utils/share-utils';
+import { addMoney, subtractMoney, ROUNDING_MODES, ROUNDING_MODE_LABELS } from '../../utils/money-utils';
+import { exportScheduleToICS } from '../../utils/file-utils';
+import FrequencyComparison from '../../components/FrequencyComparison';
+import RepaymentSchemeComparison from '../../components/RepaymentSchemeComparison';
+import LoanStructureSummary from '../../components/LoanStructureSummary';
+import BuydownLadder from '../../components/BuydownLadder';
+import StressTestResult from '../../components/StressTestResult';
+import SensitivityMatrix from '../../components/SensitivityMatrix';
+import LoanCharts from '../../components/LoanCharts';
+import { renderChartImages } from '../../components/LoanCharts/render-images';
+import ArmPaymentPath from '../../components/ArmPaymentPath';
+import HousingCostBreakdown from '../../components/HousingCostBreakdown';
+import AmortizationSchedule from '../../components/AmortizationSchedule';
+import RefinanceAnalyzer from '../../components/RefinanceAnalyzer';
 import './style.css';
 
-const calculateMonthlyPayment = (principal, annualRate, years) => {
-  if (!isNumber(principal) || !isNumber(annualRate) || !isNumber(years)) return 0;
-  
-  const monthlyRate = annualRate / 100 / 12;
-  const numberOfPayments = years * 12;
-  
-  if (monthlyRate === 0) return principal / numberOfPayments;
-  
-  const payment = (principal * monthlyRate * Math.pow(1 + monthlyRate, numberOfPayments)) / 
-         (Math.pow(1 + monthlyRate, numberOfPayments) - 1);
-  
-  return round(payment, 2);
+const CALC_MODES = {
+  PURCHASE: 'purchase',
+  REFINANCE: 'refinance'
+};
+
+const EMPTY_FORM_DATA = {
+  homePrice: '',
+  downPayment: '',
+  downPaymentType: DOWN_PAYMENT_TYPES.AMOUNT,
+  loanTerm: '',
+  loanApr: ''
+};
+
+// Form fields that can be solved from a target monthly payment
+const SOLVABLE_FIELDS = {
+  homePrice: {
+    target: SOLVE_TARGETS.PRINCIPAL,
+    label: 'property price',
+    decimals: 2,
+    format: value => numeral(value).format('$0,0.00')
+  },
+  loanTerm: {
+    target: SOLVE_TARGETS.TERM,
+    label: 'loan term',
+    decimals: 2,
+    format: value => `${value} years`
+  },
+  loanApr: {
+    target: SOLVE_TARGETS.RATE,
+    label: 'rate',
+    decimals: 3,
+    format: value => `${value}%`
+  }
+};
+
+const DEFAULT_ADVANCED_OPTIONS = {
+  frequency: 'monthly',
+  repaymentScheme: REPAYMENT_SCHEMES.ANNUITY,
+  compounding: '',
+  dayCount: DAY_COUNT_BASES.THIRTY_360,
+  rounding: ROUNDING_MODES.HALF_UP,
+  startDate: '',
+  firstPaymentDate: '',
+  adjustBusinessDays: false,
+  propertyTax: '',
+  propertyTaxType: PROPERTY_TAX_TYPES.PERCENT,
+  homeInsurance: '',
+  hoaFees: '',
+  pmiRate: '0.5',
+  interestOnlyMonths: '',
+  balloonYears: '',
+  originationFee: '',
+  discountPoints: '',
+  otherCharges: '',
+  pointRateReduction: DISCOUNT_POINT_RATE_REDUCTION.toString(),
+  buydownType: '',
+  extraMonthly: '',
+  annualExtra: '',
+  lumpSum: '',
+  lumpSumMonth: '',
+  prepaymentStrategy: PREPAYMENT_STRATEGIES.SHORTEN_TERM,
+  armEnabled: false,
+  armFixedYears: '',
+  armIndex: '',
+  armMargin: '',
+  armPeriodicCap: '',
+  armLifetimeCap: '',
+  armFloor: '',
+  armAdjustmentMonths: '12',
+  armIndexPath: '',
+  grossAnnualIncome: '',
+  stressShock: STRESS_TEST_DEFAULTS.SHOCK.toString(),
+  stressFloorRate: STRESS_TEST_DEFAULTS.FLOOR_RATE.toString(),
+  stressMaxIncomeShare: STRESS_TEST_DEFAULTS.MAX_INCOME_SHARE.toString()
+};
+
+const REPAYMENT_SCHEME_LABELS = {
+  [REPAYMENT_SCHEMES.ANNUITY]: 'Annuity (equal payments)',
+  [REPAYMENT_SCHEMES.DIFFERENTIATED]: 'Differentiated (declining payments)'
+};
+
+const parseRateList = (value) => value
+  .split(',')
+  .map(item => item.trim())
+  .filter(item => item !== '')
+  .map(parseFloat);
+
+// Convert the ARM form fields into ARM terms, empty caps mean "no cap"
+const buildArmTerms = (advancedOptions) => {
+  const {
+    armFixedYears, armIndex, armMargin, armPeriodicCap,
+    armLifetimeCap, armFloor, armAdjustmentMonths, armIndexPath
+  } = advancedOptions;
+  const indexPath = parseRateList(armIndexPath);
+
+  return {
+    fixedYears: parseFloat(armFixedYears),
+    margin: parseFloat(armMargin),
+    periodicCap: isEmpty(armPeriodicCap) ? Infinity : parseFloat(armPeriodicCap),
+    lifetimeCap: isEmpty(armLifetimeCap) ? Infinity : parseFloat(armLifetimeCap),
+    floor: isEmpty(armFloor) ? 0 : parseFloat(armFloor),
+    adjustmentMonths: parseInt(armAdjustmentMonths, 10),
+    indexPath: indexPath.length > 0 ? indexPath : [parseFloat(armIndex)]
+  };
+};
+
+// Convert the advanced form fields into schedule options
+const buildHousingCosts = ({ propertyTax, propertyTaxType, homeInsurance, hoaFees }) => ({
+  propertyTax: parseFloat(propertyTax) || 0,
+  propertyTaxType,
+  homeInsurance: parseFloat(homeInsurance) || 0,
+  hoaFees: parseFloat(hoaFees) || 0
+});
+
+// Fees and points differ between offers, so they are kept per bank
+const OFFER_FEE_FIELDS = ['originationFee', 'discountPoints', 'otherCharges', 'pointRateReduction'];
+
+const buildFees = ({ originationFee, discountPoints, otherCharges }) => ({
+  originationFee: parseFloat(originationFee) || 0,
+  discountPoints: parseFloat(discountPoints) || 0,
+  otherCharges: parseFloat(otherCharges) || 0
+});
+
+// The stress test runs once the borrower's income is entered
+const buildStressTest = ({ grossAnnualIncome, stressShock, stressFloorRate, stressMaxIncomeShare, compounding }) => {
+  const income = parseFloat(grossAnnualIncome);
+  if (!(income > 0)) return null;
+
+  return {
+    shock: parseFloat(stressShock) || 0,
+    floorRate: parseFloat(stressFloorRate) || 0,
+    grossAnnualIncome: income,
+    maxIncomeShare: parseFloat(stressMaxIncomeShare) || 0,
+    compounding
+  };
+};
+
+// The borrower's own numbers as far as they are entered, for the bank eligibility check
+const buildEligibilityRequest = ({ homePrice, downPayment, downPaymentType, loanTerm }) => {
+  const price = parseFloat(homePrice);
+  const down = parseFloat(downPayment);
+  const years = parseFloat(loanTerm);
+  const loan = price > 0 && down >= 0 ? calculateLoanToValue(price, down, downPaymentType) : null;
+
+  return {
+    principal: loan ? loan.principal : undefined,
+    downPaymentAmount: loan ? loan.downPaymentAmount : undefined,
+    years: years > 0 ? years : undefined
+  };
+};
+
+// Date inputs hold YYYY-MM-DD; read them as local dates, not UTC midnight
+const parseDateInput = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const getToday = () => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today;
+};
+
+const buildScheduleOptions = (advancedOptions) => {
+  const {
+    frequency, repaymentScheme, compounding, dayCount, rounding, startDate, firstPaymentDate, adjustBusinessDays,
+    interestOnlyMonths, balloonYears, extraMonthly, annualExtra, lumpSum, lumpSumMonth, prepaymentStrategy
+  } = advancedOptions;
+
+  return {
+    frequency,
+    repaymentScheme,
+    compounding,
+    dayCount,
+    rounding,
+    startDate: startDate ? parseDateInput(startDate) : getToday(),
+    firstPaymentDate: firstPaymentDate ? parseDateInput(firstPaymentDate) : undefined,
+    adjustBusinessDays,
+    interestOnlyMonths: parseInt(interestOnlyMonths, 10) || 0,
+    balloonYears: parseFloat(balloonYears) || 0,
+    extraMonthly: parseFloat(extraMonthly) || 0,
+    annualExtra: parseFloat(annualExtra) || 0,
+    lumpSums: parseFloat(lumpSum) > 0
+      ? [{ month: parseInt(lumpSumMonth, 10), amount: parseFloat(lumpSum) }]
+      : [],
+    prepaymentStrategy
+  };
 };
 
 function Calc() {  
@@ -34,22 +266,72 @@ function Calc() {
   const isLoading = useSelector(banksSelectors.getLoading);
   const error = useSelector(banksSelectors.getError);
   const dispatch = useDispatch();
+  const [searchParams, setSearchParams] = useSearchParams();
 
-  const [formData, setFormData] = useState({
-    initialLoan: '',
-    downPayment: '',
-    loanTerm: '',
-    loanApr: ''
-  });
-  const [monthPayment, setMonthPayment] = useState(0);
+  // A shared link pre-fills the form; values that fail validation keep their defaults
+  const [sharedState] = useState(() => parseCalcQuery(searchParams, {
+    formData: EMPTY_FORM_DATA,
+    advancedOptions: DEFAULT_ADVANCED_OPTIONS
+  }));
+
+  const [mode, setMode] = useState(CALC_MODES.PURCHASE);
+  const [formData, setFormData] = useState(sharedState.formData);
+  const [solveFor, setSolveFor] = useState('');
+  const [targetPayment, setTargetPayment] = useState('');
+  const [solvedValue, setSolvedValue] = useState(null);
+  const [payment, setPayment] = useState(0);
+  const [loan, setLoan] = useState(null);
+  const [bankLimitIssues, setBankLimitIssues] = useState([]);
+  const [housingCost, setHousingCost] = useState(null);
+  const [pmiResult, setPmiResult] = useState(null);
+  const [schedule, setSchedule] = useState([]);
+  // Inputs of the last calculation, so a scenario saves what the results were built from
+  const [calculatedInputs, setCalculatedInputs] = useState(null);
+  const [advancedOptions, setAdvancedOptions] = useState(sharedState.advancedOptions);
+  const [scheduleOptions, setScheduleOptions] = useState(() => buildScheduleOptions(sharedState.advancedOptions));
+  const [prepaymentSummary, setPrepaymentSummary] = useState(null);
+  const [frequencyComparison, setFrequencyComparison] = useState([]);
+  const [schemeComparison, setSchemeComparison] = useState([]);
+  const [loanStructure, setLoanStructure] = useState(null);
+  const [aprResult, setAprResult] = useState(null);
+  const [buydown, setBuydown] = useState(null);
+  const [stressResult, setStressResult] = useState(null);
+  const [armResult, setArmResult] = useState(null);
   const [bankValue, setBankValue] = useState('');
+  const [offerFees, setOfferFees] = useState({});
   const [validationError, setValidationError] = useState('');
-  const [warning, setWarning] = useState('');
+  const [warning, setWarning] = useState(sharedState.rejected.length > 0
+    ? `Some values of the shared link were invalid and have been ignored: ${sharedState.rejected.join(', ')}`
+    : '');
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [scenarioName, setScenarioName] = useState('');
+  const [scenarioSaved, setScenarioSaved] = useState(false);
+  const [reminderDays, setReminderDays] = useState('3');
 
   useEffect(() => {
     dispatch(banksOperations.fetchBanks());
   }, [dispatch]);
 
+  // Select the shared bank once the banks are loaded
+  useEffect(() => {
+    if (sharedState.bank && banks.some(bank => bank.BankName === sharedState.bank)) {
+      setBankValue(current => current || sharedState.bank);
+    }
+  }, [banks, sharedState.bank]);
+
+  // Keep the query string in sync with the form so the page can be bookmarked or shared
+  useEffect(() => {
+    const query = buildCalcQuery({ bank: bankValue, formData, advancedOptions }, {
+      formData: EMPTY_FORM_DATA,
+      advancedOptions: DEFAULT_ADVANCED_OPTIONS
+    });
+    if (new URLSearchParams(query).toString() !== searchParams.toString()) {
+      setSearchParams(query, { replace: true });
+    }
+    setLinkCopied(false);
+    setScenarioSaved(false);
+  }, [bankValue, formData, advancedOptions, searchParams, setSearchParams]);
+
   const handleInputChange = (field, value) => {
     setFormData(prev => ({
       ...prev,
@@ -59,31 +341,131 @@ function Calc() {
     setWarning('');
   };
 
+  const handleOptionChange = (field, value) => {
+    setAdvancedOptions(prev => ({
+      ...prev,
+      [field]: value
+    }));
+    setValidationError('');
+  };
+
   const handleBankChange = (e) => {
     const selectedBankName = e.target.value;
     setBankValue(selectedBankName);
+
+    // Park the fees of the previous offer and bring back the ones entered for this bank
+    setOfferFees(prev => ({
+      ...prev,
+      [bankValue]: pick(advancedOptions, OFFER_FEE_FIELDS)
+    }));
+    setAdvancedOptions(prev => ({
+      ...prev,
+      ...(offerFees[selectedBankName] || pick(DEFAULT_ADVANCED_OPTIONS, OFFER_FEE_FIELDS))
+    }));
     
+    // Keep the borrower's numbers; only an empty rate is taken from the bank's offer
     const selectedBank = banks.find(bank => bank.BankName === selectedBankName);
-    if (selectedBank) {
-      setFormData({
-        initialLoan: selectedBank.MaximumLoan.toString(),
-        downPayment: selectedBank.MinimumDownPayment.toString(),
-        loanTerm: selectedBank.LoanTerm.toString(),
-        loanApr: selectedBank.InterestRate.toString()
-      });
+    if (selectedBank && isEmpty(formData.loanApr)) {
+      handleInputChange('loanApr', selectedBank.InterestRate.toString());
+    }
+  };
+
+  const validateArm = (term) => {
+    const {
+      armFixedYears, armIndex, armMargin, armPeriodicCap,
+      armLifetimeCap, armFloor, armAdjustmentMonths, armIndexPath
+    } = advancedOptions;
+    const fixedYears = parseFloat(armFixedYears);
+    
+    if (!(fixedYears > 0 && fixedYears < term)) {
+      setValidationError('Fixed period must be shorter than the loan term');
+      return false;
+    }
+    
+    if (isEmpty(armIndexPath) && isEmpty(armIndex)) {
+      setValidationError('Enter the current index or an index rate path');
+      return false;
+    }
+    
+    if ([armIndex, armMargin, armPeriodicCap, armLifetimeCap, armFloor].some(value => !isEmpty(value) && !(parseFloat(value) >= 0)) ||
+      isEmpty(armMargin)) {
+      setValidationError('Margin, caps and floor must be non-negative rates');
+      return false;
+    }
+    
+    // The worst case is only bounded by a lifetime cap
+    if (isEmpty(armLifetimeCap)) {
+      setValidationError('Enter the lifetime cap of the adjustable rate');
+      return false;
+    }
+    
+    if (!(parseInt(armAdjustmentMonths, 10) >= 1)) {
+      setValidationError('Adjustment interval must be at least 1 month');
+      return false;
+    }
+    
+    if (parseRateList(armIndexPath).some(value => isNaN(value))) {
+      setValidationError('Index rate path must be a comma-separated list of rates');
+      return false;
+    }
+    
+    return true;
+  };
+
+  const handleSolveForChange = (field) => {
+    setSolveFor(prev => (prev === field ? '' : field));
+    setSolvedValue(null);
+    setValidationError('');
+  };
+
+  // Fill the field being solved so the target monthly payment is met
+  const solveFormData = () => {
+    const { homePrice, downPayment, downPaymentType, loanTerm, loanApr } = formData;
+    const monthlyPayment = parseFloat(targetPayment);
+    const { target, label, decimals, format } = SOLVABLE_FIELDS[solveFor];
+    
+    if (!(monthlyPayment > 0)) {
+      setValidationError('Target monthly payment must be greater than 0');
+      return null;
+    }
+    
+    const known = { homePrice, downPayment, loanTerm, loanApr };
+    delete known[solveFor];
+    if (Object.values(known).some(isEmpty)) {
+      setValidationError(`Fill in every field except the ${label} to solve for it`);
+      return null;
+    }
+    
+    const down = parseFloat(downPayment);
+    const values = { monthlyPayment, years: parseFloat(loanTerm), annualRate: parseFloat(loanApr) };
+    let solved;
+    if (solveFor === 'homePrice') {
+      const principal = solveMortgage(target, values);
+      solved = downPaymentType === DOWN_PAYMENT_TYPES.PERCENT ? principal / (1 - down / 100) : principal + down;
+    } else {
+      const { principal } = calculateLoanToValue(parseFloat(homePrice), down, downPaymentType);
+      solved = solveMortgage(target, { ...values, principal });
     }
+    
+    if (solved === null || !isFinite(solved) || solved <= 0) {
+      setValidationError(`No ${label} reaches a monthly payment of ${numeral(monthlyPayment).format('$0,0.00')}`);
+      return null;
+    }
+    
+    setSolvedValue({ label, value: format(round(solved, decimals)), monthlyPayment });
+    return { ...formData, [solveFor]: round(solved, decimals).toString() };
   };
 
-  const validateForm = () => {
-    const { loanApr, initialLoan, downPayment, loanTerm } = formData;
+  const validateForm = (values) => {
+    const { loanApr, homePrice, downPayment, downPaymentType, loanTerm } = values;
     
-    if (isEmpty(initialLoan) || isEmpty(downPayment) || isEmpty(loanTerm) || isEmpty(loanApr)) {
+    if (isEmpty(homePrice) || isEmpty(downPayment) || isEmpty(loanTerm) || isEmpty(loanApr)) {
       setValidationError('All fields are required');
       return false;
     }
     
     const apr = parseFloat(loanApr);
-    const loan = parseFloat(initialLoan);
+    const price = parseFloat(homePrice);
     const down = parseFloat(downPayment);
     const term = parseFloat(loanTerm);
     
@@ -92,8 +474,8 @@ function Calc() {
       return false;
     }
     
-    if (!isNumber(loan) || loan <= 0) {
-      setValidationError('Initial loan must be greater than 0');
+    if (!isNumber(price) || price <= 0) {
+      setValidationError('Property price must be greater than 0');
       return false;
     }
     
@@ -102,11 +484,79 @@ function Calc() {
       return false;
     }
     
+    const downAmount = downPaymentType === DOWN_PAYMENT_TYPES.PERCENT ? price * down / 100 : down;
+    if (downAmount >= price) {
+      setValidationError('Down payment must be less than the property price');
+      return false;
+    }
+    
     if (!isNumber(term) || term <= 0) {
       setValidationError('Loan term must be greater than 0');
       return false;
     }
     
+    const { propertyTax, homeInsurance, hoaFees, pmiRate } = advancedOptions;
+    if ([propertyTax, homeInsurance, hoaFees, pmiRate].some(value => !isEmpty(value) && !(parseFloat(value) >= 0))) {
+      setValidationError('Taxes, insurance, HOA fees and PMI cannot be negative');
+      return false;
+    }
+    
+    const { extraMonthly, annualExtra, lumpSum, lumpSumMonth } = advancedOptions;
+    if ([extraMonthly, annualExtra, lumpSum].some(value => !isEmpty(value) && !(parseFloat(value) >= 0))) {
+      setValidationError('Extra payments cannot be negative');
+      return false;
+    }
+    
+    const { originationFee, discountPoints, otherCharges, pointRateReduction } = advancedOptions;
+    if ([originationFee, discountPoints, otherCharges, pointRateReduction].some(value => !isEmpty(value) && !(parseFloat(value) >= 0))) {
+      setValidationError('Fees and points cannot be negative');
+      return false;
+    }
+    
+    const { interestOnlyMonths, balloonYears } = advancedOptions;
+    if ([interestOnlyMonths, balloonYears].some(value => !isEmpty(value) && !(parseFloat(value) >= 0))) {
+      setValidationError('Interest-only period and balloon term cannot be negative');
+      return false;
+    }
+    
+    if (parseInt(interestOnlyMonths, 10) >= term * 12) {
+      setValidationError('Interest-only period must be shorter than the loan term');
+      return false;
+    }
+    
+    const balloonYearsValue = parseFloat(balloonYears);
+    if (balloonYearsValue > 0 && !(balloonYearsValue < term && balloonYearsValue * 12 > (parseInt(interestOnlyMonths, 10) || 0))) {
+      setValidationError('Balloon must fall due after the interest-only period and before the end of the loan term');
+      return false;
+    }
+    
+    const lumpSumMonthValue = parseInt(lumpSumMonth, 10);
+    if (parseFloat(lumpSum) > 0 && !(lumpSumMonthValue >= 1 && lumpSumMonthValue <= term * 12)) {
+      setValidationError('Lump sum month must be within the loan term');
+      return false;
+    }
+    
+    const { startDate, firstPaymentDate } = advancedOptions;
+    if (firstPaymentDate && !(parseDateInput(firstPaymentDate) > (startDate ? parseDateInput(startDate) : getToday()))) {
+      setValidationError('First payment date must be after the loan start date');
+      return false;
+    }
+    
+    const { grossAnnualIncome, stressShock, stressFloorRate, stressMaxIncomeShare } = advancedOptions;
+    if ([grossAnnualIncome, stressShock, stressFloorRate].some(value => !isEmpty(value) && !(parseFloat(value) >= 0))) {
+      setValidationError('Income, rate shock and floor rate cannot be negative');
+      return false;
+    }
+    
+    if (!isEmpty(grossAnnualIncome) && !(parseFloat(stressMaxIncomeShare) > 0 && parseFloat(stressMaxIncomeShare) <= 100)) {
+      setValidationError('Maximum payment share of income must be between 0 and 100%');
+      return false;
+    }
+    
+    if (advancedOptions.armEnabled && !validateArm(term)) {
+      return false;
+    }
+    
     if (apr > 15) {
       setWarning('Consider negotiating for a better rate');
     }
@@ -117,34 +567,178 @@ function Calc() {
   const handleCalculate = (e) => {
     e.preventDefault();
     
-    if (!validateForm()) return;
+    const values = solveFor ? solveFormData() : formData;
+    if (!values || !validateForm(values)) return;
+    if (solveFor) setFormData(values);
     
-    const { initialLoan, loanApr, loanTerm } = formData;
-    const payment = calculateMonthlyPayment(
-      parseFloat(initialLoan),
-      parseFloat(loanApr),
-      parseFloat(loanTerm)
-    );
+    const { homePrice, downPayment, downPaymentType, loanApr, loanTerm } = values;
+    const financed = calculateLoanToValue(parseFloat(homePrice), parseFloat(downPayment), downPaymentType);
+    const { principal } = financed;
+    const apr = parseFloat(loanApr);
+    const term = parseFloat(loanTerm);
+    const arm = advancedOptions.armEnabled ? buildArmTerms(advancedOptions) : null;
+    const ratePath = arm ? buildArmRatePath(apr, term, arm, arm.indexPath) : undefined;
+    const options = { ...buildScheduleOptions(advancedOptions), ratePath };
+    const { periodsPerYear } = PAYMENT_FREQUENCIES[options.frequency];
+    
+    const structure = {
+      frequency: options.frequency,
+      repaymentScheme: options.repaymentScheme,
+      compounding: options.compounding,
+      dayCount: options.dayCount,
+      rounding: options.rounding,
+      startDate: options.startDate,
+      firstPaymentDate: options.firstPaymentDate,
+      adjustBusinessDays: options.adjustBusinessDays,
+      interestOnlyMonths: options.interestOnlyMonths,
+      balloonYears: options.balloonYears
+    };
+    const hasStructure = structure.interestOnlyMonths > 0 || structure.balloonYears > 0;
     
-    setMonthPayment(payment);
+    const baseline = generateAmortizationSchedule(principal, apr, term, { ...structure, ratePath });
+    const hasPrepayments = options.extraMonthly > 0 ||
+      options.annualExtra > 0 ||
+      options.lumpSums.length > 0;
+    const withPrepayments = hasPrepayments
+      ? generateAmortizationSchedule(principal, apr, term, options)
+      : baseline;
+    
+    // Differentiated and interest-only payments change over the term, so quote the first one
+    const periodicPayment = options.repaymentScheme === REPAYMENT_SCHEMES.DIFFERENTIATED || structure.interestOnlyMonths > 0
+      ? baseline[0].payment
+      : calculatePeriodicPayment(principal, apr, term, options.frequency, { compounding: options.compounding, rounding: options.rounding });
+    const pmi = calculatePmi(withPrepayments, financed.homePrice, principal, parseFloat(advancedOptions.pmiRate), periodsPerYear);
+    
+    setPayment(periodicPayment);
+    setLoan(financed);
+    setPmiResult(pmi);
+    setHousingCost(calculateHousingCost(
+      periodicPayment * periodsPerYear / 12,
+      financed.homePrice,
+      { ...buildHousingCosts(advancedOptions), pmi: pmi ? pmi.monthlyPremium : 0 }
+    ));
+    setBankLimitIssues(checkBankLimits({ ...financed, years: term }, banks.find(bank => bank.BankName === bankValue)));
+    setSchedule(withPrepayments);
+    setScheduleOptions(options);
+    setCalculatedInputs({ bank: bankValue, formData: values, advancedOptions });
+    setPrepaymentSummary(hasPrepayments ? comparePrepaymentSchedules(baseline, withPrepayments, periodsPerYear) : null);
+    setFrequencyComparison(compareFrequencies(principal, apr, term, options.startDate));
+    setSchemeComparison(compareRepaymentSchemes(principal, apr, term, options.frequency));
+    setLoanStructure(hasStructure ? analyzeLoanStructure(principal, apr, term, { ...structure, ratePath }) : null);
+    const fees = buildFees(advancedOptions);
+    const financeCharges = calculateFinanceCharges(principal, fees);
+    setBuydown(calculateBuydown(principal, apr, term, advancedOptions.buydownType));
+    const stressTerms = buildStressTest(advancedOptions);
+    setStressResult(stressTerms ? runStressTest(principal, apr, term, stressTerms) : null);
+    setAprResult({
+      offer: bankValue,
+      nominalRate: apr,
+      effectiveRates: [
+        { compounding: '', label: 'Nominal', rate: calculateEffectiveAnnualRate(apr, undefined, periodsPerYear) },
+        ...Object.keys(COMPOUNDING_FREQUENCIES).map(key => ({
+          compounding: key,
+          label: COMPOUNDING_FREQUENCIES[key].label,
+          rate: calculateEffectiveAnnualRate(apr, key)
+        }))
+      ],
+      financeCharges,
+      apr: calculateApr(principal, financeCharges, baseline, periodsPerYear),
+      discountPoints: fees.discountPoints,
+      pointsBreakEven: calculatePointsBreakEven(principal, apr, term, fees.discountPoints, parseFloat(advancedOptions.pointRateReduction) || 0)
+    });
+    setArmResult(arm ? {
+      path: getPaymentPath(withPrepayments),
+      worstCasePath: getPaymentPath(generateAmortizationSchedule(principal, apr, term, {
+        ...structure,
+        ratePath: buildWorstCaseRatePath(apr, term, arm)
+      }))
+    } : null);
   };
 
   const handleReset = () => {    
-    setFormData({
-      initialLoan: '',
-      downPayment: '',
-      loanTerm: '',
-      loanApr: ''
-    });
-    setMonthPayment(0);
+    setFormData(EMPTY_FORM_DATA);
+    setSolveFor('');
+    setTargetPayment('');
+    setSolvedValue(null);
+    setPayment(0);
+    setLoan(null);
+    setBankLimitIssues([]);
+    setHousingCost(null);
+    setPmiResult(null);
+    setSchedule([]);
+    setAdvancedOptions(DEFAULT_ADVANCED_OPTIONS);
+    setScheduleOptions(buildScheduleOptions(DEFAULT_ADVANCED_OPTIONS));
+    setCalculatedInputs(null);
+    setPrepaymentSummary(null);
+    setFrequencyComparison([]);
+    setSchemeComparison([]);
+    setLoanStructure(null);
+    setAprResult(null);
+    setBuydown(null);
+    setStressResult(null);
+    setArmResult(null);
     setBankValue('');
+    setOfferFees({});
     setValidationError('');
     setWarning('');
+    setScenarioName('');
+    setScenarioSaved(false);
+  };
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setLinkCopied(true);
+    } catch (error) {
+      console.error('Error copying link:', error);
+      setValidationError('Could not copy the link, copy it from the address bar instead');
+    }
+  };
+
+  // Save the calculated scenario so it can be compared on the Scenarios page
+  const handleSaveScenario = (e) => {
+    e.preventDefault();
+
+    if (schedule.length === 0) {
+      setValidationError('Please calculate a payment first');
+      return;
+    }
+
+    const { totalPayment, totalInterest } = summarizeSchedule(schedule);
+    const { loanApr, loanTerm } = calculatedInputs.formData;
+    const defaultName = `${numeral(loan.principal).format('$0,0')} at ${loanApr}% for ${loanTerm} years`;
+    const query = buildCalcQuery(calculatedInputs, {
+      formData: EMPTY_FORM_DATA,
+      advancedOptions: DEFAULT_ADVANCED_OPTIONS
+    });
+
+    dispatch(scenariosActions.addScenario({
+      name: scenarioName.trim() || defaultName,
+      bank: calculatedInputs.bank,
+      query: new URLSearchParams(query).toString(),
+      results: {
+        payment,
+        paymentFrequency: PAYMENT_FREQUENCIES[scheduleOptions.frequency].label,
+        principal: loan.principal,
+        totalInterest,
+        totalPayment,
+        // Everything paid over the life of the loan, including the down payment
+        totalCost: addMoney(
+          loan.downPaymentAmount,
+          totalPayment,
+          aprResult ? aprResult.financeCharges : 0,
+          pmiResult ? pmiResult.totalPmi : 0
+        ),
+        payoffDate: summarizeSchedule(schedule).payoffDate.toISOString()
+      }
+    }));
+    setScenarioName('');
+    setScenarioSaved(true);
   };
 
   // Generate PDF report with calculation results
   const handleExportPDF = () => {
-    if (monthPayment <= 0) {
+    if (payment <= 0) {
       setValidationError('Please calculate a payment first');
       return;
     }
@@ -155,13 +749,22 @@ function Calc() {
       return;
     }
 
+    const { totalPayment, totalInterest } = summarizeSchedule(schedule);
     const calculationData = {
-      loanAmount: parseFloat(formData.initialLoan),
-      downPayment: parseFloat(formData.downPayment),
-      downPaymentPercentage: (parseFloat(formData.downPayment) / parseFloat(formData.initialLoan)) * 100,
-      monthlyPayment: monthPayment,
-      totalPayment: monthPayment * parseFloat(formData.loanTerm) * 12,
-      totalInterest: (monthPayment * parseFloat(formData.loanTerm) * 12) - parseFloat(formData.initialLoan)
+      homePrice: loan.homePrice,
+      loanAmount: loan.principal,
+      downPayment: loan.downPaymentAmount,
+      downPaymentPercentage: loan.downPaymentPercent,
+      loanToValue: loan.ltv,
+      monthlyPayment: payment,
+      paymentFrequency: PAYMENT_FREQUENCIES[scheduleOptions.frequency].label,
+      rounding: ROUNDING_MODE_LABELS[scheduleOptions.rounding],
+      totalPayment,
+      totalInterest,
+      housingCost,
+      pmi: pmiResult,
+      buydown,
+      stressTest: stressResult
     };
 
     const bankData = {
@@ -174,7 +777,61 @@ function Calc() {
 
     const doc = generateMortgageReport(calculationData, bankData);
     savePDF(doc, `mortgage-calculation-${new Date().toISOString().split('T')[0]}.pdf`);
-  };  
+  };
+
+  // Generate loan analysis PDF with the amortization schedule
+  const handleExportSchedulePDF = async () => {
+    if (schedule.length === 0) {
+      setValidationError('Please calculate a payment first');
+      return;
+    }
+
+    const { periodsPerYear } = PAYMENT_FREQUENCIES[scheduleOptions.frequency];
+    let charts = [];
+    try {
+      charts = await renderChartImages(schedule, periodsPerYear);
+    } catch (error) {
+      // The report is still useful without its charts
+      console.error('Error rendering charts:', error);
+    }
+
+    const { totalPayment, totalInterest } = summarizeSchedule(schedule);
+    const loanData = {
+      principal: loan.principal,
+      interestRate: parseFloat(formData.loanApr),
+      term: parseFloat(formData.loanTerm),
+      monthlyPayment: payment,
+      paymentFrequency: PAYMENT_FREQUENCIES[scheduleOptions.frequency].label,
+      totalPayments: totalPayment,
+      totalInterest,
+      amortizationSchedule: schedule,
+      charts
+    };
+
+    const doc = generateLoanAnalysis(loanData);
+    savePDF(doc, `loan-analysis-${new Date().toISOString().split('T')[0]}.pdf`);
+  };
+
+  // Download the payment calendar with a reminder before each due date
+  const handleExportCalendar = (e) => {
+    e.preventDefault();
+
+    const days = parseInt(reminderDays, 10) || 0;
+    if (days < 0 || days > 30) {
+      setValidationError('Reminder must be between 0 and 30 days before the payment');
+      return;
+    }
+
+    try {
+      exportScheduleToICS(schedule, {
+        reminderDays: days,
+        filename: `mortgage-payments-${new Date().toISOString().split('T')[0]}.ics`
+      });
+    } catch (error) {
+      console.error('Error exporting payment calendar:', error);
+      setValidationError(error.message);
+    }
+  };
 
   if (isLoading) {
     return (
@@ -200,12 +857,67 @@ function Calc() {
     );
   }
 
+  const renderSolveToggle = (field) => (
+    <button
+      type="button"
+      className={`calc-solve-toggle ${solveFor === field ? 'active' : ''}`}
+      aria-pressed={solveFor === field}
+      onClick={() => handleSolveForChange(field)}
+      title={`Solve for the ${SOLVABLE_FIELDS[field].label} from a target monthly payment`}
+      data-testid={`solve-${field}`}
+    >
+      Solve
+    </button>
+  );
+
+  const isDifferentiated = scheduleOptions.repaymentScheme === REPAYMENT_SCHEMES.DIFFERENTIATED;
+  const hasPaymentShock = Boolean(loanStructure && loanStructure.paymentShock);
+  // Extra principal is not part of the scheduled payment, so leave it out of the comparison
+  const hasOddFirstPayment = Boolean(scheduleOptions.firstPaymentDate) && schedule.length > 0
+    && subtractMoney(schedule[0].payment, schedule[0].extra) !== payment;
+  const eligibilityRequest = buildEligibilityRequest(formData);
+  const hasEligibilityInput = Object.values(eligibilityRequest).some(value => value !== undefined);
+  const stressTest = buildStressTest(advancedOptions);
+
+  const header = (
+    <div className="calc-header">
+      <h1 className="calc-title">Mortgage Calculator</h1>
+      <div className="calc-mode-toggle" role="group" aria-label="Calculator mode">
+        <button
+          type="button"
+          className={`calc-mode-button ${mode === CALC_MODES.PURCHASE ? 'active' : ''}`}
+          aria-pressed={mode === CALC_MODES.PURCHASE}
+          onClick={() => setMode(CALC_MODES.PURCHASE)}
+        >
+          New mortgage
+        </button>
+        <button
+          type="button"
+          className={`calc-mode-button ${mode === CALC_MODES.REFINANCE ? 'active' : ''}`}
+          aria-pressed={mode === CALC_MODES.REFINANCE}
+          onClick={() => setMode(CALC_MODES.REFINANCE)}
+        >
+          Refinance
+        </button>
+      </div>
+    </div>
+  );
+
+  if (mode === CALC_MODES.REFINANCE) {
+    return (
+      <div className="calc-container">
+        <div className="calc-content">
+          {header}
+          <RefinanceAnalyzer banks={banks} />
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="calc-container">
       <div className="calc-content">
-        <div className="calc-header">
-          <h1 className="calc-title">Mortgage Calculator</h1>
-        </div>
+        {header}
         
         <div className="calc-form-section">
           <div className="calc-bank-select">
@@ -216,10 +928,38 @@ function Calc() {
                 value={bankValue}
                 label="Bank name"
                 onChange={handleBankChange}
+                renderValue={(value) => value}
               >
-                {banks.map(({ id, BankName }) => (
-                  <MenuItem key={id} value={BankName}>{BankName}</MenuItem>  
-                ))}
+                {banks.map(bank => {
+                  const { eligible, reasons } = checkBankEligibility(eligibilityRequest, bank);
+                  const bankStress = stressTest && eligibilityRequest.principal > 0
+                    ? runStressTest(eligibilityRequest.principal, bank.InterestRate, eligibilityRequest.years || bank.LoanTerm, stressTest)
+                    : null;
+                  return (
+                    <MenuItem
+                      key={bank.id}
+                      value={bank.BankName}
+                      className="calc-bank-option"
+                      data-testid={`bank-option-${bank.id}`}
+                    >
+                      <span className="calc-bank-option-name">{bank.BankName}</span>
+                      {hasEligibilityInput && (
+                        <span className={`calc-bank-eligibility ${eligible ? 'eligible' : 'ineligible'}`}>
+                          {eligible ? 'Eligible' : `Ineligible: ${reasons.map(reason => reason.message).join('; ')}`}
+                        </span>
+                      )}
+                      {bankStress && (
+                        <span
+                          className={`calc-bank-stress ${bankStress.passes ? 'pass' : 'fail'}`}
+                          data-testid={`bank-stress-${bank.id}`}
+                        >
+                          Stress test {bankStress.passes ? 'pass' : 'fail'}: {numeral(bankStress.stressedPayment).format('$0,0.00')}{' '}
+                          at {numeral(bankStress.stressRate).format('0.00[0]')}% is {numeral(bankStress.incomeShare).format('0.00')}% of income
+                        </span>
+                      )}
+                    </MenuItem>
+                  );
+                })}
               </Select>
             </FormControl>
           </div>
@@ -238,44 +978,551 @@ function Calc() {
           
           <div className="calc-form-grid">
             <div className="calc-form-field">
-              <label>Initial Loan ($)</label>
+              <div className="calc-label-row">
+                <label htmlFor="homePrice">Property Price ($)</label>
+                {renderSolveToggle('homePrice')}
+              </div>
               <input 
-                value={formData.initialLoan}
-                onChange={(e) => handleInputChange('initialLoan', e.target.value)}
+                id="homePrice"
+                value={formData.homePrice}
+                onChange={(e) => handleInputChange('homePrice', e.target.value)}
                 type="number"
-                placeholder="Enter loan amount"
+                disabled={solveFor === 'homePrice'}
+                placeholder={solveFor === 'homePrice' ? 'Solved from target payment' : 'Enter property price'}
               />
             </div>
 
             <div className="calc-form-field">
-              <label>Down Payment ($)</label>
-              <input 
-                value={formData.downPayment}
-                onChange={(e) => handleInputChange('downPayment', e.target.value)}
-                type="number"
-                placeholder="Enter down payment"
-              />
+              <label htmlFor="downPayment">
+                Down Payment ({formData.downPaymentType === DOWN_PAYMENT_TYPES.PERCENT ? '%' : '$'})
+              </label>
+              <div className="calc-input-group">
+                <input 
+                  id="downPayment"
+                  value={formData.downPayment}
+                  onChange={(e) => handleInputChange('downPayment', e.target.value)}
+                  type="number"
+                  placeholder="Enter down payment"
+                />
+                <select
+                  aria-label="Amount or percent"
+                  value={formData.downPaymentType}
+                  onChange={(e) => handleInputChange('downPaymentType', e.target.value)}
+                >
+                  <option value={DOWN_PAYMENT_TYPES.AMOUNT}>$</option>
+                  <option value={DOWN_PAYMENT_TYPES.PERCENT}>%</option>
+                </select>
+              </div>
             </div>
 
             <div className="calc-form-field">
-              <label>Loan Term (years)</label>
+              <div className="calc-label-row">
+                <label htmlFor="loanTerm">Loan Term (years)</label>
+                {renderSolveToggle('loanTerm')}
+              </div>
               <input 
+                id="loanTerm"
                 value={formData.loanTerm}
                 onChange={(e) => handleInputChange('loanTerm', e.target.value)}
                 type="number"
-                placeholder="Enter loan term"
+                disabled={solveFor === 'loanTerm'}
+                placeholder={solveFor === 'loanTerm' ? 'Solved from target payment' : 'Enter loan term'}
               />
             </div>
 
             <div className="calc-form-field">
-              <label>APR (%)</label>
+              <div className="calc-label-row">
+                <label htmlFor="loanApr">APR (%)</label>
+                {renderSolveToggle('loanApr')}
+              </div>
               <input 
+                id="loanApr"
                 value={formData.loanApr}
                 onChange={(e) => handleInputChange('loanApr', e.target.value)}
                 type="number"
-                placeholder="Enter interest rate"
+                disabled={solveFor === 'loanApr'}
+                placeholder={solveFor === 'loanApr' ? 'Solved from target payment' : 'Enter interest rate'}
               />
             </div>
+
+            {solveFor && (
+              <div className="calc-form-field">
+                <label htmlFor="targetPayment">Target Monthly Payment ($)</label>
+                <input 
+                  id="targetPayment"
+                  value={targetPayment}
+                  onChange={(e) => {
+                    setTargetPayment(e.target.value);
+                    setValidationError('');
+                  }}
+                  type="number"
+                  placeholder="Principal and interest"
+                />
+              </div>
+            )}
+
+            <div className="calc-form-field">
+              <label htmlFor="frequency">Payment Frequency</label>
+              <select
+                id="frequency"
+                value={advancedOptions.frequency}
+                onChange={(e) => handleOptionChange('frequency', e.target.value)}
+              >
+                {Object.keys(PAYMENT_FREQUENCIES).map(key => (
+                  <option key={key} value={key}>{PAYMENT_FREQUENCIES[key].label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="calc-form-field">
+              <label htmlFor="repaymentScheme">Repayment Scheme</label>
+              <select
+                id="repaymentScheme"
+                value={advancedOptions.repaymentScheme}
+                onChange={(e) => handleOptionChange('repaymentScheme', e.target.value)}
+              >
+                {Object.values(REPAYMENT_SCHEMES).map(scheme => (
+                  <option key={scheme} value={scheme}>{REPAYMENT_SCHEME_LABELS[scheme]}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="calc-form-field">
+              <label htmlFor="compounding">Compounding</label>
+              <select
+                id="compounding"
+                value={advancedOptions.compounding}
+                onChange={(e) => handleOptionChange('compounding', e.target.value)}
+              >
+                <option value="">With each payment (nominal)</option>
+                {Object.keys(COMPOUNDING_FREQUENCIES).map(key => (
+                  <option key={key} value={key}>{COMPOUNDING_FREQUENCIES[key].label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="calc-form-field">
+              <label htmlFor="dayCount">Day Count Basis</label>
+              <select
+                id="dayCount"
+                value={advancedOptions.dayCount}
+                onChange={(e) => handleOptionChange('dayCount', e.target.value)}
+              >
+                {Object.values(DAY_COUNT_BASES).map(basis => (
+                  <option key={basis} value={basis}>{basis}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="calc-form-field">
+              <label htmlFor="rounding">Cent Rounding</label>
+              <select
+                id="rounding"
+                value={advancedOptions.rounding}
+                onChange={(e) => handleOptionChange('rounding', e.target.value)}
+              >
+                {Object.values(ROUNDING_MODES).map(mode => (
+                  <option key={mode} value={mode}>{ROUNDING_MODE_LABELS[mode]}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="calc-form-field">
+              <label htmlFor="startDate">Loan Start Date</label>
+              <input
+                id="startDate"
+                value={advancedOptions.startDate}
+                onChange={(e) => handleOptionChange('startDate', e.target.value)}
+                type="date"
+              />
+            </div>
+
+            <div className="calc-form-field">
+              <label htmlFor="firstPaymentDate">First Payment Date</label>
+              <input
+                id="firstPaymentDate"
+                value={advancedOptions.firstPaymentDate}
+                onChange={(e) => handleOptionChange('firstPaymentDate', e.target.value)}
+                type="date"
+              />
+            </div>
+          </div>
+          <label className="calc-checkbox">
+            <input
+              type="checkbox"
+              checked={advancedOptions.adjustBusinessDays}
+              onChange={(e) => handleOptionChange('adjustBusinessDays', e.target.checked)}
+            />
+            Move due dates that fall on a weekend to a business day
+          </label>
+
+          <div className="calc-advanced-section">
+            <h3 className="calc-section-title">Taxes, Insurance & HOA</h3>
+            <div className="calc-form-grid">
+              <div className="calc-form-field">
+                <label htmlFor="propertyTax">
+                  Property Tax ({advancedOptions.propertyTaxType === PROPERTY_TAX_TYPES.PERCENT ? '%' : '$'} / year)
+                </label>
+                <div className="calc-input-group">
+                  <input 
+                    id="propertyTax"
+                    value={advancedOptions.propertyTax}
+                    onChange={(e) => handleOptionChange('propertyTax', e.target.value)}
+                    type="number"
+                    placeholder="e.g. 1.2"
+                  />
+                  <select
+                    aria-label="Tax basis"
+                    value={advancedOptions.propertyTaxType}
+                    onChange={(e) => handleOptionChange('propertyTaxType', e.target.value)}
+                  >
+                    <option value={PROPERTY_TAX_TYPES.PERCENT}>%</option>
+                    <option value={PROPERTY_TAX_TYPES.AMOUNT}>$</option>
+                  </select>
+                </div>
+              </div>
+
+              <div className="calc-form-field">
+                <label htmlFor="homeInsurance">Home Insurance ($ / year)</label>
+                <input 
+                  id="homeInsurance"
+                  value={advancedOptions.homeInsurance}
+                  onChange={(e) => handleOptionChange('homeInsurance', e.target.value)}
+                  type="number"
+                  placeholder="e.g. 1500"
+                />
+              </div>
+
+              <div className="calc-form-field">
+                <label htmlFor="hoaFees">HOA Fees ($ / month)</label>
+                <input 
+                  id="hoaFees"
+                  value={advancedOptions.hoaFees}
+                  onChange={(e) => handleOptionChange('hoaFees', e.target.value)}
+                  type="number"
+                  placeholder="e.g. 250"
+                />
+              </div>
+
+              <div className="calc-form-field">
+                <label htmlFor="pmiRate">PMI Rate (% / year)</label>
+                <input 
+                  id="pmiRate"
+                  value={advancedOptions.pmiRate}
+                  onChange={(e) => handleOptionChange('pmiRate', e.target.value)}
+                  type="number"
+                  placeholder="e.g. 0.5"
+                />
+                <span className="calc-field-hint">Charged while the down payment is under 20%</span>
+              </div>
+            </div>
+          </div>
+
+          <div className="calc-advanced-section">
+            <h3 className="calc-section-title">Fees & Points{bankValue ? ` of ${bankValue}` : ''}</h3>
+            <p className="calc-field-hint">Entered per offer, every bank keeps its own fees and points</p>
+            <div className="calc-form-grid">
+              <div className="calc-form-field">
+                <label htmlFor="originationFee">Origination Fee (%)</label>
+                <input 
+                  id="originationFee"
+                  value={advancedOptions.originationFee}
+                  onChange={(e) => handleOptionChange('originationFee', e.target.value)}
+                  type="number"
+                  placeholder="Percent of the loan"
+                />
+              </div>
+
+              <div className="calc-form-field">
+                <label htmlFor="discountPoints">Discount Points</label>
+                <input 
+                  id="discountPoints"
+                  value={advancedOptions.discountPoints}
+                  onChange={(e) => handleOptionChange('discountPoints', e.target.value)}
+                  type="number"
+                  placeholder="1 point = 1% of the loan"
+                />
+              </div>
+
+              <div className="calc-form-field">
+                <label htmlFor="pointRateReduction">Rate Reduction per Point (%)</label>
+                <input 
+                  id="pointRateReduction"
+                  value={advancedOptions.pointRateReduction}
+                  onChange={(e) => handleOptionChange('pointRateReduction', e.target.value)}
+                  type="number"
+                />
+              </div>
+
+              <div className="calc-form-field">
+                <label htmlFor="otherCharges">Other Finance Charges ($)</label>
+                <input 
+                  id="otherCharges"
+                  value={advancedOptions.otherCharges}
+                  onChange={(e) => handleOptionChange('otherCharges', e.target.value)}
+                  type="number"
+                  placeholder="Underwriting, processing..."
+                />
+              </div>
+
+              <div className="calc-form-field">
+                <label htmlFor="buydownType">Temporary Buydown</label>
+                <select
+                  id="buydownType"
+                  value={advancedOptions.buydownType}
+                  onChange={(e) => handleOptionChange('buydownType', e.target.value)}
+                >
+                  <option value="">None</option>
+                  {Object.keys(BUYDOWN_TYPES).map(key => (
+                    <option key={key} value={key}>{BUYDOWN_TYPES[key].label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+          </div>
+
+          <div className="calc-advanced-section">
+            <h3 className="calc-section-title">Stress Test</h3>
+            <div className="calc-form-grid">
+              <div className="calc-form-field">
+                <label htmlFor="grossAnnualIncome">Gross Annual Income ($)</label>
+                <input 
+                  id="grossAnnualIncome"
+                  value={advancedOptions.grossAnnualIncome}
+                  onChange={(e) => handleOptionChange('grossAnnualIncome', e.target.value)}
+                  type="number"
+                  placeholder="e.g. 90000"
+                />
+              </div>
+
+              <div className="calc-form-field">
+                <label htmlFor="stressShock">Rate Shock (+%)</label>
+                <input 
+                  id="stressShock"
+                  value={advancedOptions.stressShock}
+                  onChange={(e) => handleOptionChange('stressShock', e.target.value)}
+                  type="number"
+                  step="0.25"
+                  placeholder="e.g. 2"
+                />
+              </div>
+
+              <div className="calc-form-field">
+                <label htmlFor="stressFloorRate">Floor Rate (%)</label>
+                <input 
+                  id="stressFloorRate"
+                  value={advancedOptions.stressFloorRate}
+                  onChange={(e) => handleOptionChange('stressFloorRate', e.target.value)}
+                  type="number"
+                  step="0.01"
+                  placeholder="e.g. 5.25"
+                />
+              </div>
+
+              <div className="calc-form-field">
+                <label htmlFor="stressMaxIncomeShare">Max Payment Share of Income (%)</label>
+                <input 
+                  id="stressMaxIncomeShare"
+                  value={advancedOptions.stressMaxIncomeShare}
+                  onChange={(e) => handleOptionChange('stressMaxIncomeShare', e.target.value)}
+                  type="number"
+                  placeholder="e.g. 39"
+                />
+              </div>
+            </div>
+          </div>
+
+          <div className="calc-advanced-section">
+            <h3 className="calc-section-title">Loan Structure</h3>
+            <div className="calc-form-grid">
+              <div className="calc-form-field">
+                <label htmlFor="interestOnlyMonths">Interest-Only Period (months)</label>
+                <input 
+                  id="interestOnlyMonths"
+                  value={advancedOptions.interestOnlyMonths}
+                  onChange={(e) => handleOptionChange('interestOnlyMonths', e.target.value)}
+                  type="number"
+                  placeholder="e.g. 60"
+                />
+              </div>
+
+              <div className="calc-form-field">
+                <label htmlFor="balloonYears">Balloon Due After (years)</label>
+                <input 
+                  id="balloonYears"
+                  value={advancedOptions.balloonYears}
+                  onChange={(e) => handleOptionChange('balloonYears', e.target.value)}
+                  type="number"
+                  placeholder="Amortized over the loan term"
+                />
+              </div>
+            </div>
+          </div>
+
+          <div className="calc-advanced-section">
+            <h3 className="calc-section-title">Prepayments</h3>
+            <div className="calc-form-grid">
+              <div className="calc-form-field">
+                <label htmlFor="extraMonthly">Extra Monthly Payment ($)</label>
+                <input 
+                  id="extraMonthly"
+                  value={advancedOptions.extraMonthly}
+                  onChange={(e) => handleOptionChange('extraMonthly', e.target.value)}
+                  type="number"
+                  placeholder="e.g. 200"
+                />
+              </div>
+
+              <div className="calc-form-field">
+                <label htmlFor="annualExtra">Annual Extra Payment ($)</label>
+                <input 
+                  id="annualExtra"
+                  value={advancedOptions.annualExtra}
+                  onChange={(e) => handleOptionChange('annualExtra', e.target.value)}
+                  type="number"
+                  placeholder="Paid every 12th month"
+                />
+              </div>
+
+              <div className="calc-form-field">
+                <label htmlFor="lumpSum">Lump Sum ($)</label>
+                <input 
+                  id="lumpSum"
+                  value={advancedOptions.lumpSum}
+                  onChange={(e) => handleOptionChange('lumpSum', e.target.value)}
+                  type="number"
+                  placeholder="e.g. 10000"
+                />
+              </div>
+
+              <div className="calc-form-field">
+                <label htmlFor="lumpSumMonth">Lump Sum Month</label>
+                <input 
+                  id="lumpSumMonth"
+                  value={advancedOptions.lumpSumMonth}
+                  onChange={(e) => handleOptionChange('lumpSumMonth', e.target.value)}
+                  type="number"
+                  placeholder="e.g. 36"
+                />
+              </div>
+
+              <div className="calc-form-field">
+                <label htmlFor="prepaymentStrategy">Apply Prepayments To</label>
+                <select
+                  id="prepaymentStrategy"
+                  value={advancedOptions.prepaymentStrategy}
+                  onChange={(e) => handleOptionChange('prepaymentStrategy', e.target.value)}
+                >
+                  <option value={PREPAYMENT_STRATEGIES.SHORTEN_TERM}>Shorten the term</option>
+                  <option value={PREPAYMENT_STRATEGIES.LOWER_PAYMENT}>Lower the following payments</option>
+                </select>
+              </div>
+            </div>
+          </div>
+
+          <div className="calc-advanced-section">
+            <label className="calc-checkbox">
+              <input
+                type="checkbox"
+                checked={advancedOptions.armEnabled}
+                onChange={(e) => handleOptionChange('armEnabled', e.target.checked)}
+              />
+              Adjustable rate (ARM)
+            </label>
+            {advancedOptions.armEnabled && (
+              <div className="calc-form-grid">
+                <div className="calc-form-field">
+                  <label htmlFor="armFixedYears">Fixed Period (years)</label>
+                  <input 
+                    id="armFixedYears"
+                    value={advancedOptions.armFixedYears}
+                    onChange={(e) => handleOptionChange('armFixedYears', e.target.value)}
+                    type="number"
+                    placeholder="e.g. 5"
+                  />
+                </div>
+
+                <div className="calc-form-field">
+                  <label htmlFor="armIndex">Current Index (%)</label>
+                  <input 
+                    id="armIndex"
+                    value={advancedOptions.armIndex}
+                    onChange={(e) => handleOptionChange('armIndex', e.target.value)}
+                    type="number"
+                    placeholder="e.g. 4.5"
+                  />
+                </div>
+
+                <div className="calc-form-field">
+                  <label htmlFor="armMargin">Margin (%)</label>
+                  <input 
+                    id="armMargin"
+                    value={advancedOptions.armMargin}
+                    onChange={(e) => handleOptionChange('armMargin', e.target.value)}
+                    type="number"
+                    placeholder="e.g. 2.75"
+                  />
+                </div>
+
+                <div className="calc-form-field">
+                  <label htmlFor="armPeriodicCap">Periodic Cap (%)</label>
+                  <input 
+                    id="armPeriodicCap"
+                    value={advancedOptions.armPeriodicCap}
+                    onChange={(e) => handleOptionChange('armPeriodicCap', e.target.value)}
+                    type="number"
+                    placeholder="e.g. 2"
+                  />
+                </div>
+
+                <div className="calc-form-field">
+                  <label htmlFor="armLifetimeCap">Lifetime Cap (%)</label>
+                  <input 
+                    id="armLifetimeCap"
+                    value={advancedOptions.armLifetimeCap}
+                    onChange={(e) => handleOptionChange('armLifetimeCap', e.target.value)}
+                    type="number"
+                    placeholder="e.g. 5"
+                  />
+                </div>
+
+                <div className="calc-form-field">
+                  <label htmlFor="armFloor">Floor (%)</label>
+                  <input 
+                    id="armFloor"
+                    value={advancedOptions.armFloor}
+                    onChange={(e) => handleOptionChange('armFloor', e.target.value)}
+                    type="number"
+                    placeholder="e.g. 2.75"
+                  />
+                </div>
+
+                <div className="calc-form-field">
+                  <label htmlFor="armAdjustmentMonths">Adjustment Interval (months)</label>
+                  <input 
+                    id="armAdjustmentMonths"
+                    value={advancedOptions.armAdjustmentMonths}
+                    onChange={(e) => handleOptionChange('armAdjustmentMonths', e.target.value)}
+                    type="number"
+                    placeholder="e.g. 12"
+                  />
+                </div>
+
+                <div className="calc-form-field">
+                  <label htmlFor="armIndexPath">Index Rate Path (%)</label>
+                  <input 
+                    id="armIndexPath"
+                    value={advancedOptions.armIndexPath}
+                    onChange={(e) => handleOptionChange('armIndexPath', e.target.value)}
+                    type="text"
+                    placeholder="One per adjustment, e.g. 4.5, 5, 5.5"
+                  />
+                </div>
+                <p className="calc-field-hint">
+                  The APR above is used as the initial (teaser) rate.
+                </p>
+              </div>
+            )}
           </div>
           
           <div className="calc-buttons">
@@ -293,7 +1540,15 @@ function Calc() {
             >
               <DeleteIcon />
             </button>
-            {monthPayment > 0 && (
+            <button 
+              className="calc-icon-button share"
+              onClick={handleCopyLink}
+              data-testid="copy-link"
+              title={linkCopied ? 'Link copied' : 'Copy a link to this scenario'}
+            >
+              <LinkIcon />
+            </button>
+            {payment > 0 && (
               <button 
                 className="calc-icon-button export"
                 onClick={handleExportPDF}
@@ -303,22 +1558,220 @@ function Calc() {
                 <PictureAsPdfIcon />
               </button>
             )}
+            {schedule.length > 0 && (
+              <button 
+                className="calc-icon-button export"
+                onClick={handleExportSchedulePDF}
+                data-testid="export-schedule-pdf"
+                title="Export amortization schedule to PDF"
+              >
+                <TableChartIcon />
+              </button>
+            )}
           </div>
         </div>
         
         <div className="calc-result-section">
-          <h2 className="calc-result-title">Monthly Payment</h2>
+          <h2 className="calc-result-title">
+            {(isDifferentiated || hasPaymentShock) && 'First '}{PAYMENT_FREQUENCIES[scheduleOptions.frequency].label} Payment
+          </h2>
           <div 
             className="calc-result-amount"
             data-testid="monthly-payment"
           >
-            {numeral(monthPayment).format('$0,0.00')}
+            {numeral(payment).format('$0,0.00')}
           </div>
-          {monthPayment > 0 && (
+          {payment > 0 && (
             <p className="calc-result-details">
-              Total payments: {numeral(monthPayment * parseFloat(formData.loanTerm || 0) * 12).format('$0,0.00')}
+              Total payments: {numeral(summarizeSchedule(schedule).totalPayment).format('$0,0.00')}
+            </p>
+          )}
+          {isDifferentiated && !loanStructure && schedule.length > 0 && (
+            <p className="calc-result-details" data-testid="last-payment">
+              Last payment: {numeral(schedule[schedule.length - 1].payment).format('$0,0.00')}
+            </p>
+          )}
+          {hasOddFirstPayment && (
+            <p className="calc-result-details" data-testid="first-payment">
+              First payment on {formatDate(schedule[0].date)}:{' '}
+              {numeral(schedule[0].payment).format('$0,0.00')} with the interest prorated over the odd first period
+            </p>
+          )}
+          {schedule.length > 0 && (
+            <p className="calc-result-details" data-testid="payoff-date">
+              Paid off on {formatDate(schedule[schedule.length - 1].date)}
+            </p>
+          )}
+          {solvedValue && (
+            <p className="calc-result-details" data-testid="solved-value">
+              Solved {solvedValue.label}: <strong>{solvedValue.value}</strong> for a monthly
+              payment of {numeral(solvedValue.monthlyPayment).format('$0,0.00')}
+            </p>
+          )}
+          {pmiResult && (
+            <p className="calc-result-details" data-testid="pmi-summary">
+              PMI: {numeral(pmiResult.monthlyPremium).format('$0,0.00')}/month for {pmiResult.terminationMonth} months,{' '}
+              {numeral(pmiResult.totalPmi).format('$0,0.00')} in total.
+              Removable on request after month {pmiResult.requestRemovalMonth} (80% LTV),
+              ends automatically after month {pmiResult.terminationMonth} (78% LTV).
+            </p>
+          )}
+          {loan && (
+            <div className="calc-result-summary" data-testid="loan-summary">
+              <div className="calc-summary-item">
+                <span className="calc-summary-label">Financed amount</span>
+                <span className="calc-summary-value">{numeral(loan.principal).format('$0,0.00')}</span>
+              </div>
+              <div className="calc-summary-item">
+                <span className="calc-summary-label">Down payment</span>
+                <span className="calc-summary-value">
+                  {numeral(loan.downPaymentAmount).format('$0,0.00')} ({numeral(loan.downPaymentPercent).format('0.[00]')}%)
+                </span>
+              </div>
+              <div className="calc-summary-item">
+                <span className="calc-summary-label">Loan-to-value</span>
+                <span className="calc-summary-value">{numeral(loan.ltv).format('0.[00]')}%</span>
+              </div>
+            </div>
+          )}
+          {hasPaymentShock && (
+            <div className="calc-alert warning calc-result-alert" data-testid="payment-shock">
+              Payment shock: after the interest-only period the payment rises from{' '}
+              {numeral(loanStructure.paymentShock.from).format('$0,0.00')} to{' '}
+              {numeral(loanStructure.paymentShock.to).format('$0,0.00')}{' '}
+              (+{numeral(loanStructure.paymentShock.percent).format('0.[00]')}%) with payment {loanStructure.paymentShock.period}
+            </div>
+          )}
+          {aprResult && (
+            <div className="calc-result-summary" data-testid="apr-summary">
+              <div className="calc-summary-item">
+                <span className="calc-summary-label">Nominal rate</span>
+                <span className="calc-summary-value">{numeral(aprResult.nominalRate).format('0.00[0]')}%</span>
+              </div>
+              <div className="calc-summary-item">
+                <span className="calc-summary-label">APR{aprResult.offer ? ` of ${aprResult.offer}` : ''}</span>
+                <span className="calc-summary-value" data-testid="true-apr">
+                  {aprResult.apr === null ? 'n/a' : `${numeral(aprResult.apr).format('0.00[0]')}%`}
+                </span>
+              </div>
+              <div className="calc-summary-item">
+                <span className="calc-summary-label">Finance charges</span>
+                <span className="calc-summary-value">{numeral(aprResult.financeCharges).format('$0,0.00')}</span>
+              </div>
+            </div>
+          )}
+          {aprResult && (
+            <div className="calc-result-summary calc-effective-rates" data-testid="effective-rates">
+              {aprResult.effectiveRates.map(({ compounding, label, rate }) => (
+                <div
+                  key={label}
+                  className={`calc-summary-item ${compounding === scheduleOptions.compounding ? 'selected' : ''}`}
+                  data-testid={`effective-rate-${compounding || 'nominal'}`}
+                >
+                  <span className="calc-summary-label">Effective annual rate, {label.toLowerCase()}</span>
+                  <span className="calc-summary-value">{numeral(rate).format('0.00[0]')}%</span>
+                </div>
+              ))}
+            </div>
+          )}
+          {aprResult && aprResult.pointsBreakEven && (
+            <p className="calc-result-details" data-testid="points-break-even">
+              Buying {aprResult.discountPoints} point{aprResult.discountPoints === 1 ? '' : 's'} for{' '}
+              {numeral(aprResult.pointsBreakEven.pointsCost).format('$0,0.00')}{' '}
+              {aprResult.pointsBreakEven.breakEvenMonth
+                ? `pays off after ${aprResult.pointsBreakEven.breakEvenMonth} months`
+                : 'does not pay off within the loan term'}{' '}
+              ({numeral(aprResult.pointsBreakEven.monthlySavings).format('$0,0.00')}/month saved against{' '}
+              {numeral(aprResult.pointsBreakEven.rateWithoutPoints).format('0.00[0]')}% without points)
+            </p>
+          )}
+          {schedule.length > 0 && (
+            <form className="calc-save-scenario" onSubmit={handleSaveScenario} data-testid="save-scenario">
+              <label htmlFor="scenarioName" className="calc-summary-label">Scenario Name</label>
+              <input
+                id="scenarioName"
+                type="text"
+                value={scenarioName}
+                onChange={(e) => setScenarioName(e.target.value)}
+                placeholder="e.g. 30 years at 5%"
+                maxLength={60}
+              />
+              <button type="submit" className="calc-icon-button share" title="Save scenario">
+                <BookmarkAddIcon />
+              </button>
+            </form>
+          )}
+          {scenarioSaved && (
+            <p className="calc-result-details" data-testid="scenario-saved">
+              Scenario saved. Compare it on the Scenarios page.
             </p>
           )}
+          {schedule.length > 0 && (
+            <form className="calc-save-scenario" onSubmit={handleExportCalendar} data-testid="export-calendar">
+              <label htmlFor="reminderDays" className="calc-summary-label">Remind Days Before</label>
+              <input
+                id="reminderDays"
+                type="number"
+                min="0"
+                max="30"
+                value={reminderDays}
+                onChange={(e) => setReminderDays(e.target.value)}
+              />
+              <button type="submit" className="calc-icon-button export" title="Download payment calendar">
+                <EventIcon />
+              </button>
+            </form>
+          )}
+          {bankLimitIssues.map(issue => (
+            <div key={issue} className="calc-alert warning calc-result-alert">
+              {issue}
+            </div>
+          ))}
+          {housingCost && housingCost.total > housingCost.principalAndInterest && (
+            <HousingCostBreakdown cost={housingCost} />
+          )}
+          {prepaymentSummary && (
+            <div className="calc-result-summary" data-testid="prepayment-summary">
+              <div className="calc-summary-item">
+                <span className="calc-summary-label">Months saved</span>
+                <span className="calc-summary-value">{prepaymentSummary.monthsSaved}</span>
+              </div>
+              <div className="calc-summary-item">
+                <span className="calc-summary-label">Interest saved</span>
+                <span className="calc-summary-value">{numeral(prepaymentSummary.interestSaved).format('$0,0.00')}</span>
+              </div>
+              <div className="calc-summary-item">
+                <span className="calc-summary-label">Total extra paid</span>
+                <span className="calc-summary-value">{numeral(prepaymentSummary.totalExtra).format('$0,0.00')}</span>
+              </div>
+            </div>
+          )}
+          <BuydownLadder buydown={buydown} />
+          <StressTestResult result={stressResult} />
+          <LoanStructureSummary
+            structure={loanStructure}
+            periodsPerYear={PAYMENT_FREQUENCIES[scheduleOptions.frequency].periodsPerYear}
+          />
+          {armResult && (
+            <ArmPaymentPath
+              path={armResult.path}
+              worstCasePath={armResult.worstCasePath}
+              periodsPerYear={PAYMENT_FREQUENCIES[scheduleOptions.frequency].periodsPerYear}
+            />
+          )}
+          {loan && aprResult && (
+            <SensitivityMatrix principal={loan.principal} annualRate={aprResult.nominalRate} />
+          )}
+          <RepaymentSchemeComparison rows={schemeComparison} selected={scheduleOptions.repaymentScheme} />
+          <FrequencyComparison rows={frequencyComparison} selected={scheduleOptions.frequency} />
+          <LoanCharts
+            schedule={schedule}
+            periodsPerYear={PAYMENT_FREQUENCIES[scheduleOptions.frequency].periodsPerYear}
+          />
+          <AmortizationSchedule
+            schedule={schedule}
+            periodsPerYear={PAYMENT_FREQUENCIES[scheduleOptions.frequency].periodsPerYear}
+          />
         </div>
       </div>
     </div>
@@ -1,16 +1,24 @@
 // Import testing utilities and components
 import React from 'react';
-import { render, fireEvent, screen, waitFor } from '@testing-library/react';
+import { render, fireEvent, screen, waitFor, within } from '@testing-library/react';
 import '@testing-library/jest-dom';
 import { Provider } from 'react-redux';
+import { MemoryRouter, useLocation } from 'react-router-dom';
 import configureMockStore from 'redux-mock-store';
 import Calc from './index';
+import { formatDate } from '../../locales';
+import { exportScheduleToICS } from '../../utils/file-utils';
 
 // Mock the Redux operations
 jest.mock('../../redux/banks/banks-operations', () => ({
   fetchBanks: jest.fn(() => ({ type: 'banks/fetchBanks/pending' }))
 }));
 
+jest.mock('../../utils/file-utils', () => ({
+  ...jest.requireActual('../../utils/file-utils'),
+  exportScheduleToICS: jest.fn()
+}));
+
 const mockStore = configureMockStore([]);
 
 const initialState = {
@@ -30,9 +38,19 @@ const initialState = {
   }
 };
 
-const renderWithProviders = (ui, { reduxState } = {}) => {
+const renderWithProviders = (ui, { reduxState, route = '/calc' } = {}) => {
   const store = mockStore(reduxState || initialState);
-  return render(<Provider store={store}>{ui}</Provider>);
+  const utils = render(
+    <Provider store={store}>
+      <MemoryRouter initialEntries={[route]}>{ui}</MemoryRouter>
+    </Provider>
+  );
+  return { ...utils, store };
+};
+
+const LocationDisplay = () => {
+  const location = useLocation();
+  return <div data-testid="location">{location.search}</div>;
 };
 
 describe('Calc Component', () => {
@@ -70,29 +88,55 @@ describe('Calc Component', () => {
     expect(screen.getByText(/Failed to load banks/i)).toBeInTheDocument();
   });
 
-  it('populates form fields when bank is selected from dropdown', () => {
+  it('keeps the entered values and fills an empty rate when bank is selected', () => {
     renderWithProviders(<Calc />);
     
+    fireEvent.change(screen.getByLabelText(/Property Price/i), { target: { value: '400000' } });
+    fireEvent.change(screen.getByLabelText(/Down Payment/i), { target: { value: '80000' } });
+    fireEvent.change(screen.getByLabelText(/Loan Term/i), { target: { value: '15' } });
+    
     const bankSelect = screen.getByLabelText(/Bank name/i);
     fireEvent.mouseDown(bankSelect);
     fireEvent.click(screen.getByText(/Test Bank/i));
     
-    expect(screen.getByLabelText(/Initial Loan/i).value).toBe('500000');
-    expect(screen.getByLabelText(/Down Payment/i).value).toBe('50000');
-    expect(screen.getByLabelText(/Loan Term/i).value).toBe('20');
+    expect(screen.getByLabelText(/Property Price/i).value).toBe('400000');
+    expect(screen.getByLabelText(/Down Payment/i).value).toBe('80000');
+    expect(screen.getByLabelText(/Loan Term/i).value).toBe('15');
     expect(screen.getByLabelText(/APR/i).value).toBe('5');
   });
 
+  it('marks banks as eligible or ineligible for the entered loan', () => {
+    renderWithProviders(<Calc />);
+    
+    fireEvent.mouseDown(screen.getByLabelText(/Bank name/i));
+    const option = screen.getByTestId('bank-option-1');
+    expect(option).not.toHaveTextContent(/eligible/i);
+    
+    fireEvent.change(screen.getByLabelText(/Property Price/i), { target: { value: '400000' } });
+    fireEvent.change(screen.getByLabelText(/Down Payment/i), { target: { value: '80000' } });
+    fireEvent.change(screen.getByLabelText(/Loan Term/i), { target: { value: '20' } });
+    expect(option).toHaveTextContent('Eligible');
+    expect(option).not.toHaveTextContent(/Ineligible/);
+    
+    fireEvent.change(screen.getByLabelText(/Property Price/i), { target: { value: '600000' } });
+    fireEvent.change(screen.getByLabelText(/Down Payment/i), { target: { value: '40000' } });
+    fireEvent.change(screen.getByLabelText(/Loan Term/i), { target: { value: '30' } });
+    expect(option).toHaveTextContent(/Ineligible/);
+    expect(option).toHaveTextContent('Loan above the $500,000 maximum');
+    expect(option).toHaveTextContent('Down payment below the $50,000 minimum');
+    expect(option).toHaveTextContent('Term longer than 20 years');
+  });
+
   it('updates form fields when user types', () => {
     renderWithProviders(<Calc />);
     
-    const initialLoanInput = screen.getByLabelText(/Initial Loan/i);
+    const homePriceInput = screen.getByLabelText(/Property Price/i);
     const downPaymentInput = screen.getByLabelText(/Down Payment/i);
     
-    fireEvent.change(initialLoanInput, { target: { value: '300000' } });
+    fireEvent.change(homePriceInput, { target: { value: '300000' } });
     fireEvent.change(downPaymentInput, { target: { value: '60000' } });
     
-    expect(initialLoanInput.value).toBe('300000');
+    expect(homePriceInput.value).toBe('300000');
     expect(downPaymentInput.value).toBe('60000');
   });
 
@@ -117,28 +161,28 @@ describe('Calc Component', () => {
     expect(screen.getByText(/Interest rate must be between 0 and 100%/i)).toBeInTheDocument();
   });
 
-  it('shows validation error for negative initial loan', () => {
+  it('shows validation error for negative property price', () => {
     renderWithProviders(<Calc />);
     
-    const initialLoanInput = screen.getByLabelText(/Initial Loan/i);
-    fireEvent.change(initialLoanInput, { target: { value: '-100000' } });
+    const homePriceInput = screen.getByLabelText(/Property Price/i);
+    fireEvent.change(homePriceInput, { target: { value: '-100000' } });
     
     const calculateButton = screen.getByRole('button', { name: /Calculate/i });
     fireEvent.click(calculateButton);
     
-    expect(screen.getByText(/Initial loan must be greater than 0/i)).toBeInTheDocument();
+    expect(screen.getByText(/Property price must be greater than 0/i)).toBeInTheDocument();
   });
 
   it('shows warning for high interest rate', () => {
     renderWithProviders(<Calc />);
     
     // Fill all required fields
-    const initialLoanInput = screen.getByLabelText(/Initial Loan/i);
+    const homePriceInput = screen.getByLabelText(/Property Price/i);
     const downPaymentInput = screen.getByLabelText(/Down Payment/i);
     const loanTermInput = screen.getByLabelText(/Loan Term/i);
     const aprInput = screen.getByLabelText(/APR/i);
     
-    fireEvent.change(initialLoanInput, { target: { value: '300000' } });
+    fireEvent.change(homePriceInput, { target: { value: '300000' } });
     fireEvent.change(downPaymentInput, { target: { value: '60000' } });
     fireEvent.change(loanTermInput, { target: { value: '30' } });
     fireEvent.change(aprInput, { target: { value: '16' } });
@@ -153,12 +197,12 @@ describe('Calc Component', () => {
     renderWithProviders(<Calc />);
     
     // Fill form with test data
-    const initialLoanInput = screen.getByLabelText(/Initial Loan/i);
+    const homePriceInput = screen.getByLabelText(/Property Price/i);
     const downPaymentInput = screen.getByLabelText(/Down Payment/i);
     const loanTermInput = screen.getByLabelText(/Loan Term/i);
     const aprInput = screen.getByLabelText(/APR/i);
     
-    fireEvent.change(initialLoanInput, { target: { value: '300000' } });
+    fireEvent.change(homePriceInput, { target: { value: '300000' } });
     fireEvent.change(downPaymentInput, { target: { value: '60000' } });
     fireEvent.change(loanTermInput, { target: { value: '30' } });
     fireEvent.change(aprInput, { target: { value: '5' } });
@@ -175,10 +219,10 @@ describe('Calc Component', () => {
     renderWithProviders(<Calc />);
     
     // Fill some fields first
-    const initialLoanInput = screen.getByLabelText(/Initial Loan/i);
+    const homePriceInput = screen.getByLabelText(/Property Price/i);
     const downPaymentInput = screen.getByLabelText(/Down Payment/i);
     
-    fireEvent.change(initialLoanInput, { target: { value: '300000' } });
+    fireEvent.change(homePriceInput, { target: { value: '300000' } });
     fireEvent.change(downPaymentInput, { target: { value: '60000' } });
     
     // Click reset button
@@ -186,7 +230,7 @@ describe('Calc Component', () => {
     fireEvent.click(resetButton);
     
     // Check that fields are cleared
-    expect(initialLoanInput.value).toBe('');
+    expect(homePriceInput.value).toBe('');
     expect(downPaymentInput.value).toBe('');
   });
 
@@ -194,12 +238,12 @@ describe('Calc Component', () => {
     renderWithProviders(<Calc />);
     
     // Fill form and calculate
-    const initialLoanInput = screen.getByLabelText(/Initial Loan/i);
+    const homePriceInput = screen.getByLabelText(/Property Price/i);
     const downPaymentInput = screen.getByLabelText(/Down Payment/i);
     const loanTermInput = screen.getByLabelText(/Loan Term/i);
     const aprInput = screen.getByLabelText(/APR/i);
     
-    fireEvent.change(initialLoanInput, { target: { value: '300000' } });
+    fireEvent.change(homePriceInput, { target: { value: '300000' } });
     fireEvent.change(downPaymentInput, { target: { value: '60000' } });
     fireEvent.change(loanTermInput, { target: { value: '30' } });
     fireEvent.change(aprInput, { target: { value: '5' } });
@@ -209,6 +253,588 @@ describe('Calc Component', () => {
     
     expect(screen.getByText(/Total payments/i)).toBeInTheDocument();
   });
+
+  it('renders amortization schedule after calculation', () => {
+    renderWithProviders(<Calc />);
+    
+    fireEvent.change(screen.getByLabelText(/Property Price/i), { target: { value: '300000' } });
+    fireEvent.change(screen.getByLabelText(/Down Payment/i), { target: { value: '60000' } });
+    fireEvent.change(screen.getByLabelText(/Loan Term/i), { target: { value: '30' } });
+    fireEvent.change(screen.getByLabelText(/APR/i), { target: { value: '5' } });
+    
+    fireEvent.click(screen.getByRole('button', { name: /Calculate/i }));
+    
+    expect(screen.getByTestId('amortization-schedule')).toBeInTheDocument();
+    expect(screen.getByText('Year 30')).toBeInTheDocument();
+    expect(screen.getByTestId('export-schedule-pdf')).toBeInTheDocument();
+  });
+
+  it('renders balance and payment charts after calculation', () => {
+    renderWithProviders(<Calc />);
+    
+    fireEvent.change(screen.getByLabelText(/Property Price/i), { target: { value: '300000' } });
+    fireEvent.change(screen.getByLabelText(/Down Payment/i), { target: { value: '60000' } });
+    fireEvent.change(screen.getByLabelText(/Loan Term/i), { target: { value: '30' } });
+    fireEvent.change(screen.getByLabelText(/APR/i), { target: { value: '5' } });
+    
+    fireEvent.click(screen.getByRole('button', { name: /Calculate/i }));
+    
+    expect(screen.getByTestId('loan-charts')).toBeInTheDocument();
+    expect(screen.getByRole('img', { name: 'Remaining balance' })).toBeInTheDocument();
+  });
+
+  it('shows months and interest saved with extra payments', () => {
+    renderWithProviders(<Calc />);
+    
+    fireEvent.change(screen.getByLabelText(/Property Price/i), { target: { value: '200000' } });
+    fireEvent.change(screen.getByLabelText(/Down Payment/i), { target: { value: '40000' } });
+    fireEvent.change(screen.getByLabelText(/Loan Term/i), { target: { value: '30' } });
+    fireEvent.change(screen.getByLabelText(/APR/i), { target: { value: '6' } });
+    fireEvent.change(screen.getByLabelText(/Extra Monthly Payment/i), { target: { value: '200' } });
+    
+    fireEvent.click(screen.getByRole('button', { name: /Calculate/i }));
+    
+    const summary = screen.getByTestId('prepayment-summary');
+    expect(within(summary).getByText(/Months saved/i)).toBeInTheDocument();
+    expect(within(summary).getByText(/Interest saved/i)).toBeInTheDocument();
+  });
+
+  it('shows validation error for lump sum outside the loan term', () => {
+    renderWithProviders(<Calc />);
+    
+    fireEvent.change(screen.getByLabelText(/Property Price/i), { target: { value: '200000' } });
+    fireEvent.change(screen.getByLabelText(/Down Payment/i), { target: { value: '40000' } });
+    fireEvent.change(screen.getByLabelText(/Loan Term/i), { target: { value: '10' } });
+    fireEvent.change(screen.getByLabelText(/APR/i), { target: { value: '6' } });
+    fireEvent.change(screen.getByLabelText(/Lump Sum \(\$\)/i), { target: { value: '10000' } });
+    fireEvent.change(screen.getByLabelText(/Lump Sum Month/i), { target: { value: '200' } });
+    
+    fireEvent.click(screen.getByRole('button', { name: /Calculate/i }));
+    
+    expect(screen.getByText(/Lump sum month must be within the loan term/i)).toBeInTheDocument();
+  });
+
+  it('calculates payment for the selected frequency', () => {
+    renderWithProviders(<Calc />);
+    
+    fireEvent.change(screen.getByLabelText(/Property Price/i), { target: { value: '360000' } });
+    fireEvent.change(screen.getByLabelText(/Down Payment/i), { target: { value: '60000' } });
+    fireEvent.change(screen.getByLabelText(/Loan Term/i), { target: { value: '30' } });
+    fireEvent.change(screen.getByLabelText(/APR/i), { target: { value: '5' } });
+    fireEvent.change(screen.getByLabelText(/Payment Frequency/i), { target: { value: 'biWeekly' } });
+    
+    fireEvent.click(screen.getByRole('button', { name: /Calculate/i }));
+    
+    expect(screen.getByText(/Bi-weekly Payment/i)).toBeInTheDocument();
+    expect(screen.getByTestId('monthly-payment').textContent).toBe('$742.93');
+    expect(screen.getByTestId('frequency-comparison')).toBeInTheDocument();
+  });
+
+  it('shows the rate and term sensitivity grid', () => {
+    renderWithProviders(<Calc />);
+
+    fireEvent.change(screen.getByLabelText(/Property Price/i), { target: { value: '360000' } });
+    fireEvent.change(screen.getByLabelText(/Down Payment/i), { target: { value: '60000' } });
+    fireEvent.change(screen.getByLabelText(/Loan Term/i), { target: { value: '30' } });
+    fireEvent.change(screen.getByLabelText(/APR/i), { target: { value: '5' } });
+
+    fireEvent.click(screen.getByRole('button', { name: /Calculate/i }));
+
+    expect(screen.getByTestId('sensitivity-matrix')).toBeInTheDocument();
+    expect(screen.getByTestId('sensitivity-5-30')).toHaveTextContent('$1,610.46');
+    expect(screen.getByTestId('sensitivity-7-10')).toBeInTheDocument();
+  });
+
+  it('defaults to annuity payments in the uk locale', () => {
+    localStorage.setItem('locale', 'uk');
+    renderWithProviders(<Calc />);
+
+    expect(screen.getByLabelText(/Repayment Scheme/i).value).toBe('annuity');
+    localStorage.removeItem('locale');
+  });
+
+  it('calculates declining payments for the differentiated scheme', () => {
+    renderWithProviders(<Calc />);
+
+    fireEvent.change(screen.getByLabelText(/Property Price/i), { target: { value: '360000' } });
+    fireEvent.change(screen.getByLabelText(/Down Payment/i), { target: { value: '60000' } });
+    fireEvent.change(screen.getByLabelText(/Loan Term/i), { target: { value: '30' } });
+    fireEvent.change(screen.getByLabelText(/APR/i), { target: { value: '5' } });
+    fireEvent.change(screen.getByLabelText(/Repayment Scheme/i), { target: { value: 'differentiated' } });
+
+    fireEvent.click(screen.getByRole('button', { name: /Calculate/i }));
+
+    expect(screen.getByText(/First Monthly Payment/i)).toBeInTheDocument();
+    expect(screen.getByTestId('monthly-payment').textContent).toBe('$2,083.33');
+    expect(screen.getByTestId('last-payment')).toBeInTheDocument();
+    expect(screen.getByTestId('repayment-scheme-comparison')).toBeInTheDocument();
+  });
+
+  it('prices a semi-annually compounded rate and shows the effective annual rates', () => {
+    renderWithProviders(<Calc />, {
+      route: '/calc?homePrice=360000&downPayment=60000&loanTerm=30&loanApr=5'
+    });
+
+    fireEvent.change(screen.getByLabelText(/Compounding/i), { target: { value: 'semiAnnual' } });
+    fireEvent.change(screen.getByLabelText(/Day Count Basis/i), { target: { value: 'actual/365' } });
+    fireEvent.click(screen.getByRole('button', { name: /Calculate/i }));
+
+    expect(screen.getByTestId('monthly-payment').textContent).toBe('$1,601.07');
+    expect(screen.getByTestId('effective-rate-monthly')).toHaveTextContent('5.116%');
+    expect(screen.getByTestId('effective-rate-semiAnnual')).toHaveTextContent('5.063%');
+    expect(screen.getByTestId('effective-rate-semiAnnual')).toHaveClass('selected');
+    expect(screen.getByTestId('effective-rate-daily')).toHaveTextContent('5.127%');
+  });
+
+  it('dates the schedule from the first payment date', () => {
+    renderWithProviders(<Calc />, {
+      route: '/calc?homePrice=360000&downPayment=60000&loanTerm=30&loanApr=5&startDate=2025-01-15&firstPaymentDate=2025-03-01'
+    });
+
+    fireEvent.click(screen.getByRole('button', { name: /Calculate/i }));
+
+    expect(screen.getByTestId('monthly-payment').textContent).toBe('$1,610.46');
+    expect(screen.getByTestId('first-payment')).toHaveTextContent(`First payment on ${formatDate(new Date(2025, 2, 1))}: $2,277.13`);
+    expect(screen.getByTestId('payoff-date')).toHaveTextContent(`Paid off on ${formatDate(new Date(2055, 1, 1))}`);
+  });
+
+  it('does not treat extra principal as an odd first payment', () => {
+    renderWithProviders(<Calc />, {
+      route: '/calc?homePrice=360000&downPayment=60000&loanTerm=30&loanApr=5&startDate=2025-01-15&firstPaymentDate=2025-02-15&extraMonthly=200'
+    });
+
+    fireEvent.click(screen.getByRole('button', { name: /Calculate/i }));
+
+    expect(screen.getByTestId('monthly-payment').textContent).toBe('$1,610.46');
+    expect(screen.queryByTestId('first-payment')).not.toBeInTheDocument();
+  });
+
+  it('dates the frequency comparison from the loan start date', () => {
+    renderWithProviders(<Calc />, {
+      route: '/calc?homePrice=360000&downPayment=60000&loanTerm=30&loanApr=5&startDate=2025-01-15'
+    });
+
+    fireEvent.click(screen.getByRole('button', { name: /Calculate/i }));
+
+    expect(screen.getByTestId('frequency-comparison')).toHaveTextContent(formatDate(new Date(2055, 0, 15)));
+    expect(screen.getByTestId('payoff-date')).toHaveTextContent(`Paid off on ${formatDate(new Date(2055, 0, 15))}`);
+  });
+
+  it('shows validation error for a first payment before the loan start', () => {
+    renderWithProviders(<Calc />, {
+      route: '/calc?homePrice=360000&downPayment=60000&loanTerm=30&loanApr=5&startDate=2025-01-15&firstPaymentDate=2025-01-01'
+    });
+
+    fireEvent.click(screen.getByRole('button', { name: /Calculate/i }));
+
+    expect(screen.getByText(/First payment date must be after the loan start date/i)).toBeInTheDocument();
+  });
+
+  it('stress tests the payment at the shocked rate against the income', () => {
+    renderWithProviders(<Calc />, {
+      route: '/calc?homePrice=360000&downPayment=60000&loanTerm=30&loanApr=5'
+    });
+
+    expect(screen.getByLabelText(/Rate Shock/i).value).toBe('2');
+    fireEvent.change(screen.getByLabelText(/Gross Annual Income/i), { target: { value: '72000' } });
+    fireEvent.click(screen.getByRole('button', { name: /Calculate/i }));
+
+    expect(screen.getByTestId('stress-test-status')).toHaveTextContent('Pass');
+    expect(screen.getByTestId('stress-test-stressed')).toHaveTextContent('$1,995.91');
+
+    fireEvent.change(screen.getByLabelText(/Gross Annual Income/i), { target: { value: '60000' } });
+    fireEvent.click(screen.getByRole('button', { name: /Calculate/i }));
+
+    expect(screen.getByTestId('stress-test-status')).toHaveTextContent('Fail');
+  });
+
+  it('shows the stress test result of every bank in the bank list', () => {
+    renderWithProviders(<Calc />, {
+      route: '/calc?homePrice=360000&downPayment=60000&loanTerm=30&grossAnnualIncome=60000'
+    });
+
+    fireEvent.mouseDown(screen.getByLabelText(/Bank name/i));
+
+    expect(screen.getByTestId('bank-stress-1')).toHaveTextContent('Stress test fail: $1,995.91 at 7.00% is 39.92% of income');
+    expect(screen.getByTestId('bank-stress-1')).toHaveClass('fail');
+  });
+
+  it('shows interest-only and balloon phases with a payment shock warning', () => {
+    renderWithProviders(<Calc />);
+
+    fireEvent.change(screen.getByLabelText(/Property Price/i), { target: { value: '250000' } });
+    fireEvent.change(screen.getByLabelText(/Down Payment/i), { target: { value: '50000' } });
+    fireEvent.change(screen.getByLabelText(/Loan Term/i), { target: { value: '30' } });
+    fireEvent.change(screen.getByLabelText(/APR/i), { target: { value: '6' } });
+    fireEvent.change(screen.getByLabelText(/Interest-Only Period/i), { target: { value: '60' } });
+    fireEvent.change(screen.getByLabelText(/Balloon Due After/i), { target: { value: '10' } });
+
+    fireEvent.click(screen.getByRole('button', { name: /Calculate/i }));
+
+    expect(screen.getByTestId('monthly-payment').textContent).toBe('$1,000.00');
+    expect(screen.getByTestId('loan-phase-amortizing')).toHaveTextContent('$1,288.60');
+    expect(screen.getByTestId('balloon-amount')).toHaveTextContent('$179,864.40');
+    expect(screen.getByTestId('payment-shock')).toHaveTextContent('+28.86%');
+  });
+
+  it('shows the APR next to the nominal rate and the points break-even', () => {
+    renderWithProviders(<Calc />);
+
+    fireEvent.change(screen.getByLabelText(/Property Price/i), { target: { value: '250000' } });
+    fireEvent.change(screen.getByLabelText(/Down Payment/i), { target: { value: '50000' } });
+    fireEvent.change(screen.getByLabelText(/Loan Term/i), { target: { value: '30' } });
+    fireEvent.change(screen.getByLabelText(/APR/i), { target: { value: '6' } });
+    fireEvent.change(screen.getByLabelText(/Origination Fee/i), { target: { value: '1' } });
+    fireEvent.change(screen.getByLabelText(/Discount Points/i), { target: { value: '1' } });
+
+    fireEvent.click(screen.getByRole('button', { name: /Calculate/i }));
+
+    const summary = screen.getByTestId('apr-summary');
+    expect(summary).toHaveTextContent('6.00%');
+    expect(summary).toHaveTextContent('$4,000.00');
+    expect(parseFloat(screen.getByTestId('true-apr').textContent)).toBeGreaterThan(6.15);
+    expect(screen.getByTestId('points-break-even')).toHaveTextContent('Buying 1 point for $2,000.00 pays off after 62 months');
+  });
+
+  it('keeps the fees and points of every bank offer', () => {
+    const reduxState = {
+      banks: {
+        ...initialState.banks,
+        items: [
+          ...initialState.banks.items,
+          { id: '2', BankName: 'Other Bank', MaximumLoan: 500000, MinimumDownPayment: 50000, LoanTerm: 30, InterestRate: 6 }
+        ]
+      }
+    };
+    renderWithProviders(<Calc />, { reduxState });
+    // The bank menu stays mounted after a pick, so open it through the select itself
+    const pickBank = (id) => {
+      fireEvent.mouseDown(screen.getAllByLabelText(/Bank name/i)[0]);
+      fireEvent.click(screen.getByTestId(`bank-option-${id}`));
+    };
+
+    pickBank('1');
+    fireEvent.change(screen.getByLabelText(/Origination Fee/i), { target: { value: '1' } });
+    fireEvent.change(screen.getByLabelText(/Discount Points/i), { target: { value: '2' } });
+    expect(screen.getByText('Fees & Points of Test Bank')).toBeInTheDocument();
+
+    pickBank('2');
+    expect(screen.getByLabelText(/Origination Fee/i).value).toBe('');
+    expect(screen.getByLabelText(/Discount Points/i).value).toBe('');
+    fireEvent.change(screen.getByLabelText(/Origination Fee/i), { target: { value: '0.5' } });
+
+    pickBank('1');
+    expect(screen.getByLabelText(/Origination Fee/i).value).toBe('1');
+    expect(screen.getByLabelText(/Discount Points/i).value).toBe('2');
+
+    fireEvent.change(screen.getByLabelText(/Property Price/i), { target: { value: '250000' } });
+    fireEvent.change(screen.getByLabelText(/Down Payment/i), { target: { value: '50000' } });
+    fireEvent.change(screen.getByLabelText(/Loan Term/i), { target: { value: '20' } });
+    fireEvent.click(screen.getByRole('button', { name: /Calculate/i }));
+
+    const summary = screen.getByTestId('apr-summary');
+    expect(summary).toHaveTextContent('APR of Test Bank');
+    expect(summary).toHaveTextContent('$6,000.00');
+  });
+
+  it('shows the temporary buydown ladder', () => {
+    renderWithProviders(<Calc />);
+
+    fireEvent.change(screen.getByLabelText(/Property Price/i), { target: { value: '360000' } });
+    fireEvent.change(screen.getByLabelText(/Down Payment/i), { target: { value: '60000' } });
+    fireEvent.change(screen.getByLabelText(/Loan Term/i), { target: { value: '30' } });
+    fireEvent.change(screen.getByLabelText(/APR/i), { target: { value: '7' } });
+    fireEvent.change(screen.getByLabelText(/Temporary Buydown/i), { target: { value: '2-1' } });
+
+    fireEvent.click(screen.getByRole('button', { name: /Calculate/i }));
+
+    expect(screen.getByTestId('buydown-year-1')).toHaveTextContent('$1,610.46');
+    expect(screen.getByTestId('buydown-subsidy')).toHaveTextContent('$6,992.52');
+  });
+
+  it('shows validation error for a balloon inside the interest-only period', () => {
+    renderWithProviders(<Calc />);
+
+    fireEvent.change(screen.getByLabelText(/Property Price/i), { target: { value: '250000' } });
+    fireEvent.change(screen.getByLabelText(/Down Payment/i), { target: { value: '50000' } });
+    fireEvent.change(screen.getByLabelText(/Loan Term/i), { target: { value: '30' } });
+    fireEvent.change(screen.getByLabelText(/APR/i), { target: { value: '6' } });
+    fireEvent.change(screen.getByLabelText(/Interest-Only Period/i), { target: { value: '60' } });
+    fireEvent.change(screen.getByLabelText(/Balloon Due After/i), { target: { value: '4' } });
+
+    fireEvent.click(screen.getByRole('button', { name: /Calculate/i }));
+
+    expect(screen.getByText(/Balloon must fall due after the interest-only period/i)).toBeInTheDocument();
+  });
+
+  it('shows ARM payment path and worst case', () => {
+    renderWithProviders(<Calc />);
+    
+    fireEvent.change(screen.getByLabelText(/Property Price/i), { target: { value: '300000' } });
+    fireEvent.change(screen.getByLabelText(/Down Payment/i), { target: { value: '60000' } });
+    fireEvent.change(screen.getByLabelText(/Loan Term/i), { target: { value: '30' } });
+    fireEvent.change(screen.getByLabelText(/APR/i), { target: { value: '3' } });
+    fireEvent.click(screen.getByLabelText(/Adjustable rate/i));
+    fireEvent.change(screen.getByLabelText(/Fixed Period/i), { target: { value: '5' } });
+    fireEvent.change(screen.getByLabelText(/Current Index/i), { target: { value: '4' } });
+    fireEvent.change(screen.getByLabelText(/Margin/i), { target: { value: '2.5' } });
+    fireEvent.change(screen.getByLabelText(/Periodic Cap/i), { target: { value: '2' } });
+    fireEvent.change(screen.getByLabelText(/Lifetime Cap/i), { target: { value: '5' } });
+    
+    fireEvent.click(screen.getByRole('button', { name: /Calculate/i }));
+    
+    expect(screen.getByTestId('arm-expected-path')).toBeInTheDocument();
+    expect(screen.getByTestId('arm-worst-case-path')).toHaveTextContent('8.00%');
+  });
+
+  it('requires a lifetime cap for an adjustable rate', () => {
+    renderWithProviders(<Calc />, {
+      route: '/calc?homePrice=300000&downPayment=60000&loanTerm=30&loanApr=3&armEnabled=true&armFixedYears=5&armIndex=4&armMargin=2.5'
+    });
+    
+    fireEvent.click(screen.getByRole('button', { name: /Calculate/i }));
+    
+    expect(screen.getByText(/Enter the lifetime cap of the adjustable rate/i)).toBeInTheDocument();
+    expect(screen.queryByTestId('arm-worst-case-path')).not.toBeInTheDocument();
+  });
+
+  it('finances the property price less a percentage down payment', () => {
+    renderWithProviders(<Calc />);
+    
+    fireEvent.change(screen.getByLabelText(/Property Price/i), { target: { value: '400000' } });
+    fireEvent.change(screen.getByLabelText(/Amount or percent/i), { target: { value: 'percent' } });
+    fireEvent.change(screen.getByLabelText(/Down Payment \(%\)/i), { target: { value: '10' } });
+    fireEvent.change(screen.getByLabelText(/Loan Term/i), { target: { value: '30' } });
+    fireEvent.change(screen.getByLabelText(/APR/i), { target: { value: '5' } });
+    
+    fireEvent.click(screen.getByRole('button', { name: /Calculate/i }));
+    
+    const summary = screen.getByTestId('loan-summary');
+    expect(summary).toHaveTextContent('$360,000.00');
+    expect(summary).toHaveTextContent('90%');
+  });
+
+  it('breaks down the monthly housing cost', () => {
+    renderWithProviders(<Calc />);
+    
+    fireEvent.change(screen.getByLabelText(/Property Price/i), { target: { value: '375000' } });
+    fireEvent.change(screen.getByLabelText(/Down Payment/i), { target: { value: '75000' } });
+    fireEvent.change(screen.getByLabelText(/Loan Term/i), { target: { value: '30' } });
+    fireEvent.change(screen.getByLabelText(/APR/i), { target: { value: '5' } });
+    fireEvent.change(screen.getByLabelText(/Property Tax/i), { target: { value: '1' } });
+    fireEvent.change(screen.getByLabelText(/Home Insurance/i), { target: { value: '1200' } });
+    fireEvent.change(screen.getByLabelText(/HOA Fees/i), { target: { value: '100' } });
+    
+    fireEvent.click(screen.getByRole('button', { name: /Calculate/i }));
+    
+    expect(screen.getByTestId('housing-cost-breakdown')).toHaveTextContent('$2,122.96');
+    expect(screen.getByTestId('housing-cost-propertyTax')).toHaveTextContent('$312.50');
+    expect(screen.queryByTestId('housing-cost-pmi')).not.toBeInTheDocument();
+  });
+
+  it('shows PMI months and total PMI with less than 20% down', () => {
+    renderWithProviders(<Calc />);
+    
+    fireEvent.change(screen.getByLabelText(/Property Price/i), { target: { value: '300000' } });
+    fireEvent.change(screen.getByLabelText(/Down Payment/i), { target: { value: '15000' } });
+    fireEvent.change(screen.getByLabelText(/Loan Term/i), { target: { value: '30' } });
+    fireEvent.change(screen.getByLabelText(/APR/i), { target: { value: '5' } });
+    
+    fireEvent.click(screen.getByRole('button', { name: /Calculate/i }));
+    
+    expect(screen.getByTestId('pmi-summary')).toHaveTextContent('PMI: $118.75/month');
+    expect(screen.getByTestId('housing-cost-pmi')).toHaveTextContent('$118.75');
+  });
+
+  it('solves for the loan term from a target payment', () => {
+    renderWithProviders(<Calc />);
+    
+    fireEvent.change(screen.getByLabelText(/Property Price/i), { target: { value: '375000' } });
+    fireEvent.change(screen.getByLabelText(/Down Payment/i), { target: { value: '75000' } });
+    fireEvent.change(screen.getByLabelText(/APR/i), { target: { value: '5' } });
+    fireEvent.click(screen.getByTestId('solve-loanTerm'));
+    fireEvent.change(screen.getByLabelText(/Target Monthly Payment/i), { target: { value: '1610.46' } });
+    
+    fireEvent.click(screen.getByRole('button', { name: /Calculate/i }));
+    
+    expect(screen.getByLabelText(/Loan Term/i).value).toBe('30');
+    expect(screen.getByTestId('solved-value')).toHaveTextContent('Solved loan term: 30 years');
+    expect(screen.getByTestId('monthly-payment').textContent).toBe('$1,610.46');
+  });
+
+  it('solves for the rate numerically', () => {
+    renderWithProviders(<Calc />);
+    
+    fireEvent.change(screen.getByLabelText(/Property Price/i), { target: { value: '375000' } });
+    fireEvent.change(screen.getByLabelText(/Down Payment/i), { target: { value: '75000' } });
+    fireEvent.change(screen.getByLabelText(/Loan Term/i), { target: { value: '30' } });
+    fireEvent.click(screen.getByTestId('solve-loanApr'));
+    fireEvent.change(screen.getByLabelText(/Target Monthly Payment/i), { target: { value: '1610.46' } });
+    
+    fireEvent.click(screen.getByRole('button', { name: /Calculate/i }));
+    
+    expect(screen.getByLabelText(/APR/i).value).toBe('5');
+  });
+
+  it('reports when no value reaches the target payment', () => {
+    renderWithProviders(<Calc />);
+    
+    fireEvent.change(screen.getByLabelText(/Property Price/i), { target: { value: '375000' } });
+    fireEvent.change(screen.getByLabelText(/Down Payment/i), { target: { value: '75000' } });
+    fireEvent.change(screen.getByLabelText(/APR/i), { target: { value: '5' } });
+    fireEvent.click(screen.getByTestId('solve-loanTerm'));
+    fireEvent.change(screen.getByLabelText(/Target Monthly Payment/i), { target: { value: '1000' } });
+    
+    fireEvent.click(screen.getByRole('button', { name: /Calculate/i }));
+    
+    expect(screen.getByText(/No loan term reaches a monthly payment of \$1,000.00/i)).toBeInTheDocument();
+  });
+
+  it('rounds the payment with the chosen rounding mode', () => {
+    renderWithProviders(<><Calc /><LocationDisplay /></>, {
+      route: '/calc?homePrice=420001.8&downPayment=60000&loanTerm=30&loanApr=0'
+    });
+
+    fireEvent.click(screen.getByRole('button', { name: /Calculate/i }));
+    expect(screen.getByTestId('monthly-payment').textContent).toBe('$1,000.01');
+
+    fireEvent.change(screen.getByLabelText(/Cent Rounding/i), { target: { value: 'halfEven' } });
+    fireEvent.click(screen.getByRole('button', { name: /Calculate/i }));
+
+    expect(screen.getByTestId('monthly-payment').textContent).toBe('$1,000.00');
+    expect(new URLSearchParams(screen.getByTestId('location').textContent).get('rounding')).toBe('halfEven');
+  });
+
+  it('writes the form state to the query string', () => {
+    renderWithProviders(<><Calc /><LocationDisplay /></>);
+
+    fireEvent.change(screen.getByLabelText(/Property Price/i), { target: { value: '360000' } });
+    fireEvent.change(screen.getByLabelText(/Loan Term/i), { target: { value: '30' } });
+    fireEvent.change(screen.getByLabelText(/Payment Frequency/i), { target: { value: 'biWeekly' } });
+
+    const search = new URLSearchParams(screen.getByTestId('location').textContent);
+    expect(search.get('homePrice')).toBe('360000');
+    expect(search.get('loanTerm')).toBe('30');
+    expect(search.get('frequency')).toBe('biWeekly');
+    expect(search.has('loanApr')).toBe(false);
+  });
+
+  it('rehydrates a shared link', () => {
+    renderWithProviders(<Calc />, {
+      route: '/calc?bank=Test%20Bank&homePrice=360000&downPayment=60000&loanTerm=30&loanApr=5&extraMonthly=200'
+    });
+
+    expect(screen.getByLabelText(/Property Price/i).value).toBe('360000');
+    expect(screen.getByLabelText(/APR/i).value).toBe('5');
+    expect(screen.getByLabelText(/Extra Monthly Payment/i).value).toBe('200');
+    expect(screen.getByText('Test Bank')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: /Calculate/i }));
+    expect(screen.getByTestId('monthly-payment').textContent).toBe('$1,610.46');
+  });
+
+  it('saves the calculated scenario', () => {
+    renderWithProviders(<Calc />, {
+      route: '/calc?homePrice=360000&downPayment=60000&loanTerm=30&loanApr=5'
+    });
+
+    expect(screen.queryByTestId('save-scenario')).not.toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: /Calculate/i }));
+
+    fireEvent.change(screen.getByLabelText(/Scenario Name/i), { target: { value: 'Starter home' } });
+    fireEvent.click(screen.getByTitle('Save scenario'));
+
+    expect(screen.getByTestId('scenario-saved')).toBeInTheDocument();
+    expect(screen.getByLabelText(/Scenario Name/i).value).toBe('');
+  });
+
+  it('saves the inputs of the last calculation, not later edits', () => {
+    const { store } = renderWithProviders(<Calc />, {
+      route: '/calc?homePrice=360000&downPayment=60000&loanTerm=30&loanApr=5'
+    });
+
+    fireEvent.click(screen.getByRole('button', { name: /Calculate/i }));
+    fireEvent.change(screen.getByLabelText(/Loan Term/i), { target: { value: '15' } });
+    fireEvent.click(screen.getByTitle('Save scenario'));
+
+    const [{ payload }] = store.getActions().filter(action => action.type === 'scenarios/add');
+    const query = new URLSearchParams(payload.query);
+    expect(query.get('loanTerm')).toBe('30');
+    expect(payload.name).toBe('$300,000 at 5% for 30 years');
+    expect(payload.results.payment).toBe(1610.46);
+  });
+
+  it('downloads the payment calendar with reminders', () => {
+    renderWithProviders(<Calc />, {
+      route: '/calc?homePrice=360000&downPayment=60000&loanTerm=30&loanApr=5&startDate=2025-01-15'
+    });
+
+    expect(screen.queryByTestId('export-calendar')).not.toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: /Calculate/i }));
+
+    fireEvent.change(screen.getByLabelText(/Remind Days Before/i), { target: { value: '5' } });
+    fireEvent.click(screen.getByTitle('Download payment calendar'));
+
+    expect(exportScheduleToICS).toHaveBeenCalledTimes(1);
+    const [schedule, options] = exportScheduleToICS.mock.calls[0];
+    expect(schedule).toHaveLength(360);
+    expect(schedule[0].date).toEqual(new Date(2025, 1, 15));
+    expect(options.reminderDays).toBe(5);
+    expect(options.filename).toMatch(/^mortgage-payments-.*\.ics$/);
+  });
+
+  it('shows the error when the payment calendar cannot be exported', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    exportScheduleToICS.mockImplementationOnce(() => {
+      throw new Error('No payment schedule to export');
+    });
+    renderWithProviders(<Calc />, {
+      route: '/calc?homePrice=360000&downPayment=60000&loanTerm=30&loanApr=5'
+    });
+
+    fireEvent.click(screen.getByRole('button', { name: /Calculate/i }));
+    fireEvent.click(screen.getByTitle('Download payment calendar'));
+
+    expect(screen.getByText('No payment schedule to export')).toBeInTheDocument();
+    console.error.mockRestore();
+  });
+
+  it('ignores invalid values of a shared link', () => {
+    renderWithProviders(<Calc />, { route: '/calc?homePrice=-100&loanTerm=30&loanApr=500' });
+
+    expect(screen.getByLabelText(/Property Price/i).value).toBe('');
+    expect(screen.getByLabelText(/Loan Term/i).value).toBe('30');
+    expect(screen.getByLabelText(/APR/i).value).toBe('');
+    expect(screen.getByText(/invalid and have been ignored: homePrice, loanApr/i)).toBeInTheDocument();
+  });
+
+  it('switches to the refinance analyzer', () => {
+    renderWithProviders(<Calc />);
+    
+    fireEvent.click(screen.getByRole('button', { name: /Refinance/i }));
+    
+    expect(screen.getByTestId('refinance-analyzer')).toBeInTheDocument();
+    expect(screen.queryByLabelText(/Property Price/i)).not.toBeInTheDocument();
+    
+    fireEvent.change(screen.getByLabelText(/Offer From/i), { target: { value: 'Test Bank' } });
+    expect(screen.getByLabelText(/New Rate/i).value).toBe('5');
+  });
+
+  it('flags a loan that breaks the selected bank limits', () => {
+    renderWithProviders(<Calc />);
+    
+    fireEvent.mouseDown(screen.getByLabelText(/Bank name/i));
+    fireEvent.click(screen.getByText(/Test Bank/i));
+    fireEvent.change(screen.getByLabelText(/Property Price/i), { target: { value: '600000' } });
+    fireEvent.change(screen.getByLabelText(/Down Payment/i), { target: { value: '40000' } });
+    fireEvent.change(screen.getByLabelText(/Loan Term/i), { target: { value: '30' } });
+    
+    fireEvent.click(screen.getByRole('button', { name: /Calculate/i }));
+    
+    expect(screen.getByText('Down payment below the $50,000 minimum')).toBeInTheDocument();
+    expect(screen.getByText('Loan above the $500,000 maximum')).toBeInTheDocument();
+    expect(screen.getByText('Term longer than 20 years')).toBeInTheDocument();
+  });
 });
   
   
\ No newline at end of file
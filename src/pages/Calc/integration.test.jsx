@@ -65,7 +65,7 @@ describe('Calc Page Integration Tests', () => {
   });
 
   describe('Bank Selection Flow', () => {
-    it('should populate form fields when bank is selected from dropdown', async () => {
+    it('should fill only the empty rate when bank is selected from dropdown', async () => {
       renderWithProviders(<Calc />);
 
       // Wait for banks to load
@@ -80,10 +80,10 @@ describe('Calc Page Integration Tests', () => {
       // Select first bank
       fireEvent.click(screen.getByText('Test Bank A'));
 
-      // Verify form fields are populated with bank data
-      expect(screen.getByLabelText(/Initial Loan/i)).toHaveValue(500000);
-      expect(screen.getByLabelText(/Down Payment/i)).toHaveValue(50000);
-      expect(screen.getByLabelText(/Loan Term/i)).toHaveValue(30);
+      // Verify only the empty rate is taken from the bank
+      expect(screen.getByLabelText(/Property Price/i)).toHaveValue(null);
+      expect(screen.getByLabelText(/Down Payment/i)).toHaveValue(null);
+      expect(screen.getByLabelText(/Loan Term/i)).toHaveValue(null);
       expect(screen.getByLabelText(/APR/i)).toHaveValue(4.5);
     });
 
@@ -96,10 +96,10 @@ describe('Calc Page Integration Tests', () => {
       fireEvent.click(screen.getByText('Test Bank A'));
 
       // Modify the initial loan amount
-      const initialLoanInput = screen.getByLabelText(/Initial Loan/i);
-      fireEvent.change(initialLoanInput, { target: { value: '400000' } });
+      const homePriceInput = screen.getByLabelText(/Property Price/i);
+      fireEvent.change(homePriceInput, { target: { value: '400000' } });
 
-      expect(initialLoanInput).toHaveValue(400000);
+      expect(homePriceInput).toHaveValue(400000);
     });
   });
 
@@ -108,12 +108,12 @@ describe('Calc Page Integration Tests', () => {
       renderWithProviders(<Calc />);
 
       // Fill form with valid data
-      const initialLoanInput = screen.getByLabelText(/Initial Loan/i);
+      const homePriceInput = screen.getByLabelText(/Property Price/i);
       const downPaymentInput = screen.getByLabelText(/Down Payment/i);
       const loanTermInput = screen.getByLabelText(/Loan Term/i);
       const aprInput = screen.getByLabelText(/APR/i);
 
-      fireEvent.change(initialLoanInput, { target: { value: '300000' } });
+      fireEvent.change(homePriceInput, { target: { value: '300000' } });
       fireEvent.change(downPaymentInput, { target: { value: '60000' } });
       fireEvent.change(loanTermInput, { target: { value: '30' } });
       fireEvent.change(aprInput, { target: { value: '5' } });
@@ -137,12 +137,12 @@ describe('Calc Page Integration Tests', () => {
       renderWithProviders(<Calc />);
 
       // Fill form with high interest rate
-      const initialLoanInput = screen.getByLabelText(/Initial Loan/i);
+      const homePriceInput = screen.getByLabelText(/Property Price/i);
       const downPaymentInput = screen.getByLabelText(/Down Payment/i);
       const loanTermInput = screen.getByLabelText(/Loan Term/i);
       const aprInput = screen.getByLabelText(/APR/i);
 
-      fireEvent.change(initialLoanInput, { target: { value: '300000' } });
+      fireEvent.change(homePriceInput, { target: { value: '300000' } });
       fireEvent.change(downPaymentInput, { target: { value: '60000' } });
       fireEvent.change(loanTermInput, { target: { value: '30' } });
       fireEvent.change(aprInput, { target: { value: '16' } });
@@ -193,8 +193,8 @@ describe('Calc Page Integration Tests', () => {
       expect(screen.getByText(/All fields are required/i)).toBeInTheDocument();
 
       // Start typing in a field
-      const initialLoanInput = screen.getByLabelText(/Initial Loan/i);
-      fireEvent.change(initialLoanInput, { target: { value: '300000' } });
+      const homePriceInput = screen.getByLabelText(/Property Price/i);
+      fireEvent.change(homePriceInput, { target: { value: '300000' } });
 
       // Verify error is cleared
       await waitFor(() => {
@@ -208,12 +208,12 @@ describe('Calc Page Integration Tests', () => {
       renderWithProviders(<Calc />);
 
       // Fill and calculate form
-      const initialLoanInput = screen.getByLabelText(/Initial Loan/i);
+      const homePriceInput = screen.getByLabelText(/Property Price/i);
       const downPaymentInput = screen.getByLabelText(/Down Payment/i);
       const loanTermInput = screen.getByLabelText(/Loan Term/i);
       const aprInput = screen.getByLabelText(/APR/i);
 
-      fireEvent.change(initialLoanInput, { target: { value: '300000' } });
+      fireEvent.change(homePriceInput, { target: { value: '300000' } });
       fireEvent.change(downPaymentInput, { target: { value: '60000' } });
       fireEvent.change(loanTermInput, { target: { value: '30' } });
       fireEvent.change(aprInput, { target: { value: '5' } });
@@ -236,12 +236,12 @@ describe('Calc Page Integration Tests', () => {
       renderWithProviders(<Calc />);
 
       // Fill and calculate form without selecting bank
-      const initialLoanInput = screen.getByLabelText(/Initial Loan/i);
+      const homePriceInput = screen.getByLabelText(/Property Price/i);
       const downPaymentInput = screen.getByLabelText(/Down Payment/i);
       const loanTermInput = screen.getByLabelText(/Loan Term/i);
       const aprInput = screen.getByLabelText(/APR/i);
 
-      fireEvent.change(initialLoanInput, { target: { value: '300000' } });
+      fireEvent.change(homePriceInput, { target: { value: '300000' } });
       fireEvent.change(downPaymentInput, { target: { value: '60000' } });
       fireEvent.change(loanTermInput, { target: { value: '30' } });
       fireEvent.change(aprInput, { target: { value: '5' } });
@@ -267,12 +267,12 @@ describe('Calc Page Integration Tests', () => {
       renderWithProviders(<Calc />);
 
       // Fill form and calculate
-      const initialLoanInput = screen.getByLabelText(/Initial Loan/i);
+      const homePriceInput = screen.getByLabelText(/Property Price/i);
       const downPaymentInput = screen.getByLabelText(/Down Payment/i);
       const loanTermInput = screen.getByLabelText(/Loan Term/i);
       const aprInput = screen.getByLabelText(/APR/i);
 
-      fireEvent.change(initialLoanInput, { target: { value: '300000' } });
+      fireEvent.change(homePriceInput, { target: { value: '300000' } });
       fireEvent.change(downPaymentInput, { target: { value: '60000' } });
       fireEvent.change(loanTermInput, { target: { value: '30' } });
       fireEvent.change(aprInput, { target: { value: '5' } });
@@ -289,7 +289,7 @@ describe('Calc Page Integration Tests', () => {
       fireEvent.click(resetButton);
 
       // Verify all fields are cleared
-      expect(initialLoanInput).toHaveValue('');
+      expect(homePriceInput).toHaveValue('');
       expect(downPaymentInput).toHaveValue('');
       expect(loanTermInput).toHaveValue('');
       expect(aprInput).toHaveValue('');
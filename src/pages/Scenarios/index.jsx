@@ -0,0 +1,171 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import DeleteIcon from '@mui/icons-material/Delete';
+import OpenInNewIcon from '@mui/icons-material/OpenInNew';
+import { useSelector, useDispatch } from 'react-redux';
+import numeral from 'numeral';
+import { scenariosActions, scenariosSelectors } from '../../redux/scenarios';
+import { formatDate } from '../../locales';
+import { PAYMENT_FREQUENCIES } from '../../utils/mortgage-utils';
+import './style.css';
+
+// Scenarios side by side; more columns do not fit the comparison table
+export const MAX_COMPARED_SCENARIOS = 4;
+
+const formatMoney = (value) => numeral(value).format('$0,0.00');
+
+// Scenarios may pay at different frequencies, so payments are compared per month
+const getMonthlyEquivalent = (payment, { paymentFrequency }) => {
+  const frequency = Object.values(PAYMENT_FREQUENCIES).find(({ label }) => label === paymentFrequency);
+  return frequency ? payment * frequency.periodsPerYear / 12 : payment;
+};
+
+// Rows of the comparison table; lower is better for every metric
+const COMPARISON_METRICS = [
+  {
+    key: 'payment',
+    label: 'Payment',
+    format: (value, { paymentFrequency }) => `${formatMoney(value)} ${paymentFrequency.toLowerCase()}`,
+    value: getMonthlyEquivalent
+  },
+  { key: 'totalInterest', label: 'Total Interest', format: formatMoney },
+  { key: 'payoffDate', label: 'Payoff Date', format: (value) => formatDate(value), value: (value) => new Date(value).getTime() },
+  { key: 'totalCost', label: 'Total Cost', format: formatMoney }
+];
+
+function Scenarios() {
+  const scenarios = useSelector(scenariosSelectors.getAllScenarios);
+  const dispatch = useDispatch();
+  const [selectedIds, setSelectedIds] = useState([]);
+
+  const compared = selectedIds
+    .map(id => scenarios.find(scenario => scenario.id === id))
+    .filter(Boolean);
+
+  const handleToggle = (id) => {
+    setSelectedIds(prev => {
+      if (prev.includes(id)) return prev.filter(selectedId => selectedId !== id);
+      if (prev.length >= MAX_COMPARED_SCENARIOS) return prev;
+      return [...prev, id];
+    });
+  };
+
+  const handleDelete = (id) => {
+    dispatch(scenariosActions.removeScenario(id));
+    setSelectedIds(prev => prev.filter(selectedId => selectedId !== id));
+  };
+
+  const getBestValue = (metric) => {
+    const toValue = metric.value || (value => value);
+    return Math.min(...compared.map(scenario => toValue(scenario.results[metric.key], scenario.results)));
+  };
+
+  return (
+    <div className="scenarios-container">
+      <div className="scenarios-content">
+        <div className="scenarios-header">
+          <h1 className="scenarios-title">Saved Scenarios</h1>
+          <p className="scenarios-subtitle">
+            Select up to {MAX_COMPARED_SCENARIOS} scenarios to compare them side by side
+          </p>
+        </div>
+
+        {scenarios.length === 0 ? (
+          <div className="scenarios-section scenarios-empty" data-testid="scenarios-empty">
+            No saved scenarios yet. Calculate a payment and save it from the{' '}
+            <Link to="/calc">calculator</Link>.
+          </div>
+        ) : (
+          <div className="scenarios-section">
+            <ul className="scenarios-list" data-testid="scenarios-list">
+              {scenarios.map(scenario => {
+                const selected = selectedIds.includes(scenario.id);
+                return (
+                  <li
+                    key={scenario.id}
+                    className={`scenarios-item ${selected ? 'selected' : ''}`}
+                    data-testid={`scenario-${scenario.id}`}
+                  >
+                    <label className="scenarios-item-label">
+                      <input
+                        type="checkbox"
+                        checked={selected}
+                        disabled={!selected && selectedIds.length >= MAX_COMPARED_SCENARIOS}
+                        onChange={() => handleToggle(scenario.id)}
+                      />
+                      <span className="scenarios-item-name">{scenario.name}</span>
+                      <span className="scenarios-item-details">
+                        {scenario.bank ? `${scenario.bank}, ` : ''}
+                        {formatMoney(scenario.results.payment)} {scenario.results.paymentFrequency.toLowerCase()},
+                        saved {formatDate(scenario.savedAt)}
+                      </span>
+                    </label>
+                    <Link
+                      className="scenarios-icon-button open"
+                      to={`/calc${scenario.query ? `?${scenario.query}` : ''}`}
+                      title="Open in calculator"
+                    >
+                      <OpenInNewIcon />
+                    </Link>
+                    <button
+                      className="scenarios-icon-button delete"
+                      onClick={() => handleDelete(scenario.id)}
+                      data-testid={`delete-scenario-${scenario.id}`}
+                      title="Delete scenario"
+                    >
+                      <DeleteIcon />
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        )}
+
+        {compared.length > 0 && (
+          <div className="scenarios-section">
+            <h2 className="scenarios-section-title">Comparison</h2>
+            <div className="scenarios-table-wrapper">
+              <table className="scenarios-table" data-testid="scenarios-comparison">
+                <thead>
+                  <tr>
+                    <th>Metric</th>
+                    {compared.map(scenario => (
+                      <th key={scenario.id}>{scenario.name}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {COMPARISON_METRICS.map(metric => {
+                    const best = getBestValue(metric);
+                    const toValue = metric.value || (value => value);
+                    return (
+                      <tr key={metric.key}>
+                        <td>{metric.label}</td>
+                        {compared.map(scenario => {
+                          const value = scenario.results[metric.key];
+                          const isBest = compared.length > 1 && toValue(value, scenario.results) === best;
+                          return (
+                            <td
+                              key={scenario.id}
+                              className={isBest ? 'best' : ''}
+                              data-testid={`compare-${metric.key}-${scenario.id}`}
+                            >
+                              {metric.format(value, scenario.results)}
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Scenarios;
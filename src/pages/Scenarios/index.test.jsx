@@ -0,0 +1,127 @@
+import React from 'react';
+import { render, fireEvent, screen, within } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import { Provider } from 'react-redux';
+import { MemoryRouter } from 'react-router-dom';
+import configureMockStore from 'redux-mock-store';
+import Scenarios from './index';
+
+const mockStore = configureMockStore([]);
+
+const buildScenario = (id, name, results) => ({
+  id,
+  name,
+  bank: 'Test Bank',
+  query: `bank=Test+Bank&homePrice=${id}`,
+  savedAt: '2026-01-15T10:00:00.000Z',
+  results: {
+    paymentFrequency: 'Monthly',
+    principal: 300000,
+    totalPayment: 0,
+    ...results
+  }
+});
+
+const initialState = {
+  scenarios: {
+    items: [
+      buildScenario('a', '30 years at 5%', { payment: 1610.46, totalInterest: 279765.6, totalCost: 639765.6, payoffDate: '2056-01-15T10:00:00.000Z' }),
+      buildScenario('b', '15 years at 4.5%', { payment: 2294.98, totalInterest: 113096.4, totalCost: 473096.4, payoffDate: '2041-01-15T10:00:00.000Z' }),
+      buildScenario('c', '20 years at 4.75%', { payment: 1938.66, totalInterest: 165278.4, totalCost: 525278.4, payoffDate: '2046-01-15T10:00:00.000Z' }),
+      buildScenario('d', '25 years at 5%', { payment: 1753.77, totalInterest: 226131, totalCost: 586131, payoffDate: '2051-01-15T10:00:00.000Z' }),
+      buildScenario('e', '30 years at 6%', { payment: 1798.65, totalInterest: 347514, totalCost: 707514, payoffDate: '2056-01-15T10:00:00.000Z' })
+    ]
+  }
+};
+
+const renderWithProviders = (ui, { reduxState } = {}) => {
+  const store = mockStore(reduxState || initialState);
+  const utils = render(
+    <Provider store={store}>
+      <MemoryRouter>{ui}</MemoryRouter>
+    </Provider>
+  );
+  return { ...utils, store };
+};
+
+const selectScenario = (name) => {
+  fireEvent.click(screen.getByRole('checkbox', { name: new RegExp(name) }));
+};
+
+describe('Scenarios Page', () => {
+  it('shows a hint when nothing is saved', () => {
+    renderWithProviders(<Scenarios />, { reduxState: { scenarios: { items: [] } } });
+
+    expect(screen.getByTestId('scenarios-empty')).toHaveTextContent(/No saved scenarios yet/i);
+    expect(screen.getByRole('link', { name: /calculator/i })).toHaveAttribute('href', '/calc');
+  });
+
+  it('lists saved scenarios with a link back to the calculator', () => {
+    renderWithProviders(<Scenarios />);
+
+    const item = screen.getByTestId('scenario-a');
+    expect(item).toHaveTextContent('30 years at 5%');
+    expect(item).toHaveTextContent('$1,610.46 monthly');
+    expect(within(item).getByTitle('Open in calculator')).toHaveAttribute('href', '/calc?bank=Test+Bank&homePrice=a');
+    expect(screen.queryByTestId('scenarios-comparison')).not.toBeInTheDocument();
+  });
+
+  it('compares the selected scenarios and highlights the best values', () => {
+    renderWithProviders(<Scenarios />);
+
+    selectScenario('30 years at 5%');
+    selectScenario('15 years at 4.5%');
+
+    const table = screen.getByTestId('scenarios-comparison');
+    expect(within(table).getByText('Payment')).toBeInTheDocument();
+    expect(within(table).getByText('Total Interest')).toBeInTheDocument();
+    expect(within(table).getByText('Payoff Date')).toBeInTheDocument();
+    expect(within(table).getByText('Total Cost')).toBeInTheDocument();
+
+    expect(screen.getByTestId('compare-payment-a')).toHaveTextContent('$1,610.46');
+    expect(screen.getByTestId('compare-payment-a')).toHaveClass('best');
+    expect(screen.getByTestId('compare-totalInterest-b')).toHaveClass('best');
+    expect(screen.getByTestId('compare-payoffDate-b')).toHaveClass('best');
+    expect(screen.getByTestId('compare-totalCost-b')).toHaveTextContent('$473,096.40');
+    expect(screen.getByTestId('compare-totalCost-a')).not.toHaveClass('best');
+  });
+
+  it('compares payments of different frequencies per month', () => {
+    const reduxState = {
+      scenarios: {
+        items: [
+          buildScenario('a', 'Monthly', { payment: 1610.46, totalInterest: 279765.6, totalCost: 639765.6, payoffDate: '2056-01-15T10:00:00.000Z' }),
+          buildScenario('b', 'Weekly', { paymentFrequency: 'Weekly', payment: 380, totalInterest: 279300, totalCost: 639300, payoffDate: '2056-01-15T10:00:00.000Z' })
+        ]
+      }
+    };
+    renderWithProviders(<Scenarios />, { reduxState });
+
+    selectScenario('Monthly');
+    selectScenario('Weekly');
+
+    expect(screen.getByTestId('compare-payment-b')).toHaveTextContent('$380.00 weekly');
+    expect(screen.getByTestId('compare-payment-b')).not.toHaveClass('best');
+    expect(screen.getByTestId('compare-payment-a')).toHaveClass('best');
+  });
+
+  it('limits the comparison to four scenarios', () => {
+    renderWithProviders(<Scenarios />);
+
+    ['30 years at 5%', '15 years at 4.5%', '20 years at 4.75%', '25 years at 5%'].forEach(selectScenario);
+
+    expect(screen.getByRole('checkbox', { name: /30 years at 6%/ })).toBeDisabled();
+    expect(within(screen.getByTestId('scenarios-comparison')).getAllByRole('columnheader')).toHaveLength(5);
+
+    selectScenario('25 years at 5%');
+    expect(screen.getByRole('checkbox', { name: /30 years at 6%/ })).not.toBeDisabled();
+  });
+
+  it('dispatches removeScenario on delete', () => {
+    const { store } = renderWithProviders(<Scenarios />);
+
+    fireEvent.click(screen.getByTestId('delete-scenario-b'));
+
+    expect(store.getActions()).toEqual([{ type: 'scenarios/remove', payload: 'b' }]);
+  });
+});
@@ -0,0 +1,2 @@
+export * as scenariosActions from './scenarios-actions'
+export * as scenariosSelectors from './scenarios-selectors'
@@ -0,0 +1,34 @@
+import scenariosReducer from './scenarios-reducer';
+import { addScenario, removeScenario } from './scenarios-actions';
+import { getAllScenarios } from './scenarios-selectors';
+
+describe('Scenarios Redux', () => {
+  const scenario = {
+    name: '30 years at 5%',
+    inputs: { bank: 'Test Bank' },
+    results: { payment: 1610.46, totalInterest: 279765.6, totalCost: 639765.6 }
+  };
+
+  it('should add a scenario with an id and save date', () => {
+    const state = scenariosReducer(undefined, addScenario(scenario));
+
+    expect(state.items).toHaveLength(1);
+    expect(state.items[0]).toMatchObject(scenario);
+    expect(state.items[0].id).toEqual(expect.any(String));
+    expect(new Date(state.items[0].savedAt).toString()).not.toBe('Invalid Date');
+  });
+
+  it('should remove a scenario by id', () => {
+    const added = scenariosReducer(undefined, addScenario(scenario));
+    const withSecond = scenariosReducer(added, addScenario({ ...scenario, name: 'Second' }));
+    const state = scenariosReducer(withSecond, removeScenario(added.items[0].id));
+
+    expect(state.items.map(item => item.name)).toEqual(['Second']);
+  });
+
+  it('should select all scenarios', () => {
+    const scenarios = scenariosReducer(undefined, addScenario(scenario));
+
+    expect(getAllScenarios({ scenarios })).toEqual(scenarios.items);
+  });
+});
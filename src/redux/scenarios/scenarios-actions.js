@@ -0,0 +1,12 @@
+import { createAction } from '@reduxjs/toolkit';
+import { v4 as uuidv4 } from 'uuid';
+
+export const addScenario = createAction('scenarios/add', scenario => ({
+  payload: {
+    ...scenario,
+    id: uuidv4(),
+    savedAt: new Date().toISOString()
+  }
+}));
+
+export const removeScenario = createAction('scenarios/remove');
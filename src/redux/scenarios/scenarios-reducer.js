@@ -0,0 +1,18 @@
+import { createReducer, combineReducers } from '@reduxjs/toolkit'
+import { List } from 'immutable'
+import { addScenario, removeScenario } from './scenarios-actions'
+
+const items = createReducer([], {
+  [addScenario]: (state, { payload }) => {
+    return List(state).push(payload).toJS()
+  },
+  [removeScenario]: (state, { payload }) => {
+    return List(state)
+      .filter(scenario => scenario.id !== payload)
+      .toJS()
+  },
+})
+
+export default combineReducers({
+  items,
+})
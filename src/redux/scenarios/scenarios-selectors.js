@@ -0,0 +1 @@
+export const getAllScenarios = (state) => state.scenarios.items
@@ -1,6 +1,8 @@
 import { configureStore } from '@reduxjs/toolkit';
 import logger from 'redux-logger';
 import {
+  persistStore,
+  persistReducer,
   FLUSH,
   REHYDRATE,
   PAUSE,
@@ -8,11 +10,19 @@ import {
   PURGE,
   REGISTER,
 } from 'redux-persist';
+import storage from 'redux-persist/lib/storage';
 import banksReducer from './banks/banks-reducer';
+import scenariosReducer from './scenarios/scenarios-reducer';
+
+const scenariosPersistConfig = {
+  key: 'scenarios',
+  storage,
+};
 
 const store = configureStore({
   reducer: {
     banks: banksReducer,
+    scenarios: persistReducer(scenariosPersistConfig, scenariosReducer),
   },
   middleware: getDefaultMiddleware =>
     getDefaultMiddleware({
@@ -23,4 +33,6 @@ const store = configureStore({
   devTools: process.env.NODE_ENV === 'development',
 });
 
+export const persistor = persistStore(store);
+
 export default store;
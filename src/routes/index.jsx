@@ -2,6 +2,8 @@ import { Routes, Route } from 'react-router-dom'
 import Home from '../pages/Home'
 import Banks from '../pages/Banks'
 import Calc from '../pages/Calc'
+import Afford from '../pages/Afford'
+import Scenarios from '../pages/Scenarios'
 import PatternsDemo from '../pages/PatternsDemo'
 
 function AppRoutes() {
@@ -13,6 +15,14 @@ function AppRoutes() {
                 path='/calc'
                 element={<Calc />}
             />
+            <Route 
+                path='/afford'
+                element={<Afford />}
+            />
+            <Route 
+                path='/scenarios'
+                element={<Scenarios />}
+            />
             <Route 
                 path='/banks'
                 element={
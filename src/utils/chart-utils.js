@@ -0,0 +1,133 @@
+import { round } from 'lodash';
+
+/**
+ * Chart utilities
+ * Series and geometry for the dependency-free SVG loan charts,
+ * plus rasterizing their SVG markup for PDF reports
+ */
+
+export const CHART_WIDTH = 600;
+export const CHART_HEIGHT = 240;
+export const CHART_PADDING = { top: 16, right: 16, bottom: 28, left: 64 };
+
+export const CHART_COLORS = {
+  balance: '#3498db',
+  principal: '#27ae60',
+  interest: '#e67e22',
+  axis: '#bdc3c7',
+  text: '#7f8c8d'
+};
+
+/**
+ * Derive the chart series of an amortization schedule
+ * @param {Array} schedule - Rows from generateAmortizationSchedule
+ * @returns {Object} Per-period balance, principal, interest, cumulativePrincipal and cumulativeInterest
+ */
+export const buildChartSeries = (schedule) => {
+  let cumulativePrincipal = 0;
+
+  return schedule.reduce((series, row) => {
+    cumulativePrincipal = round(cumulativePrincipal + row.principal, 2);
+    series.balance.push(row.balance);
+    series.principal.push(row.principal);
+    series.interest.push(row.interest);
+    series.cumulativePrincipal.push(cumulativePrincipal);
+    series.cumulativeInterest.push(row.cumulativeInterest);
+    return series;
+  }, { balance: [], principal: [], interest: [], cumulativePrincipal: [], cumulativeInterest: [] });
+};
+
+/**
+ * Linear scale from [0, domainMax] onto [rangeStart, rangeEnd]
+ * @param {number} domainMax - Largest input value
+ * @param {number} rangeStart - Output for 0
+ * @param {number} rangeEnd - Output for domainMax
+ * @returns {Function} Scale function
+ */
+export const createScale = (domainMax, rangeStart, rangeEnd) => (value) => (
+  rangeStart + (domainMax > 0 ? value / domainMax : 0) * (rangeEnd - rangeStart)
+);
+
+/**
+ * Round the axis maximum up to a value that splits into even ticks
+ * @param {number} max - Largest value on the axis
+ * @param {number} count - Number of ticks above zero
+ * @returns {Array<number>} Tick values from 0 to the rounded maximum
+ */
+export const getTicks = (max, count = 4) => {
+  if (!(max > 0)) return [0];
+
+  const rawStep = max / count;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+  const step = [1, 2, 2.5, 5, 10].map(factor => factor * magnitude).find(value => value >= rawStep);
+
+  return Array.from({ length: count + 1 }, (_, index) => round(index * step, 2));
+};
+
+/**
+ * Plot area of a chart and the scales onto it
+ * @param {number} periods - Number of payments on the x axis
+ * @param {number} yMax - Top of the y axis
+ * @returns {Object} left, right, top, bottom, x (period -> px) and y (value -> px)
+ */
+export const getPlotArea = (periods, yMax) => {
+  const left = CHART_PADDING.left;
+  const right = CHART_WIDTH - CHART_PADDING.right;
+  const top = CHART_PADDING.top;
+  const bottom = CHART_HEIGHT - CHART_PADDING.bottom;
+
+  return {
+    left,
+    right,
+    top,
+    bottom,
+    x: createScale(Math.max(periods, 1), left, right),
+    y: createScale(yMax, bottom, top)
+  };
+};
+
+/**
+ * SVG path through one value per period
+ * @param {Array<number>} values - Value of each period, period 1 first
+ * @param {Object} plot - Result of getPlotArea
+ * @returns {string} Path data
+ */
+export const buildLinePath = (values, plot) => (
+  values
+    .map((value, index) => `${index === 0 ? 'M' : 'L'}${round(plot.x(index + 1), 2)},${round(plot.y(value), 2)}`)
+    .join(' ')
+);
+
+/**
+ * Rasterize SVG markup to a PNG data URL, e.g. for jsPDF addImage
+ * The SVG must carry its own xmlns and presentation attributes; page CSS does not apply
+ * @param {string} svg - SVG markup
+ * @param {number} width - Width of the SVG in px
+ * @param {number} height - Height of the SVG in px
+ * @param {number} scale - Resolution multiplier of the image
+ * @returns {Promise<string>} PNG data URL
+ */
+export const svgToDataUrl = (svg, width = CHART_WIDTH, height = CHART_HEIGHT, scale = 2) => (
+  new Promise((resolve, reject) => {
+    const image = new Image();
+
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+
+      const context = canvas.getContext('2d');
+      if (!context) {
+        reject(new Error('Canvas is not supported'));
+        return;
+      }
+
+      context.fillStyle = '#ffffff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.drawImage(image, 0, 0, canvas.width, canvas.height);
+      resolve(canvas.toDataURL('image/png'));
+    };
+    image.onerror = () => reject(new Error('Failed to render chart image'));
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  })
+);
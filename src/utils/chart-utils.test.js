@@ -0,0 +1,43 @@
+import { buildChartSeries, createScale, getTicks, getPlotArea, buildLinePath, CHART_PADDING } from './chart-utils';
+import { generateAmortizationSchedule } from './mortgage-utils';
+
+describe('Chart Utils', () => {
+  describe('buildChartSeries', () => {
+    it('should collect balance, composition and cumulative totals per period', () => {
+      const schedule = generateAmortizationSchedule(100000, 6, 2);
+      const series = buildChartSeries(schedule);
+
+      expect(series.balance).toHaveLength(24);
+      expect(series.balance[23]).toBe(0);
+      expect(series.principal[0] + series.interest[0]).toBeCloseTo(schedule[0].payment, 2);
+      expect(series.cumulativePrincipal[23]).toBe(100000);
+      expect(series.cumulativeInterest[23]).toBe(schedule[23].cumulativeInterest);
+    });
+  });
+
+  describe('getTicks', () => {
+    it('should round the axis up to even steps', () => {
+      expect(getTicks(300000)).toEqual([0, 100000, 200000, 300000, 400000]);
+      expect(getTicks(1850)).toEqual([0, 500, 1000, 1500, 2000]);
+      expect(getTicks(0)).toEqual([0]);
+    });
+  });
+
+  describe('scales', () => {
+    it('should map values linearly onto the plot area', () => {
+      const scale = createScale(100, 0, 200);
+      expect(scale(50)).toBe(100);
+      expect(createScale(0, 10, 20)(5)).toBe(10);
+
+      const plot = getPlotArea(10, 1000);
+      expect(plot.x(10)).toBe(plot.right);
+      expect(plot.y(0)).toBe(plot.bottom);
+      expect(plot.y(1000)).toBe(CHART_PADDING.top);
+    });
+
+    it('should build a line path through every value', () => {
+      const plot = getPlotArea(2, 100);
+      expect(buildLinePath([100, 0], plot)).toBe(`M${plot.x(1)},${plot.top} L${plot.right},${plot.bottom}`);
+    });
+  });
+});
@@ -1,3 +1,5 @@
+import { formatMoney } from './money-utils';
+
 /**
  * File utilities for managing files with language filesystem capabilities
  * Uses File API, FileReader, and Blob for data export/import
@@ -96,6 +98,149 @@ export const exportBanksToCSV = (banks, filename = 'banks-data.csv') => {
   }
 };
 
+/**
+ * Export a rate x term payment sensitivity matrix to CSV file
+ * @param {Object} matrix - Result of buildSensitivityMatrix
+ * @param {string} filename - Name of the file to save
+ */
+export const exportSensitivityToCSV = (matrix, filename = 'payment-sensitivity.csv') => {
+  try {
+    if (matrix.rows.length === 0) {
+      throw new Error('No sensitivity data to export');
+    }
+
+    // One column per term, one row per rate
+    const headers = ['Rate (%)', ...matrix.terms.map(years => `${years} years ($)`)];
+    const csvRows = [
+      headers.join(','),
+      ...matrix.rows.map(row => [row.rate, ...row.payments].join(','))
+    ];
+    
+    // Create Blob with CSV data
+    const blob = new Blob([csvRows.join('\n')], { 
+      type: 'text/csv;charset=utf-8' 
+    });
+    
+    // Create download link
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    
+    // Trigger download
+    document.body.appendChild(link);
+    link.click();
+    
+    // Cleanup
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+    
+    return true;
+  } catch (error) {
+    console.error('Error exporting sensitivity matrix to CSV:', error);
+    throw new Error('Failed to export sensitivity matrix');
+  }
+};
+
+// iCalendar dates: YYYYMMDD for all-day events, YYYYMMDDTHHMMSSZ for timestamps
+const pad = (value) => String(value).padStart(2, '0');
+const formatICSDate = (date) => `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+const formatICSTimestamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Backslashes, commas, semicolons and line breaks are escaped in text values
+const escapeICSText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/[,;]/g, match => `\\${match}`)
+  .replace(/\n/g, '\\n');
+
+// Lines longer than 75 characters continue on the next line after a space
+const foldICSLine = (line) => {
+  const parts = [line.slice(0, 75)];
+  for (let start = 75; start < line.length; start += 74) {
+    parts.push(line.slice(start, start + 74));
+  }
+  return parts.join('\r\n ');
+};
+
+/**
+ * Export a payment schedule to an iCalendar (.ics) file, one all-day event per payment
+ * @param {Array} schedule - Rows from generateAmortizationSchedule, with due dates
+ * @param {Object} options - reminderDays before each payment (0 for none), title of the events and filename
+ */
+export const exportScheduleToICS = (schedule, { reminderDays = 3, title = 'Mortgage payment', filename = 'mortgage-payments.ics' } = {}) => {
+  try {
+    if (schedule.length === 0) {
+      throw new Error('No payment schedule to export');
+    }
+
+    const timestamp = formatICSTimestamp(new Date());
+    const events = schedule.map(row => {
+      const dueDate = new Date(row.date);
+      const nextDay = new Date(dueDate.getFullYear(), dueDate.getMonth(), dueDate.getDate() + 1);
+      const summary = `${title} ${row.period} of ${schedule.length}: $${formatMoney(row.payment)}`;
+      const description = [
+        `Payment: $${formatMoney(row.payment)}`,
+        `Principal: $${formatMoney(row.principal)}`,
+        `Interest: $${formatMoney(row.interest)}`,
+        ...(row.extra > 0 ? [`Extra principal: $${formatMoney(row.extra)}`] : []),
+        `Remaining balance: $${formatMoney(row.balance)}`
+      ].join('\n');
+
+      return [
+        'BEGIN:VEVENT',
+        `UID:payment-${row.period}-${formatICSDate(dueDate)}@mortgage-calculator`,
+        `DTSTAMP:${timestamp}`,
+        `DTSTART;VALUE=DATE:${formatICSDate(dueDate)}`,
+        `DTEND;VALUE=DATE:${formatICSDate(nextDay)}`,
+        `SUMMARY:${escapeICSText(summary)}`,
+        `DESCRIPTION:${escapeICSText(description)}`,
+        ...(reminderDays > 0 ? [
+          'BEGIN:VALARM',
+          'ACTION:DISPLAY',
+          `TRIGGER:-P${reminderDays}D`,
+          `DESCRIPTION:${escapeICSText(summary)}`,
+          'END:VALARM'
+        ] : []),
+        'END:VEVENT'
+      ];
+    });
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Mortgage Calculator//Payment Calendar//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      ...events.flat(),
+      'END:VCALENDAR'
+    ];
+    
+    // Create Blob with iCalendar data, lines end with CRLF
+    const blob = new Blob([lines.map(foldICSLine).join('\r\n') + '\r\n'], { 
+      type: 'text/calendar;charset=utf-8' 
+    });
+    
+    // Create download link
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    
+    // Trigger download
+    document.body.appendChild(link);
+    link.click();
+    
+    // Cleanup
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+    
+    return true;
+  } catch (error) {
+    console.error('Error exporting payment calendar:', error);
+    throw new Error('Failed to export payment calendar');
+  }
+};
+
 /**
  * Import banks data from JSON file
  * @param {File} file - File object to read
@@ -340,6 +485,8 @@ export const formatFileSize = (bytes) => {
 export default {
   exportBanksToJSON,
   exportBanksToCSV,
+  exportSensitivityToCSV,
+  exportScheduleToICS,
   importBanksFromJSON,
   importBanksFromCSV,
   createFileInput,
@@ -1,6 +1,8 @@
 import {
   exportBanksToJSON,
   exportBanksToCSV,
+  exportSensitivityToCSV,
+  exportScheduleToICS,
   importBanksFromJSON,
   importBanksFromCSV,
   createFileInput,
@@ -127,6 +129,73 @@ describe('File Utilities', () => {
     });
   });
 
+  describe('exportSensitivityToCSV', () => {
+    const matrix = {
+      terms: [15, 30],
+      rows: [
+        { rate: 4.5, payments: [2294.98, 1520.06] },
+        { rate: 5, payments: [2372.38, 1610.46] }
+      ]
+    };
+
+    it('should export one row per rate and one column per term', () => {
+      const result = exportSensitivityToCSV(matrix);
+      
+      expect(result).toBe(true);
+      expect(Blob).toHaveBeenCalledWith(
+        ['Rate (%),15 years ($),30 years ($)\n4.5,2294.98,1520.06\n5,2372.38,1610.46'],
+        { type: 'text/csv;charset=utf-8' }
+      );
+    });
+
+    it('should throw error for an empty matrix', () => {
+      expect(() => exportSensitivityToCSV({ terms: [30], rows: [] })).toThrow('Failed to export sensitivity matrix');
+    });
+  });
+
+  describe('exportScheduleToICS', () => {
+    const schedule = [
+      { period: 1, date: new Date(2025, 1, 1), payment: 1610.46, principal: 360.46, interest: 1250, extra: 0, balance: 299639.54 },
+      { period: 2, date: new Date(2025, 2, 1), payment: 1610.46, principal: 361.96, interest: 1248.5, extra: 0, balance: 299277.58 }
+    ];
+    const unfold = (content) => content.replace(/\r\n /g, '');
+
+    it('should export one event per payment', () => {
+      const result = exportScheduleToICS(schedule);
+      const [[content], options] = Blob.mock.calls[0];
+      
+      expect(result).toBe(true);
+      expect(options).toEqual({ type: 'text/calendar;charset=utf-8' });
+      expect(content.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+      expect(content.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+      expect(content).toContain('DTSTART;VALUE=DATE:20250201\r\nDTEND;VALUE=DATE:20250202');
+      expect(content).toContain('DTSTART;VALUE=DATE:20250301');
+      expect(content.split('\r\n').every(line => line.length <= 75)).toBe(true);
+    });
+
+    it('should describe the payment split and the remaining balance', () => {
+      exportScheduleToICS(schedule);
+      const content = unfold(Blob.mock.calls[0][0][0]);
+      
+      expect(content).toContain('SUMMARY:Mortgage payment 1 of 2: $1\\,610.46');
+      expect(content).toContain(
+        'DESCRIPTION:Payment: $1\\,610.46\\nPrincipal: $360.46\\nInterest: $1\\,250.00\\nRemaining balance: $299\\,639.54'
+      );
+    });
+
+    it('should remind the given number of days before each payment', () => {
+      exportScheduleToICS(schedule, { reminderDays: 5 });
+      expect(Blob.mock.calls[0][0][0].match(/TRIGGER:-P5D/g)).toHaveLength(2);
+
+      exportScheduleToICS(schedule, { reminderDays: 0 });
+      expect(Blob.mock.calls[1][0][0]).not.toContain('VALARM');
+    });
+
+    it('should throw error for an empty schedule', () => {
+      expect(() => exportScheduleToICS([])).toThrow('Failed to export payment calendar');
+    });
+  });
+
   describe('importBanksFromJSON', () => {
     it('should import banks from valid JSON file', async () => {
       const mockFile = new File(JSON.stringify(mockBanks), 'test.json', { type: 'application/json' });
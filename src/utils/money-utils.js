@@ -0,0 +1,173 @@
+/**
+ * Money utilities
+ * Exact money arithmetic on integer minor units (cents), so payments, totals
+ * and balances agree to the cent between the calculator, the cards and the PDFs
+ */
+
+// Minor units per major unit as a power of ten: cents
+export const MONEY_DECIMALS = 2;
+
+// Half-up rounds .5 away from zero; banker's rounds .5 to the even neighbour
+export const ROUNDING_MODES = {
+  HALF_UP: 'halfUp',
+  HALF_EVEN: 'halfEven'
+};
+
+export const ROUNDING_MODE_LABELS = {
+  [ROUNDING_MODES.HALF_UP]: 'Half-up',
+  [ROUNDING_MODES.HALF_EVEN]: "Banker's (half-even)"
+};
+
+// Float noise allowed when deciding whether a fraction is exactly one half
+const HALF_TOLERANCE = 1e-9;
+
+// Move the decimal point without the float error of multiplying, e.g. 1.005 * 100
+const shiftDecimal = (value, places) => {
+  const [mantissa, exponent = '0'] = String(value).split('e');
+  return Number(`${mantissa}e${Number(exponent) + places}`);
+};
+
+/**
+ * Round a fractional amount of minor units to a whole number of them
+ * @param {number} value - Amount in minor units, possibly fractional
+ * @param {string} mode - One of ROUNDING_MODES
+ * @returns {number} Integer amount in minor units
+ */
+export const roundMinor = (value, mode = ROUNDING_MODES.HALF_UP) => {
+  if (!Number.isFinite(value)) return 0;
+
+  const sign = value < 0 ? -1 : 1;
+  const absolute = Math.abs(value);
+  const floor = Math.floor(absolute);
+  const fraction = absolute - floor;
+
+  let rounded;
+  if (Math.abs(fraction - 0.5) <= HALF_TOLERANCE) {
+    rounded = mode === ROUNDING_MODES.HALF_EVEN && floor % 2 === 0 ? floor : floor + 1;
+  } else {
+    rounded = fraction > 0.5 ? floor + 1 : floor;
+  }
+
+  return sign * rounded || 0;
+};
+
+/**
+ * Convert an amount to integer minor units
+ * @param {number|string} amount - Amount in major units, e.g. dollars
+ * @param {string} mode - One of ROUNDING_MODES for sub-cent amounts
+ * @returns {number} Integer amount in minor units
+ */
+export const toMinor = (amount, mode = ROUNDING_MODES.HALF_UP) => {
+  const value = Number(amount);
+  if (!Number.isFinite(value)) return 0;
+
+  return roundMinor(shiftDecimal(value, MONEY_DECIMALS), mode);
+};
+
+/**
+ * Convert integer minor units back to an amount
+ * @param {number} minor - Amount in minor units
+ * @returns {number} Amount in major units
+ */
+export const fromMinor = (minor) => shiftDecimal(minor, -MONEY_DECIMALS);
+
+/**
+ * Round an amount to whole cents
+ * @param {number} amount - Amount in major units
+ * @param {string} mode - One of ROUNDING_MODES
+ * @returns {number} Amount rounded to cents
+ */
+export const roundMoney = (amount, mode = ROUNDING_MODES.HALF_UP) => fromMinor(toMinor(amount, mode));
+
+/**
+ * Add amounts exactly
+ * @param {...number} amounts - Amounts in major units
+ * @returns {number} Sum rounded to cents
+ */
+export const addMoney = (...amounts) => fromMinor(amounts.reduce((sum, amount) => sum + toMinor(amount), 0));
+
+/**
+ * Subtract amounts exactly
+ * @param {number} amount - Amount in major units
+ * @param {...number} subtrahends - Amounts to take off
+ * @returns {number} Difference rounded to cents
+ */
+export const subtractMoney = (amount, ...subtrahends) => (
+  fromMinor(subtrahends.reduce((difference, value) => difference - toMinor(value), toMinor(amount)))
+);
+
+/**
+ * Sum a money field of a list exactly
+ * @param {Array} items - Objects holding amounts
+ * @param {string|Function} iteratee - Field name or function returning the amount
+ * @returns {number} Sum rounded to cents
+ */
+export const sumMoney = (items, iteratee) => {
+  const getAmount = typeof iteratee === 'function' ? iteratee : (item) => item[iteratee];
+  return fromMinor(items.reduce((sum, item) => sum + toMinor(getAmount(item)), 0));
+};
+
+/**
+ * Interest on a balance for one period
+ * @param {number} balance - Outstanding balance in major units
+ * @param {number} periodicRate - Interest rate per period as a fraction
+ * @param {string} mode - One of ROUNDING_MODES
+ * @returns {number} Interest rounded to cents
+ */
+export const calculateInterest = (balance, periodicRate, mode = ROUNDING_MODES.HALF_UP) => (
+  fromMinor(roundMinor(toMinor(balance) * periodicRate, mode))
+);
+
+/**
+ * Level (annuity) payment that repays a principal over a number of periods
+ * @param {number} principal - Loan amount in major units
+ * @param {number} periodicRate - Interest rate per period as a fraction
+ * @param {number} numberOfPayments - Number of payments
+ * @param {string} mode - One of ROUNDING_MODES
+ * @returns {number} Payment rounded to cents
+ */
+export const calculateAnnuity = (principal, periodicRate, numberOfPayments, mode = ROUNDING_MODES.HALF_UP) => {
+  if (numberOfPayments <= 0) return 0;
+
+  const principalMinor = toMinor(principal);
+  if (periodicRate === 0) return fromMinor(roundMinor(principalMinor / numberOfPayments, mode));
+
+  const growth = Math.pow(1 + periodicRate, numberOfPayments);
+  return fromMinor(roundMinor(principalMinor * periodicRate * growth / (growth - 1), mode));
+};
+
+/**
+ * Apply one payment to a balance, settling the balance on the final payment
+ * The final payment is adjusted to whatever is left, so the balance ends at exactly zero
+ * @param {number} balance - Outstanding balance before the payment
+ * @param {number} periodicRate - Interest rate per period as a fraction
+ * @param {Object} terms - Either payment (level payment including interest) or principal (scheduled principal),
+ *   plus extra principal, isFinal to settle the balance and rounding, one of ROUNDING_MODES
+ * @returns {Object} interest, principal (including extra), extra, payment and the remaining balance, in major units
+ */
+export const applyPayment = (balance, periodicRate, terms = {}) => {
+  const { payment, principal, extra = 0, isFinal = false, rounding = ROUNDING_MODES.HALF_UP } = terms;
+  const balanceMinor = toMinor(balance);
+  const interestMinor = roundMinor(balanceMinor * periodicRate, rounding);
+  const dueMinor = principal !== undefined ? toMinor(principal) : toMinor(payment) - interestMinor;
+  const scheduledMinor = isFinal || dueMinor >= balanceMinor ? balanceMinor : dueMinor;
+  const extraMinor = Math.max(Math.min(toMinor(extra), balanceMinor - scheduledMinor), 0);
+  const principalMinor = scheduledMinor + extraMinor;
+
+  return {
+    interest: fromMinor(interestMinor),
+    principal: fromMinor(principalMinor),
+    extra: fromMinor(extraMinor),
+    payment: fromMinor(principalMinor + interestMinor),
+    balance: fromMinor(balanceMinor - principalMinor)
+  };
+};
+
+/**
+ * Format an amount with thousands separators and exactly two decimals
+ * @param {number} amount - Amount in major units
+ * @returns {string} Formatted amount without a currency symbol, e.g. 1,610.40
+ */
+export const formatMoney = (amount) => (
+  fromMinor(toMinor(amount)).toLocaleString('en-US', { minimumFractionDigits: MONEY_DECIMALS, maximumFractionDigits: MONEY_DECIMALS })
+);
@@ -0,0 +1,122 @@
+import {
+  ROUNDING_MODES,
+  roundMinor,
+  toMinor,
+  fromMinor,
+  roundMoney,
+  addMoney,
+  subtractMoney,
+  sumMoney,
+  calculateInterest,
+  calculateAnnuity,
+  applyPayment,
+  formatMoney
+} from './money-utils';
+
+describe('Money Utils', () => {
+  describe('roundMinor', () => {
+    it('should round halves away from zero in half-up mode', () => {
+      expect(roundMinor(2.5)).toBe(3);
+      expect(roundMinor(3.5)).toBe(4);
+      expect(roundMinor(-2.5)).toBe(-3);
+      expect(roundMinor(2.49)).toBe(2);
+    });
+
+    it('should round halves to even in banker\'s mode', () => {
+      expect(roundMinor(2.5, ROUNDING_MODES.HALF_EVEN)).toBe(2);
+      expect(roundMinor(3.5, ROUNDING_MODES.HALF_EVEN)).toBe(4);
+      expect(roundMinor(-2.5, ROUNDING_MODES.HALF_EVEN)).toBe(-2);
+      expect(roundMinor(2.51, ROUNDING_MODES.HALF_EVEN)).toBe(3);
+    });
+
+    it('should treat float noise around a half as a half', () => {
+      expect(roundMinor(0.1 * 3 * 10 + 0.5 - 3, ROUNDING_MODES.HALF_EVEN)).toBe(0);
+      expect(roundMinor(NaN)).toBe(0);
+    });
+  });
+
+  describe('toMinor and fromMinor', () => {
+    it('should convert without float error', () => {
+      expect(toMinor(1.005)).toBe(101);
+      expect(toMinor(1.005, ROUNDING_MODES.HALF_EVEN)).toBe(100);
+      expect(toMinor('1610.46')).toBe(161046);
+      expect(toMinor(1e-7)).toBe(0);
+      expect(fromMinor(161046)).toBe(1610.46);
+    });
+  });
+
+  describe('arithmetic', () => {
+    it('should add, subtract and sum to the cent', () => {
+      expect(0.1 + 0.2).not.toBe(0.3);
+      expect(addMoney(0.1, 0.2)).toBe(0.3);
+      expect(subtractMoney(1, 0.9, 0.05)).toBe(0.05);
+      expect(sumMoney([{ amount: 0.1 }, { amount: 0.2 }, { amount: 0.3 }], 'amount')).toBe(0.6);
+      expect(sumMoney([1.11, 2.22], value => value)).toBe(3.33);
+      expect(roundMoney(2.675)).toBe(2.68);
+      expect(roundMoney(2.665, ROUNDING_MODES.HALF_EVEN)).toBe(2.66);
+    });
+  });
+
+  describe('calculateInterest', () => {
+    it('should round the interest of a period to cents', () => {
+      expect(calculateInterest(300000, 0.05 / 12)).toBe(1250);
+      expect(calculateInterest(1000.1, 0.005)).toBe(5);
+    });
+  });
+
+  describe('calculateAnnuity', () => {
+    it('should compute the level payment', () => {
+      expect(calculateAnnuity(300000, 0.05 / 12, 360)).toBe(1610.46);
+      expect(calculateAnnuity(1200, 0, 12)).toBe(100);
+      expect(calculateAnnuity(1000, 0.01, 0)).toBe(0);
+    });
+  });
+
+  describe('applyPayment', () => {
+    it('should split a level payment into interest and principal', () => {
+      expect(applyPayment(300000, 0.05 / 12, { payment: 1610.46 })).toEqual({
+        interest: 1250,
+        principal: 360.46,
+        extra: 0,
+        payment: 1610.46,
+        balance: 299639.54
+      });
+    });
+
+    it('should settle the whole balance on the final payment', () => {
+      const row = applyPayment(1602.3, 0.05 / 12, { payment: 1610.46, isFinal: true });
+
+      expect(row.principal).toBe(1602.3);
+      expect(row.payment).toBe(1608.98);
+      expect(row.balance).toBe(0);
+    });
+
+    it('should cap extra principal at the remaining balance', () => {
+      const row = applyPayment(1000, 0, { principal: 100, extra: 5000 });
+
+      expect(row.extra).toBe(900);
+      expect(row.balance).toBe(0);
+    });
+
+    it('should repay a whole loan to exactly zero', () => {
+      let balance = 300000;
+      let payments = 0;
+      for (let period = 1; period <= 360; period++) {
+        const row = applyPayment(balance, 0.05 / 12, { payment: 1610.46, isFinal: period === 360 });
+        balance = row.balance;
+        payments = addMoney(payments, row.payment);
+      }
+
+      expect(balance).toBe(0);
+      expect(payments).toBe(579769.69);
+    });
+  });
+
+  describe('formatMoney', () => {
+    it('should always show two decimals', () => {
+      expect(formatMoney(1610.4)).toBe('1,610.40');
+      expect(formatMoney(579767.349)).toBe('579,767.35');
+      expect(formatMoney(0)).toBe('0.00');
+    });
+  });
+});
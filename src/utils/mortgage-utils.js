@@ -0,0 +1,1240 @@
+import { isNumber, round, sortBy, sumBy } from 'lodash';
+import {
+  ROUNDING_MODES,
+  roundMoney,
+  addMoney,
+  subtractMoney,
+  sumMoney,
+  calculateInterest,
+  calculateAnnuity,
+  applyPayment
+} from './money-utils';
+
+/**
+ * Mortgage calculation utilities
+ * Payment and amortization math shared by the calculator page and PDF reports
+ */
+
+export const PREPAYMENT_STRATEGIES = {
+  SHORTEN_TERM: 'shortenTerm',
+  LOWER_PAYMENT: 'lowerPayment'
+};
+
+// Accelerated bi-weekly pays half of the monthly payment every two weeks,
+// which adds up to one extra monthly payment a year
+export const PAYMENT_FREQUENCIES = {
+  monthly: { label: 'Monthly', periodsPerYear: 12 },
+  semiMonthly: { label: 'Semi-monthly', periodsPerYear: 24 },
+  biWeekly: { label: 'Bi-weekly', periodsPerYear: 26 },
+  acceleratedBiWeekly: { label: 'Accelerated bi-weekly', periodsPerYear: 26, monthlyShare: 0.5 },
+  weekly: { label: 'Weekly', periodsPerYear: 52 }
+};
+
+// Annuity keeps every payment equal; differentiated repays a fixed principal share
+// plus interest on the remaining balance, so payments decline over the term
+export const REPAYMENT_SCHEMES = {
+  ANNUITY: 'annuity',
+  DIFFERENTIATED: 'differentiated'
+};
+
+// How often a quoted annual rate compounds, e.g. semi-annually for Canadian fixed-rate mortgages;
+// without one the quoted rate is nominal per payment period (monthly for monthly payments)
+export const COMPOUNDING_FREQUENCIES = {
+  monthly: { label: 'Monthly', periodsPerYear: 12 },
+  semiAnnual: { label: 'Semi-annual', periodsPerYear: 2 },
+  annual: { label: 'Annual', periodsPerYear: 1 },
+  daily: { label: 'Daily', periodsPerYear: 365 }
+};
+
+// How interest accrues over a payment period: 30/360 counts every month as 30 days of a
+// 360-day year, the actual bases count the calendar days between the due dates
+export const DAY_COUNT_BASES = {
+  THIRTY_360: '30/360',
+  ACTUAL_365: 'actual/365',
+  ACTUAL_ACTUAL: 'actual/actual'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getFrequency = (frequency) => PAYMENT_FREQUENCIES[frequency] || PAYMENT_FREQUENCIES.monthly;
+
+const getCompoundingPeriods = (compounding, paymentsPerYear) => (
+  COMPOUNDING_FREQUENCIES[compounding] ? COMPOUNDING_FREQUENCIES[compounding].periodsPerYear : paymentsPerYear
+);
+
+const daysBetween = (start, end) => Math.round((end - start) / DAY_MS);
+
+// Same day of a later month, clamped to the month end, so Jan 31 is followed by Feb 28
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getDate();
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+  result.setDate(Math.min(day, new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate()));
+  return result;
+};
+
+const daysInYear = (year) => (new Date(year, 1, 29).getMonth() === 1 ? 366 : 365);
+
+// US 30/360: the 31st counts as the 30th, the 31st after a 30th too
+const days360 = (start, end) => {
+  const startDay = Math.min(start.getDate(), 30);
+  const endDay = end.getDate() === 31 && startDay === 30 ? 30 : end.getDate();
+  return (end.getFullYear() - start.getFullYear()) * 360 +
+    (end.getMonth() - start.getMonth()) * 30 +
+    endDay - startDay;
+};
+
+/**
+ * Interest rate of one payment period under a compounding convention
+ * @param {number} annualRate - Quoted annual rate in percent
+ * @param {number} paymentsPerYear - Payments per year
+ * @param {string} compounding - Key of COMPOUNDING_FREQUENCIES, nominal per payment when not set
+ * @param {number} yearFraction - Length of the period in years, an equal share of the year by default
+ * @returns {number} Rate of the period as a fraction
+ */
+export const getPeriodicRate = (annualRate, paymentsPerYear, compounding, yearFraction = 1 / paymentsPerYear) => {
+  const compoundingPeriods = getCompoundingPeriods(compounding, paymentsPerYear);
+  if (compoundingPeriods === paymentsPerYear && yearFraction === 1 / paymentsPerYear) {
+    return annualRate / 100 / paymentsPerYear;
+  }
+  // A nominal rate accrues simple interest over a period of any other length
+  if (!COMPOUNDING_FREQUENCIES[compounding]) return annualRate / 100 * yearFraction;
+
+  return Math.pow(1 + annualRate / 100 / compoundingPeriods, compoundingPeriods * yearFraction) - 1;
+};
+
+/**
+ * Share of a year between two dates under a day-count basis
+ * @param {Date} start - Start of the period
+ * @param {Date} end - End of the period
+ * @param {string} basis - One of DAY_COUNT_BASES, 30/360 by default
+ * @returns {number} Length of the period in years
+ */
+export const getYearFraction = (start, end, basis = DAY_COUNT_BASES.THIRTY_360) => {
+  if (basis === DAY_COUNT_BASES.ACTUAL_365) return daysBetween(start, end) / 365;
+  if (basis !== DAY_COUNT_BASES.ACTUAL_ACTUAL) return days360(start, end) / 360;
+
+  // Days in each calendar year count against the length of that year
+  let fraction = 0;
+  let from = new Date(start);
+  while (from < end) {
+    const nextYear = new Date(from.getFullYear() + 1, 0, 1);
+    const until = nextYear < end ? nextYear : end;
+    fraction += daysBetween(from, until) / daysInYear(from.getFullYear());
+    from = until;
+  }
+  return fraction;
+};
+
+/**
+ * Effective annual rate of a quoted rate
+ * @param {number} annualRate - Quoted annual rate in percent
+ * @param {string} compounding - Key of COMPOUNDING_FREQUENCIES, nominal per payment when not set
+ * @param {number} paymentsPerYear - Payments per year, used when compounding is not set
+ * @returns {number} Effective annual rate in percent, rounded to 3 decimals
+ */
+export const calculateEffectiveAnnualRate = (annualRate, compounding, paymentsPerYear = 12) => {
+  const compoundingPeriods = getCompoundingPeriods(compounding, paymentsPerYear);
+  const rate = (Math.pow(1 + annualRate / 100 / compoundingPeriods, compoundingPeriods) - 1) * 100;
+  // Drop float noise first, so an exact 5.0625 is not 5.06249999... and rounded down
+  return round(round(rate, 10), 3);
+};
+
+// Annuity payment for a given periodic rate and number of payments
+const calculateAnnuityPayment = (principal, periodicRate, numberOfPayments, rounding = ROUNDING_MODES.HALF_UP) => (
+  calculateAnnuity(principal, periodicRate, numberOfPayments, rounding)
+);
+
+export const DOWN_PAYMENT_TYPES = {
+  AMOUNT: 'amount',
+  PERCENT: 'percent'
+};
+
+/**
+ * Derive the financed principal and loan-to-value ratio of a purchase
+ * @param {number} homePrice - Property price
+ * @param {number} downPayment - Down payment as an amount or a percent of the price
+ * @param {string} downPaymentType - One of DOWN_PAYMENT_TYPES
+ * @returns {Object} homePrice, downPaymentAmount, downPaymentPercent, principal and ltv (percent)
+ */
+export const calculateLoanToValue = (homePrice, downPayment, downPaymentType = DOWN_PAYMENT_TYPES.AMOUNT) => {
+  if (!isNumber(homePrice) || !isNumber(downPayment) || homePrice <= 0) {
+    return { homePrice: 0, downPaymentAmount: 0, downPaymentPercent: 0, principal: 0, ltv: 0 };
+  }
+
+  const downPaymentAmount = downPaymentType === DOWN_PAYMENT_TYPES.PERCENT
+    ? round(homePrice * downPayment / 100, 2)
+    : downPayment;
+  const principal = round(homePrice - downPaymentAmount, 2);
+
+  return {
+    homePrice,
+    downPaymentAmount,
+    downPaymentPercent: round(downPaymentAmount / homePrice * 100, 2),
+    principal,
+    ltv: round(principal / homePrice * 100, 2)
+  };
+};
+
+// Bank criteria the eligibility check compares against, keyed to the bank field
+export const ELIGIBILITY_CRITERIA = {
+  MAXIMUM_LOAN: 'MaximumLoan',
+  MINIMUM_DOWN_PAYMENT: 'MinimumDownPayment',
+  LOAN_TERM: 'LoanTerm'
+};
+
+/**
+ * Check the borrower's own loan against a bank's lending criteria
+ * Values the borrower has not entered yet are not checked
+ * @param {Object} request - principal, downPaymentAmount and years of the loan
+ * @param {Object} bank - Bank with MaximumLoan, MinimumDownPayment and LoanTerm (the longest term offered)
+ * @returns {Object} eligible and the failed criteria as { criterion, message }
+ */
+export const checkBankEligibility = ({ principal, downPaymentAmount, years } = {}, bank) => {
+  const reasons = [];
+
+  if (isNumber(principal) && principal > bank.MaximumLoan) {
+    reasons.push({
+      criterion: ELIGIBILITY_CRITERIA.MAXIMUM_LOAN,
+      message: `Loan above the $${bank.MaximumLoan.toLocaleString()} maximum`
+    });
+  }
+  if (isNumber(downPaymentAmount) && downPaymentAmount < bank.MinimumDownPayment) {
+    reasons.push({
+      criterion: ELIGIBILITY_CRITERIA.MINIMUM_DOWN_PAYMENT,
+      message: `Down payment below the $${bank.MinimumDownPayment.toLocaleString()} minimum`
+    });
+  }
+  if (isNumber(years) && years > bank.LoanTerm) {
+    reasons.push({
+      criterion: ELIGIBILITY_CRITERIA.LOAN_TERM,
+      message: `Term longer than ${bank.LoanTerm} years`
+    });
+  }
+
+  return { eligible: reasons.length === 0, reasons };
+};
+
+/**
+ * Check a financed loan against a bank's lending limits
+ * Uses the eligibility criteria, so the limits read the same everywhere
+ * @param {Object} loan - Result of calculateLoanToValue, with the years of the loan to check the term
+ * @param {Object} bank - Bank with MaximumLoan, MinimumDownPayment and LoanTerm
+ * @returns {Array<string>} Description of every limit the loan breaks
+ */
+export const checkBankLimits = (loan, bank) => {
+  if (!bank) return [];
+
+  return checkBankEligibility(loan, bank).reasons.map(reason => reason.message);
+};
+
+export const PROPERTY_TAX_TYPES = {
+  PERCENT: 'percent',
+  AMOUNT: 'amount'
+};
+
+/**
+ * Break the full monthly housing cost (PITI plus HOA) into its parts
+ * Property tax and homeowner insurance are collected through escrow;
+ * HOA fees are paid to the association directly.
+ * @param {number} principalAndInterest - Monthly principal and interest payment
+ * @param {number} homePrice - Property price, used for a percentage property tax
+ * @param {Object} costs - propertyTax and propertyTaxType (annual), homeInsurance (annual), hoaFees and pmi (monthly)
+ * @returns {Object} Monthly principalAndInterest, propertyTax, homeInsurance, pmi, hoaFees, escrow and total
+ */
+export const calculateHousingCost = (principalAndInterest, homePrice, costs = {}) => {
+  const {
+    propertyTax = 0,
+    propertyTaxType = PROPERTY_TAX_TYPES.PERCENT,
+    homeInsurance = 0,
+    hoaFees = 0,
+    pmi = 0
+  } = costs;
+
+  const annualPropertyTax = propertyTaxType === PROPERTY_TAX_TYPES.PERCENT
+    ? homePrice * propertyTax / 100
+    : propertyTax;
+  const monthlyPropertyTax = round(annualPropertyTax / 12, 2);
+  const monthlyInsurance = round(homeInsurance / 12, 2);
+  const escrow = round(monthlyPropertyTax + monthlyInsurance, 2);
+
+  return {
+    principalAndInterest,
+    propertyTax: monthlyPropertyTax,
+    homeInsurance: monthlyInsurance,
+    pmi,
+    hoaFees,
+    escrow,
+    total: round(principalAndInterest + escrow + pmi + hoaFees, 2)
+  };
+};
+
+/**
+ * Largest loan a monthly payment can amortize
+ * @param {number} monthlyPayment - Monthly principal and interest payment
+ * @param {number} annualRate - Annual interest rate in percent
+ * @param {number} years - Loan term in years
+ * @returns {number} Loan amount rounded to cents
+ */
+export const calculateMaxLoan = (monthlyPayment, annualRate, years) => {
+  if (!isNumber(monthlyPayment) || !isNumber(annualRate) || !(years > 0) || monthlyPayment <= 0) return 0;
+
+  const periodicRate = annualRate / 100 / 12;
+  const numberOfPayments = years * 12;
+  if (periodicRate === 0) return round(monthlyPayment * numberOfPayments, 2);
+
+  return round(monthlyPayment * (1 - Math.pow(1 + periodicRate, -numberOfPayments)) / periodicRate, 2);
+};
+
+export const SOLVE_TARGETS = {
+  PRINCIPAL: 'principal',
+  TERM: 'term',
+  RATE: 'rate'
+};
+
+// Unrounded annuity payment, smooth enough for the numeric rate solve
+const monthlyPaymentAt = (principal, annualRate, numberOfPayments) => {
+  const periodicRate = annualRate / 100 / 12;
+  if (periodicRate === 0) return principal / numberOfPayments;
+
+  const growth = Math.pow(1 + periodicRate, numberOfPayments);
+  return (principal * periodicRate * growth) / (growth - 1);
+};
+
+const solveForTerm = (monthlyPayment, principal, annualRate) => {
+  const periodicRate = annualRate / 100 / 12;
+  if (periodicRate === 0) return Math.ceil(principal / monthlyPayment) / 12;
+
+  // The payment must cover more than the first month's interest to ever repay the loan
+  if (monthlyPayment <= principal * periodicRate) return null;
+
+  const exactMonths = -Math.log(1 - (principal * periodicRate) / monthlyPayment) / Math.log(1 + periodicRate);
+  let months = Math.ceil(exactMonths);
+
+  // A payment rounded down to cents still pays off the loan in the whole month below
+  if (months > 1 && calculateAnnuityPayment(principal, periodicRate, months - 1) <= monthlyPayment) {
+    months -= 1;
+  }
+
+  return months / 12;
+};
+
+// Bisection: the payment grows with the rate, so the root is bracketed by 0% and 100%
+const solveForRate = (monthlyPayment, principal, years) => {
+  const numberOfPayments = Math.round(years * 12);
+  if (monthlyPayment < principal / numberOfPayments) return null;
+  if (monthlyPayment > monthlyPaymentAt(principal, 100, numberOfPayments)) return null;
+
+  let low = 0;
+  let high = 100;
+  for (let iteration = 0; iteration < 60; iteration++) {
+    const middle = (low + high) / 2;
+    if (monthlyPaymentAt(principal, middle, numberOfPayments) < monthlyPayment) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+
+  return round((low + high) / 2, 4);
+};
+
+/**
+ * Invert the monthly payment for one unknown: principal, term or rate
+ * @param {string} target - One of SOLVE_TARGETS
+ * @param {Object} known - monthlyPayment plus the two known values of principal, years and annualRate
+ * @returns {number|null} Principal, term in years or annual rate in percent; null when no value reaches the payment
+ */
+export const solveMortgage = (target, { monthlyPayment, principal, years, annualRate }) => {
+  if (!(monthlyPayment > 0)) return null;
+
+  switch (target) {
+    case SOLVE_TARGETS.PRINCIPAL:
+      return calculateMaxLoan(monthlyPayment, annualRate, years);
+    case SOLVE_TARGETS.TERM:
+      return principal > 0 && annualRate >= 0 ? solveForTerm(monthlyPayment, principal, annualRate) : null;
+    case SOLVE_TARGETS.RATE:
+      return principal > 0 && years > 0 ? solveForRate(monthlyPayment, principal, years) : null;
+    default:
+      return null;
+  }
+};
+
+export const AFFORDABILITY_LIMITS = {
+  FRONT_END: 'frontEnd',
+  BACK_END: 'backEnd',
+  MAXIMUM_LOAN: 'maximumLoan',
+  DOWN_PAYMENT: 'downPayment'
+};
+
+// Regulatory stress test, e.g. the Canadian minimum qualifying rate: the greater of
+// the contract rate plus 2% and 5.25%, with the payment at most 39% of gross income
+export const STRESS_TEST_DEFAULTS = {
+  SHOCK: 2,
+  FLOOR_RATE: 5.25,
+  MAX_INCOME_SHARE: 39
+};
+
+/**
+ * Re-run the monthly payment at a stressed rate and check it against the borrower's income
+ * The stressed rate is the contract rate plus the shock, but never below the floor rate
+ * @param {number} principal - Loan amount
+ * @param {number} annualRate - Contract rate in percent
+ * @param {number} years - Loan term in years
+ * @param {Object} test - shock and floorRate (percent), grossAnnualIncome, maxIncomeShare
+ *   (percent of gross monthly income) and compounding, a key of COMPOUNDING_FREQUENCIES
+ * @returns {Object} rate, stressRate, payment, stressedPayment, incomeShare (percent), maxIncomeShare and passes
+ */
+export const runStressTest = (principal, annualRate, years, test) => {
+  const { shock = 0, floorRate = 0, grossAnnualIncome, maxIncomeShare, compounding } = test;
+  const stressRate = round(Math.max(annualRate + shock, floorRate), 3);
+  const stressedPayment = calculateMonthlyPayment(principal, stressRate, years, { compounding });
+  const incomeShare = round(stressedPayment / (grossAnnualIncome / 12) * 100, 2);
+
+  return {
+    rate: annualRate,
+    stressRate,
+    payment: calculateMonthlyPayment(principal, annualRate, years, { compounding }),
+    stressedPayment,
+    incomeShare,
+    maxIncomeShare,
+    passes: incomeShare <= maxIncomeShare
+  };
+};
+
+/**
+ * Solve backwards from income and debts for the most expensive home a bank will finance
+ * The payment is capped by the front-end (housing) and back-end (total debt) DTI ratios,
+ * and all available cash goes to the down payment.
+ * @param {Object} borrower - grossAnnualIncome, monthlyDebts, frontEndRatio, backEndRatio (percent) and cash
+ * @param {Object} bank - Bank with InterestRate, LoanTerm, MinimumDownPayment and MaximumLoan
+ * @returns {Object} maxPayment, maxLoan, maxPrice, downPayment, limitedBy and feasible
+ */
+export const calculateAffordability = (borrower, bank) => {
+  const { grossAnnualIncome, monthlyDebts = 0, frontEndRatio, backEndRatio, cash } = borrower;
+  const monthlyIncome = grossAnnualIncome / 12;
+  const frontEndPayment = monthlyIncome * frontEndRatio / 100;
+  const backEndPayment = monthlyIncome * backEndRatio / 100 - monthlyDebts;
+  const maxPayment = round(Math.max(Math.min(frontEndPayment, backEndPayment), 0), 2);
+  const paymentLimit = frontEndPayment <= backEndPayment
+    ? AFFORDABILITY_LIMITS.FRONT_END
+    : AFFORDABILITY_LIMITS.BACK_END;
+
+  if (cash < bank.MinimumDownPayment) {
+    return {
+      maxPayment,
+      maxLoan: 0,
+      maxPrice: 0,
+      downPayment: cash,
+      limitedBy: AFFORDABILITY_LIMITS.DOWN_PAYMENT,
+      feasible: false
+    };
+  }
+
+  const loanByIncome = calculateMaxLoan(maxPayment, bank.InterestRate, bank.LoanTerm);
+  const maxLoan = Math.min(loanByIncome, bank.MaximumLoan);
+
+  return {
+    maxPayment: maxLoan < loanByIncome ? calculateMonthlyPayment(maxLoan, bank.InterestRate, bank.LoanTerm) : maxPayment,
+    maxLoan,
+    maxPrice: round(maxLoan + cash, 2),
+    downPayment: cash,
+    limitedBy: maxLoan < loanByIncome ? AFFORDABILITY_LIMITS.MAXIMUM_LOAN : paymentLimit,
+    feasible: maxLoan > 0
+  };
+};
+
+/**
+ * Calculate the fixed monthly annuity payment
+ * @param {number} principal - Loan amount
+ * @param {number} annualRate - Annual interest rate in percent
+ * @param {number} years - Loan term in years
+ * @param {Object} options - rounding, one of ROUNDING_MODES, and compounding, a key of COMPOUNDING_FREQUENCIES
+ * @returns {number} Monthly payment rounded to cents
+ */
+export const calculateMonthlyPayment = (principal, annualRate, years, { rounding = ROUNDING_MODES.HALF_UP, compounding } = {}) => {
+  if (!isNumber(principal) || !isNumber(annualRate) || !isNumber(years)) return 0;
+
+  return calculateAnnuityPayment(principal, getPeriodicRate(annualRate, 12, compounding), years * 12, rounding);
+};
+
+/**
+ * Calculate the regular payment for a payment frequency
+ * @param {number} principal - Loan amount
+ * @param {number} annualRate - Annual interest rate in percent
+ * @param {number} years - Loan term in years
+ * @param {string} frequency - Key of PAYMENT_FREQUENCIES
+ * @param {Object} options - rounding, one of ROUNDING_MODES, and compounding, a key of COMPOUNDING_FREQUENCIES
+ * @returns {number} Payment per period rounded to cents
+ */
+export const calculatePeriodicPayment = (principal, annualRate, years, frequency = 'monthly', options = {}) => {
+  if (!isNumber(principal) || !isNumber(annualRate) || !isNumber(years)) return 0;
+
+  const { rounding = ROUNDING_MODES.HALF_UP, compounding } = options;
+  const { periodsPerYear, monthlyShare } = getFrequency(frequency);
+  if (monthlyShare) {
+    return roundMoney(calculateMonthlyPayment(principal, annualRate, years, options) * monthlyShare, rounding);
+  }
+
+  const periodicRate = getPeriodicRate(annualRate, periodsPerYear, compounding);
+  return calculateAnnuityPayment(principal, periodicRate, Math.round(years * periodsPerYear), rounding);
+};
+
+/**
+ * Get the due date of a payment period
+ * @param {Date|string} startDate - Loan start date
+ * @param {number} period - Payment number, starting at 1
+ * @param {string} frequency - Key of PAYMENT_FREQUENCIES
+ * @returns {Date} Due date of the payment
+ */
+export const getPaymentDate = (startDate, period, frequency = 'monthly') => {
+  const { periodsPerYear } = getFrequency(frequency);
+
+  if (periodsPerYear === 12) return addMonths(startDate, period);
+  if (periodsPerYear === 24) {
+    const date = addMonths(startDate, Math.floor(period / 2));
+    if (period % 2 === 1) date.setDate(date.getDate() + 15);
+    return date;
+  }
+
+  // Step in whole days so a daylight saving change cannot move the due date
+  const weeksPerPeriod = 52 / periodsPerYear;
+  const date = new Date(startDate);
+  date.setDate(date.getDate() + period * 7 * weeksPerPeriod);
+  return date;
+};
+
+/**
+ * Move a due date that falls on a weekend to a business day
+ * Modified following: the next Monday, or the Friday before when Monday is in the next month
+ * @param {Date|string} date - Due date
+ * @returns {Date} Business-day due date
+ */
+export const adjustToBusinessDay = (date) => {
+  const adjusted = new Date(date);
+  const day = adjusted.getDay();
+  if (day !== 0 && day !== 6) return adjusted;
+
+  const month = adjusted.getMonth();
+  adjusted.setDate(adjusted.getDate() + (day === 6 ? 2 : 1));
+  if (adjusted.getMonth() !== month) adjusted.setDate(adjusted.getDate() - 3);
+  return adjusted;
+};
+
+/**
+ * Build the rate path of an adjustable-rate mortgage (ARM)
+ * After the fixed period the rate resets to index + margin on every adjustment,
+ * limited by the periodic cap, the lifetime cap over the initial rate and the floor
+ * @param {number} initialRate - Initial (teaser) annual rate in percent
+ * @param {number} years - Loan term in years
+ * @param {Object} arm - ARM terms
+ * @param {number} arm.fixedYears - Length of the initial fixed-rate period
+ * @param {number} arm.margin - Margin added to the index, in percent
+ * @param {number} arm.periodicCap - Maximum rate change per adjustment, in percent
+ * @param {number} arm.lifetimeCap - Maximum increase over the initial rate, in percent
+ * @param {number} arm.floor - Minimum rate, in percent
+ * @param {number} arm.adjustmentMonths - Months between adjustments
+ * @param {Array<number>} indexPath - Index value per adjustment; the last value carries forward
+ * @returns {Array} Rate changes as { fromMonth, rate }
+ */
+export const buildArmRatePath = (initialRate, years, arm, indexPath = []) => {
+  const { fixedYears, margin = 0, periodicCap = Infinity, lifetimeCap = Infinity, floor = 0, adjustmentMonths = 12 } = arm;
+  const totalMonths = Math.round(years * 12);
+  const ceiling = initialRate + lifetimeCap;
+  const path = [{ fromMonth: 1, rate: initialRate }];
+
+  let rate = initialRate;
+  let adjustment = 0;
+  for (let month = Math.round(fixedYears * 12) + 1; month <= totalMonths; month += adjustmentMonths) {
+    const index = indexPath.length > 0 ? indexPath[Math.min(adjustment, indexPath.length - 1)] : 0;
+    const target = index + margin;
+    const capped = Math.min(Math.max(target, rate - periodicCap), rate + periodicCap);
+    const nextRate = round(Math.max(Math.min(capped, ceiling), floor), 4);
+
+    // Without a finite cap there is no bound to rise to, e.g. the worst case of an uncapped loan
+    if (!Number.isFinite(nextRate)) break;
+    if (nextRate !== rate) {
+      path.push({ fromMonth: month, rate: nextRate });
+      rate = nextRate;
+    }
+    adjustment++;
+  }
+
+  return path;
+};
+
+/**
+ * Build the worst-case ARM rate path allowed by the caps
+ * The rate rises by the periodic cap on every adjustment until it reaches the lifetime cap;
+ * without a lifetime cap the worst case is unbounded and the path stays at the initial rate
+ * @param {number} initialRate - Initial (teaser) annual rate in percent
+ * @param {number} years - Loan term in years
+ * @param {Object} arm - ARM terms, see buildArmRatePath
+ * @returns {Array} Rate changes as { fromMonth, rate }
+ */
+export const buildWorstCaseRatePath = (initialRate, years, arm) => (
+  buildArmRatePath(initialRate, years, arm, [Infinity])
+);
+
+// Annual rate in effect for a payment period
+const getRateForPeriod = (ratePath, period, periodsPerYear, defaultRate) => {
+  if (!ratePath || ratePath.length === 0) return defaultRate;
+
+  const month = Math.floor((period - 1) * 12 / periodsPerYear) + 1;
+  const change = [...ratePath].reverse().find(item => item.fromMonth <= month);
+  return change ? change.rate : defaultRate;
+};
+
+// Total extra principal scheduled for a given period
+const getExtraPayment = (period, periodsPerYear, { extraMonthly = 0, annualExtra = 0, annualExtraMonth = 12, lumpSums = [] }) => {
+  const toPeriod = month => Math.ceil(month * periodsPerYear / 12);
+  const periodOfYear = ((period - 1) % periodsPerYear) + 1;
+  const annual = periodOfYear === toPeriod(annualExtraMonth) ? annualExtra : 0;
+  const lumpSum = sumBy(lumpSums.filter(item => toPeriod(item.month) === period), 'amount');
+
+  return extraMonthly * 12 / periodsPerYear + annual + lumpSum;
+};
+
+/**
+ * Build a period-by-period amortization schedule
+ * The last payment is adjusted so the remaining balance ends at exactly zero
+ * @param {number} principal - Loan amount
+ * @param {number} annualRate - Annual interest rate in percent
+ * @param {number} years - Loan term in years
+ * @param {Object} options - Schedule options
+ * @param {string} options.frequency - Key of PAYMENT_FREQUENCIES, monthly by default
+ * @param {number} options.extraMonthly - Extra principal paid per month, spread over the periods
+ * @param {number} options.annualExtra - Extra principal paid once a year
+ * @param {number} options.annualExtraMonth - Month of the year (1-12) the annual extra is paid
+ * @param {Array} options.lumpSums - One-off prepayments as { month, amount }
+ * @param {string} options.prepaymentStrategy - Shorten the term or lower the following payments
+ * @param {Array} options.ratePath - Rate changes as { fromMonth, rate }, e.g. from buildArmRatePath
+ * @param {string} options.repaymentScheme - One of REPAYMENT_SCHEMES, annuity by default
+ * @param {number} options.interestOnlyMonths - Months of interest-only payments before amortization starts
+ * @param {number} options.balloonYears - Years after which the remaining balance falls due as a balloon
+ * @param {string} options.rounding - One of ROUNDING_MODES for payments and interest, half-up by default
+ * @param {string} options.compounding - Key of COMPOUNDING_FREQUENCIES, nominal per payment when not set
+ * @param {string} options.dayCount - One of DAY_COUNT_BASES, 30/360 by default
+ * @param {Date|string} options.startDate - Loan start date, today by default
+ * @param {Date|string} options.firstPaymentDate - Due date of the first payment, one period after the start by default;
+ *   any other date makes the first period odd: its interest is prorated and the first payment differs by the difference
+ * @param {boolean} options.adjustBusinessDays - Move due dates off weekends, see adjustToBusinessDay;
+ *   interest still accrues to the unadjusted dates
+ * @returns {Array} Schedule rows: period, date, rate, payment, principal, interest, extra, balance, cumulativeInterest
+ */
+export const generateAmortizationSchedule = (principal, annualRate, years, options = {}) => {
+  if (!isNumber(principal) || !isNumber(annualRate) || !isNumber(years)) return [];
+  if (principal <= 0 || years <= 0) return [];
+
+  const {
+    frequency = 'monthly',
+    prepaymentStrategy = PREPAYMENT_STRATEGIES.SHORTEN_TERM,
+    ratePath,
+    repaymentScheme = REPAYMENT_SCHEMES.ANNUITY,
+    interestOnlyMonths = 0,
+    balloonYears,
+    rounding = ROUNDING_MODES.HALF_UP,
+    compounding,
+    dayCount = DAY_COUNT_BASES.THIRTY_360,
+    startDate = new Date(),
+    firstPaymentDate,
+    adjustBusinessDays = false
+  } = options;
+  const { periodsPerYear } = getFrequency(frequency);
+  const numberOfPayments = Math.round(years * periodsPerYear);
+  const interestOnlyPeriods = Math.min(Math.round(interestOnlyMonths * periodsPerYear / 12), numberOfPayments - 1);
+  const lastPeriod = balloonYears > 0
+    ? Math.min(Math.round(balloonYears * periodsPerYear), numberOfPayments)
+    : numberOfPayments;
+  const isDifferentiated = repaymentScheme === REPAYMENT_SCHEMES.DIFFERENTIATED;
+  const getDueDate = (period) => {
+    if (period === 0) return new Date(startDate);
+    return firstPaymentDate
+      ? getPaymentDate(firstPaymentDate, period - 1, frequency)
+      : getPaymentDate(startDate, period, frequency);
+  };
+  const hasOddFirstPeriod = Boolean(firstPaymentDate) &&
+    getDueDate(1).getTime() !== getPaymentDate(startDate, 1, frequency).getTime();
+
+  const schedule = [];
+  let regularPayment = calculatePeriodicPayment(principal, annualRate, years, frequency, { rounding, compounding });
+  let principalShare = roundMoney(principal / numberOfPayments, rounding);
+  let currentRate = annualRate;
+  let balance = principal;
+  let cumulativeInterest = 0;
+
+  for (let period = 1; period <= lastPeriod && balance > 0; period++) {
+    const rate = getRateForPeriod(ratePath, period, periodsPerYear, annualRate);
+    const periodicRate = getPeriodicRate(rate, periodsPerYear, compounding);
+    const isOddPeriod = period === 1 && hasOddFirstPeriod;
+    const dueDate = getDueDate(period);
+    // Interest accrues over the calendar days of the period on the actual bases and the odd first period
+    const accrualRate = dayCount === DAY_COUNT_BASES.THIRTY_360 && !isOddPeriod
+      ? periodicRate
+      : getPeriodicRate(rate, periodsPerYear, compounding, getYearFraction(getDueDate(period - 1), dueDate, dayCount));
+    const isInterestOnly = period <= interestOnlyPeriods;
+    const startsAmortizing = interestOnlyPeriods > 0 && period === interestOnlyPeriods + 1;
+
+    // Re-amortize the remaining balance whenever the rate resets or amortization starts
+    if (rate !== currentRate || startsAmortizing) {
+      currentRate = rate;
+      regularPayment = calculateAnnuityPayment(balance, periodicRate, numberOfPayments - period + 1, rounding);
+    }
+    if (startsAmortizing) {
+      principalShare = roundMoney(balance / (numberOfPayments - period + 1), rounding);
+    }
+
+    let scheduled = isInterestOnly || isDifferentiated
+      ? { principal: isInterestOnly ? 0 : principalShare }
+      : { payment: regularPayment };
+    // The odd first period repays the regular principal; its payment carries the prorated interest
+    if (isOddPeriod && scheduled.payment !== undefined) {
+      scheduled = { principal: subtractMoney(regularPayment, calculateInterest(balance, periodicRate, rounding)) };
+    }
+    const row = applyPayment(balance, accrualRate, {
+      ...scheduled,
+      extra: getExtraPayment(period, periodsPerYear, options),
+      isFinal: period === lastPeriod,
+      rounding
+    });
+
+    balance = row.balance;
+    cumulativeInterest = addMoney(cumulativeInterest, row.interest);
+
+    schedule.push({
+      period,
+      date: adjustBusinessDays ? adjustToBusinessDay(dueDate) : dueDate,
+      rate,
+      payment: row.payment,
+      principal: row.principal,
+      interest: row.interest,
+      extra: row.extra,
+      balance,
+      cumulativeInterest
+    });
+
+    // Re-amortize the remaining balance over the remaining term
+    if (row.extra > 0 && prepaymentStrategy === PREPAYMENT_STRATEGIES.LOWER_PAYMENT) {
+      regularPayment = calculateAnnuityPayment(balance, periodicRate, numberOfPayments - period, rounding);
+      principalShare = roundMoney(balance / (numberOfPayments - period), rounding);
+    }
+  }
+
+  return schedule;
+};
+
+/**
+ * Compare annuity and differentiated repayment of the same loan
+ * @param {number} principal - Loan amount
+ * @param {number} annualRate - Annual interest rate in percent
+ * @param {number} years - Loan term in years
+ * @param {string} frequency - Key of PAYMENT_FREQUENCIES
+ * @returns {Array} One row per scheme: scheme, firstPayment, lastPayment, totalPayment, totalInterest and interestSaved
+ */
+export const compareRepaymentSchemes = (principal, annualRate, years, frequency = 'monthly') => {
+  const rows = Object.values(REPAYMENT_SCHEMES).map(scheme => {
+    const schedule = generateAmortizationSchedule(principal, annualRate, years, { frequency, repaymentScheme: scheme });
+    const { totalPayment, totalInterest } = summarizeSchedule(schedule);
+
+    return {
+      scheme,
+      firstPayment: schedule.length > 0 ? schedule[0].payment : 0,
+      lastPayment: schedule.length > 0 ? schedule[schedule.length - 1].payment : 0,
+      totalPayment,
+      totalInterest
+    };
+  });
+  const annuityInterest = rows[0].totalInterest;
+
+  return rows.map(row => ({ ...row, interestSaved: round(annuityInterest - row.totalInterest, 2) }));
+};
+
+export const LOAN_PHASES = {
+  INTEREST_ONLY: 'interestOnly',
+  AMORTIZING: 'amortizing',
+  BALLOON: 'balloon'
+};
+
+/**
+ * Break an interest-only and/or balloon loan into its payment phases
+ * The balloon is the balance still owed after the regular payment on the due date
+ * @param {number} principal - Loan amount
+ * @param {number} annualRate - Annual interest rate in percent
+ * @param {number} years - Amortization term in years
+ * @param {Object} options - Schedule options, see generateAmortizationSchedule
+ * @returns {Object} phases as { phase, fromPeriod, toPeriod, payment }, balloonAmount, balloonPeriod
+ *   and paymentShock at the end of the interest-only period (null without one)
+ */
+export const analyzeLoanStructure = (principal, annualRate, years, options = {}) => {
+  const { frequency, repaymentScheme, ratePath, interestOnlyMonths = 0, balloonYears } = options;
+  const structure = { frequency, repaymentScheme, ratePath, interestOnlyMonths };
+  const schedule = generateAmortizationSchedule(principal, annualRate, years, { ...structure, balloonYears });
+  if (schedule.length === 0) return null;
+
+  const fullSchedule = generateAmortizationSchedule(principal, annualRate, years, structure);
+  const lastRow = schedule[schedule.length - 1];
+  const hasBalloon = schedule.length < fullSchedule.length;
+  const balloonAmount = hasBalloon ? fullSchedule[lastRow.period - 1].balance : 0;
+  const { periodsPerYear } = getFrequency(frequency);
+  const interestOnlyRows = schedule.slice(0, Math.round(interestOnlyMonths * periodsPerYear / 12));
+  const amortizingRows = schedule.slice(interestOnlyRows.length, hasBalloon ? -1 : undefined);
+
+  const phases = [];
+  if (interestOnlyRows.length > 0) {
+    phases.push({
+      phase: LOAN_PHASES.INTEREST_ONLY,
+      fromPeriod: 1,
+      toPeriod: interestOnlyRows.length,
+      payment: interestOnlyRows[0].payment
+    });
+  }
+  if (amortizingRows.length > 0) {
+    phases.push({
+      phase: LOAN_PHASES.AMORTIZING,
+      fromPeriod: amortizingRows[0].period,
+      toPeriod: amortizingRows[amortizingRows.length - 1].period,
+      payment: amortizingRows[0].payment
+    });
+  }
+  if (hasBalloon) {
+    phases.push({ phase: LOAN_PHASES.BALLOON, fromPeriod: lastRow.period, toPeriod: lastRow.period, payment: lastRow.payment });
+  }
+
+  const paymentShock = interestOnlyRows.length > 0 && amortizingRows.length > 0
+    ? {
+      period: amortizingRows[0].period,
+      from: interestOnlyRows[0].payment,
+      to: amortizingRows[0].payment,
+      increase: round(amortizingRows[0].payment - interestOnlyRows[0].payment, 2),
+      percent: round((amortizingRows[0].payment / interestOnlyRows[0].payment - 1) * 100, 2)
+    }
+    : null;
+
+  return { phases, balloonAmount, balloonPeriod: hasBalloon ? lastRow.period : null, paymentShock };
+};
+
+// Typical rate reduction bought by one discount point (1% of the loan amount)
+export const DISCOUNT_POINT_RATE_REDUCTION = 0.25;
+
+/**
+ * Total prepaid finance charges of an offer
+ * @param {number} principal - Loan amount
+ * @param {Object} fees - originationFee and discountPoints in percent of the loan, otherCharges in dollars
+ * @returns {number} Finance charges rounded to cents
+ */
+export const calculateFinanceCharges = (principal, { originationFee = 0, discountPoints = 0, otherCharges = 0 } = {}) => (
+  round(principal * (originationFee + discountPoints) / 100 + otherCharges, 2)
+);
+
+// Present value of a payment stream at an annual rate
+const presentValueAt = (payments, annualRate, periodsPerYear) => {
+  const periodicRate = annualRate / 100 / periodsPerYear;
+  return payments.reduce((total, payment, index) => total + payment / Math.pow(1 + periodicRate, index + 1), 0);
+};
+
+/**
+ * Annual percentage rate of a loan including its prepaid finance charges
+ * Solves for the rate at which the scheduled payments are worth exactly the net proceeds
+ * (principal less finance charges); the present value falls as the rate rises, so bisect
+ * @param {number} principal - Loan amount
+ * @param {number} financeCharges - Prepaid finance charges, see calculateFinanceCharges
+ * @param {Array} schedule - Rows from generateAmortizationSchedule; prepayments are ignored
+ * @param {number} periodsPerYear - Payments per year of the schedule
+ * @returns {number|null} APR in percent, null when the charges exceed the loan
+ */
+export const calculateApr = (principal, financeCharges, schedule, periodsPerYear = 12) => {
+  const netProceeds = principal - financeCharges;
+  if (!(netProceeds > 0) || schedule.length === 0) return null;
+
+  const payments = schedule.map(row => row.payment - row.extra);
+  let low = 0;
+  let high = 100;
+  for (let iteration = 0; iteration < 60; iteration++) {
+    const middle = (low + high) / 2;
+    if (presentValueAt(payments, middle, periodsPerYear) > netProceeds) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+
+  return round((low + high) / 2, 3);
+};
+
+/**
+ * Months until the monthly savings of discount points repay their upfront cost
+ * @param {number} principal - Loan amount
+ * @param {number} annualRate - Rate after buying the points, in percent
+ * @param {number} years - Loan term in years
+ * @param {number} points - Discount points bought
+ * @param {number} rateReduction - Rate reduction per point, in percent
+ * @returns {Object|null} pointsCost, rateWithoutPoints, monthlySavings and breakEvenMonth (null if never)
+ */
+export const calculatePointsBreakEven = (principal, annualRate, years, points, rateReduction = DISCOUNT_POINT_RATE_REDUCTION) => {
+  if (!(points > 0) || !(principal > 0)) return null;
+
+  const rateWithoutPoints = round(annualRate + points * rateReduction, 4);
+  const pointsCost = round(principal * points / 100, 2);
+  const monthlySavings = round(
+    calculateMonthlyPayment(principal, rateWithoutPoints, years) - calculateMonthlyPayment(principal, annualRate, years),
+    2
+  );
+  const breakEvenMonth = monthlySavings > 0 ? Math.ceil(pointsCost / monthlySavings) : null;
+
+  return {
+    pointsCost,
+    rateWithoutPoints,
+    monthlySavings,
+    breakEvenMonth: breakEvenMonth !== null && breakEvenMonth <= years * 12 ? breakEvenMonth : null
+  };
+};
+
+export const SENSITIVITY_TERMS = [10, 15, 20, 25, 30];
+
+/**
+ * Monthly payment for rates around the entered rate and a set of terms
+ * @param {number} principal - Loan amount
+ * @param {number} annualRate - Center rate in percent
+ * @param {Object} options - range (percent either side), step (percent) and terms (years)
+ * @returns {Object} terms and rows as { rate, payments }, one payment per term; negative rates are left out
+ */
+export const buildSensitivityMatrix = (principal, annualRate, { range = 2, step = 0.5, terms = SENSITIVITY_TERMS } = {}) => {
+  if (!isNumber(principal) || !isNumber(annualRate) || !(step > 0)) return { terms, rows: [] };
+
+  const steps = Math.floor(round(range / step, 6));
+  const rows = [];
+  for (let index = -steps; index <= steps; index++) {
+    const rate = round(annualRate + index * step, 4);
+    if (rate >= 0) {
+      rows.push({ rate, payments: terms.map(years => calculateMonthlyPayment(principal, rate, years)) });
+    }
+  }
+
+  return { terms, rows };
+};
+
+export const BUDGET_STATUSES = {
+  WITHIN: 'within',
+  NEAR: 'near',
+  OVER: 'over'
+};
+
+/**
+ * Compare a payment with a monthly budget; up to 10% over counts as near
+ * @param {number} payment - Monthly payment
+ * @param {number} budget - Monthly budget
+ * @returns {string|null} One of BUDGET_STATUSES, null without a budget
+ */
+export const getBudgetStatus = (payment, budget) => {
+  if (!(budget > 0)) return null;
+  if (payment <= budget) return BUDGET_STATUSES.WITHIN;
+  return payment <= budget * 1.1 ? BUDGET_STATUSES.NEAR : BUDGET_STATUSES.OVER;
+};
+
+// Temporary buydowns lower the rate by the listed points in each of the first years
+export const BUYDOWN_TYPES = {
+  '1-0': { label: '1-0 buydown', reductions: [1] },
+  '2-1': { label: '2-1 buydown', reductions: [2, 1] },
+  '3-2-1': { label: '3-2-1 buydown', reductions: [3, 2, 1] }
+};
+
+/**
+ * Payment ladder and escrowed subsidy of a temporary rate buydown
+ * The borrower pays the payment at the reduced rate; the subsidy escrowed at closing
+ * covers the difference to the payment at the note rate
+ * @param {number} principal - Loan amount
+ * @param {number} annualRate - Note rate in percent
+ * @param {number} years - Loan term in years
+ * @param {string} type - Key of BUYDOWN_TYPES
+ * @returns {Object|null} ladder rows as { year, rate, payment, monthlySubsidy, annualSubsidy },
+ *   notePayment and the total subsidy; the last ladder row is the note-rate payment
+ */
+export const calculateBuydown = (principal, annualRate, years, type) => {
+  const buydown = BUYDOWN_TYPES[type];
+  if (!buydown || !(principal > 0) || !(years > 0)) return null;
+
+  const notePayment = calculateMonthlyPayment(principal, annualRate, years);
+  const reductions = buydown.reductions.slice(0, Math.max(Math.floor(years) - 1, 0));
+  const ladder = reductions.map((reduction, index) => {
+    const rate = Math.max(round(annualRate - reduction, 4), 0);
+    const payment = calculateMonthlyPayment(principal, rate, years);
+    const monthlySubsidy = round(notePayment - payment, 2);
+
+    return { year: index + 1, rate, payment, monthlySubsidy, annualSubsidy: round(monthlySubsidy * 12, 2) };
+  });
+  ladder.push({ year: reductions.length + 1, rate: annualRate, payment: notePayment, monthlySubsidy: 0, annualSubsidy: 0 });
+
+  return {
+    type,
+    label: buydown.label,
+    notePayment,
+    ladder,
+    subsidy: round(sumBy(ladder, 'annualSubsidy'), 2)
+  };
+};
+
+/**
+ * Extract the regular payment after every rate change of a schedule
+ * @param {Array} schedule - Rows from generateAmortizationSchedule
+ * @returns {Array} Payment path as { period, rate, payment }
+ */
+export const getPaymentPath = (schedule) => (
+  schedule.reduce((path, row) => {
+    const previous = path[path.length - 1];
+    if (!previous || previous.rate !== row.rate) {
+      path.push({ period: row.period, rate: row.rate, payment: round(row.payment - row.extra, 2) });
+    }
+    return path;
+  }, [])
+);
+
+/**
+ * Compare a schedule with prepayments against the baseline schedule
+ * @param {Array} baseline - Schedule without prepayments
+ * @param {Array} schedule - Schedule with prepayments
+ * @param {number} periodsPerYear - Payments per year of both schedules
+ * @returns {Object} monthsSaved, interestSaved and totalExtra paid
+ */
+export const comparePrepaymentSchedules = (baseline, schedule, periodsPerYear = 12) => {
+  const baselineSummary = summarizeSchedule(baseline);
+  const scheduleSummary = summarizeSchedule(schedule);
+  const periodsSaved = baselineSummary.numberOfPayments - scheduleSummary.numberOfPayments;
+
+  return {
+    monthsSaved: Math.round(periodsSaved * 12 / periodsPerYear),
+    interestSaved: round(baselineSummary.totalInterest - scheduleSummary.totalInterest, 2),
+    totalExtra: round(sumBy(schedule, 'extra'), 2)
+  };
+};
+
+/**
+ * Compare every payment frequency against monthly payments
+ * @param {number} principal - Loan amount
+ * @param {number} annualRate - Annual interest rate in percent
+ * @param {number} years - Loan term in years
+ * @param {Date|string} startDate - Loan start date used for payoff dates
+ * @returns {Array} One row per frequency with payment, totalInterest, payoffDate and savings vs monthly,
+ *   monthsSaved counts only the months a faster payoff takes off the loan
+ */
+export const compareFrequencies = (principal, annualRate, years, startDate = new Date()) => {
+  const rows = Object.keys(PAYMENT_FREQUENCIES).map(frequency => {
+    const schedule = generateAmortizationSchedule(principal, annualRate, years, { frequency });
+    const { totalInterest, numberOfPayments } = summarizeSchedule(schedule);
+
+    return {
+      frequency,
+      label: PAYMENT_FREQUENCIES[frequency].label,
+      payment: calculatePeriodicPayment(principal, annualRate, years, frequency),
+      numberOfPayments,
+      // Length of the loan in months, independent of the calendar the payments fall on
+      months: numberOfPayments * 12 / PAYMENT_FREQUENCIES[frequency].periodsPerYear,
+      totalInterest,
+      payoffDate: getPaymentDate(startDate, numberOfPayments, frequency)
+    };
+  });
+
+  const monthly = rows.find(row => row.frequency === 'monthly');
+
+  // Only a loan that is paid off in fewer months saves time, the 364-day
+  // year of weekly payments alone does not
+  return rows.map(({ months, ...row }) => ({
+    ...row,
+    interestSaved: round(monthly.totalInterest - row.totalInterest, 2),
+    monthsSaved: Math.max(0, Math.round(monthly.months - months))
+  }));
+};
+
+/**
+ * Roll an amortization schedule up into yearly totals
+ * @param {Array} schedule - Rows from generateAmortizationSchedule
+ * @param {number} periodsPerYear - Payments per year of the schedule
+ * @returns {Array} Yearly rows with their payment rows under `periods`
+ */
+export const groupScheduleByYear = (schedule, periodsPerYear = 12) => {
+  const years = [];
+
+  schedule.forEach((row) => {
+    const yearIndex = Math.floor((row.period - 1) / periodsPerYear);
+    if (!years[yearIndex]) {
+      years[yearIndex] = { year: yearIndex + 1, periods: [] };
+    }
+    years[yearIndex].periods.push(row);
+  });
+
+  return years.map(({ year, periods }) => {
+    const lastPeriod = periods[periods.length - 1];
+    return {
+      year,
+      payment: round(sumBy(periods, 'payment'), 2),
+      principal: round(sumBy(periods, 'principal'), 2),
+      interest: round(sumBy(periods, 'interest'), 2),
+      extra: round(sumBy(periods, 'extra'), 2),
+      balance: lastPeriod.balance,
+      cumulativeInterest: lastPeriod.cumulativeInterest,
+      periods
+    };
+  });
+};
+
+/**
+ * Summarize totals of an amortization schedule
+ * @param {Array} schedule - Rows from generateAmortizationSchedule
+ * @returns {Object} totalPayment, totalInterest, numberOfPayments and payoffDate, the due date of the last payment
+ */
+export const summarizeSchedule = (schedule) => ({
+  totalPayment: sumMoney(schedule, 'payment'),
+  totalInterest: sumMoney(schedule, 'interest'),
+  numberOfPayments: schedule.length,
+  payoffDate: schedule.length > 0 ? schedule[schedule.length - 1].date : null
+});
+
+// Metrics the bank offers can be ranked by; lower is better for all of them
+export const OFFER_METRICS = {
+  PAYMENT: 'payment',
+  TOTAL_INTEREST: 'totalInterest',
+  TOTAL_COST: 'totalCost'
+};
+
+/**
+ * Rank every bank's offer for the borrower's loan
+ * Banks the loan is not eligible for are excluded from the ranking
+ * @param {Object} request - homePrice, downPaymentAmount, principal and years of the loan
+ * @param {Array} banks - Banks with InterestRate and the eligibility criteria
+ * @param {string} metric - One of OFFER_METRICS
+ * @returns {Object} offers, best first, as { bank, rank, payment, totalInterest, totalCost, delta }
+ *   with delta the difference to the best offer in the ranked metric, and excluded banks as { bank, reasons }
+ */
+export const rankBankOffers = (request, banks, metric = OFFER_METRICS.TOTAL_COST) => {
+  const { principal, downPaymentAmount, years } = request;
+  const offers = [];
+  const excluded = [];
+
+  banks.forEach(bank => {
+    const { eligible, reasons } = checkBankEligibility(request, bank);
+    if (!eligible) {
+      excluded.push({ bank, reasons });
+      return;
+    }
+
+    const rate = Number(bank.InterestRate);
+    const { totalPayment, totalInterest } = summarizeSchedule(generateAmortizationSchedule(principal, rate, years));
+    offers.push({
+      bank,
+      payment: calculateMonthlyPayment(principal, rate, years),
+      totalInterest,
+      totalCost: round(downPaymentAmount + totalPayment, 2)
+    });
+  });
+
+  const ranked = sortBy(offers, metric);
+  const best = ranked.length > 0 ? ranked[0][metric] : 0;
+
+  return {
+    offers: ranked.map((offer, index) => ({
+      ...offer,
+      rank: index + 1,
+      delta: round(offer[metric] - best, 2)
+    })),
+    excluded
+  };
+};
+
+// PMI is required above 80% LTV; the borrower may ask to cancel it at 80%
+// of the original value and it terminates automatically at 78%
+export const PMI_LTV_LIMITS = {
+  REQUIRED_ABOVE: 80,
+  REQUEST_REMOVAL: 80,
+  AUTOMATIC_TERMINATION: 78
+};
+
+/**
+ * Follow a schedule to find when private mortgage insurance can be dropped
+ * @param {Array} schedule - Amortization schedule
+ * @param {number} homePrice - Original property value
+ * @param {number} principal - Original loan amount
+ * @param {number} annualRate - Annual PMI rate in percent of the original loan
+ * @param {number} periodsPerYear - Payments per year of the schedule
+ * @returns {Object|null} Premiums, removal and termination months and total PMI, or null when no PMI is due
+ */
+export const calculatePmi = (schedule, homePrice, principal, annualRate, periodsPerYear = 12) => {
+  if (!schedule || schedule.length === 0 || !(annualRate > 0) || !(homePrice > 0)) return null;
+  if ((principal / homePrice) * 100 <= PMI_LTV_LIMITS.REQUIRED_ABOVE) return null;
+
+  const periodicPremium = round(principal * annualRate / 100 / periodsPerYear, 2);
+  const findPeriod = (limit) => schedule.find(row => (row.balance / homePrice) * 100 <= limit).period;
+  const toMonths = (period) => Math.ceil(period * 12 / periodsPerYear);
+  const removalPeriod = findPeriod(PMI_LTV_LIMITS.REQUEST_REMOVAL);
+  const terminationPeriod = findPeriod(PMI_LTV_LIMITS.AUTOMATIC_TERMINATION);
+
+  return {
+    monthlyPremium: round(principal * annualRate / 100 / 12, 2),
+    periodicPremium,
+    requestRemovalMonth: toMonths(removalPeriod),
+    terminationMonth: toMonths(terminationPeriod),
+    totalPmi: round(periodicPremium * terminationPeriod, 2),
+    totalPmiOnRequest: round(periodicPremium * removalPeriod, 2)
+  };
+};
+
+// Whole months from the loan start up to a date
+const monthsBetween = (startDate, endDate) => {
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  const months = (end.getFullYear() - start.getFullYear()) * 12 + end.getMonth() - start.getMonth();
+
+  return Math.max(end.getDate() < start.getDate() ? months - 1 : months, 0);
+};
+
+/**
+ * Compare keeping the current loan with refinancing its balance into a new offer
+ * @param {Object} current - originalAmount, rate, startDate and remainingMonths of the current loan
+ * @param {Object} offer - rate, years, closingCosts and financeClosingCosts of the new loan
+ * @param {Date} asOf - Date of the refinance
+ * @returns {Object} Payments, monthly savings, break-even month (0 when it breaks even immediately,
+ *   null when it never does), interest difference and term-reset effect
+ */
+export const analyzeRefinance = (current, offer, asOf = new Date()) => {
+  const { originalAmount, rate, startDate, remainingMonths } = current;
+  const { closingCosts = 0, financeClosingCosts = false } = offer;
+
+  const elapsedMonths = monthsBetween(startDate, asOf);
+  const currentSchedule = generateAmortizationSchedule(originalAmount, rate, (elapsedMonths + remainingMonths) / 12);
+  const remainingSchedule = currentSchedule.slice(elapsedMonths);
+  const currentBalance = elapsedMonths > 0 ? currentSchedule[elapsedMonths - 1].balance : originalAmount;
+  const currentPayment = currentSchedule.length > 0 ? currentSchedule[0].payment : 0;
+  const currentRemaining = summarizeSchedule(remainingSchedule);
+
+  const newPrincipal = round(currentBalance + (financeClosingCosts ? closingCosts : 0), 2);
+  const newSchedule = generateAmortizationSchedule(newPrincipal, offer.rate, offer.years);
+  const newPayment = calculateMonthlyPayment(newPrincipal, offer.rate, offer.years);
+  const newTotals = summarizeSchedule(newSchedule);
+  const upfrontCosts = financeClosingCosts ? 0 : closingCosts;
+
+  // The same offer over the months left on the current loan isolates the cost of resetting the term
+  const sameTermSchedule = generateAmortizationSchedule(newPrincipal, offer.rate, remainingMonths / 12);
+  const sameTermInterest = summarizeSchedule(sameTermSchedule).totalInterest;
+
+  const monthlySavings = round(currentPayment - newPayment, 2);
+
+  return {
+    elapsedMonths,
+    remainingMonths,
+    currentBalance,
+    currentPayment,
+    currentRemainingInterest: currentRemaining.totalInterest,
+    newPrincipal,
+    newPayment,
+    newTotalInterest: newTotals.totalInterest,
+    closingCosts,
+    monthlySavings,
+    // Without closing costs any saving breaks even right away
+    breakEvenMonth: monthlySavings > 0 ? Math.ceil(closingCosts / monthlySavings) : null,
+    interestDifference: round(currentRemaining.totalInterest - newTotals.totalInterest, 2),
+    termResetMonths: Math.round(offer.years * 12) - remainingMonths,
+    sameTermPayment: sameTermSchedule.length > 0 ? sameTermSchedule[0].payment : 0,
+    sameTermInterest,
+    termResetInterest: round(newTotals.totalInterest - sameTermInterest, 2),
+    lifetimeSavings: round(currentRemaining.totalPayment - newTotals.totalPayment - upfrontCosts, 2)
+  };
+};
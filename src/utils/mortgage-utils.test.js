@@ -0,0 +1,958 @@
+import {
+  calculateMonthlyPayment,
+  generateAmortizationSchedule,
+  comparePrepaymentSchedules,
+  groupScheduleByYear,
+  summarizeSchedule,
+  calculatePeriodicPayment,
+  compareFrequencies,
+  getPaymentDate,
+  getPeriodicRate,
+  getYearFraction,
+  adjustToBusinessDay,
+  calculateEffectiveAnnualRate,
+  COMPOUNDING_FREQUENCIES,
+  DAY_COUNT_BASES,
+  buildArmRatePath,
+  buildWorstCaseRatePath,
+  getPaymentPath,
+  calculateLoanToValue,
+  checkBankLimits,
+  checkBankEligibility,
+  ELIGIBILITY_CRITERIA,
+  rankBankOffers,
+  OFFER_METRICS,
+  calculateHousingCost,
+  calculatePmi,
+  calculateMaxLoan,
+  calculateAffordability,
+  AFFORDABILITY_LIMITS,
+  runStressTest,
+  STRESS_TEST_DEFAULTS,
+  analyzeRefinance,
+  solveMortgage,
+  SOLVE_TARGETS,
+  compareRepaymentSchemes,
+  REPAYMENT_SCHEMES,
+  analyzeLoanStructure,
+  LOAN_PHASES,
+  calculateFinanceCharges,
+  calculateApr,
+  calculatePointsBreakEven,
+  calculateBuydown,
+  buildSensitivityMatrix,
+  getBudgetStatus,
+  BUDGET_STATUSES,
+  DOWN_PAYMENT_TYPES,
+  PROPERTY_TAX_TYPES,
+  PREPAYMENT_STRATEGIES
+} from './mortgage-utils';
+
+describe('Mortgage Utils', () => {
+  describe('calculateMonthlyPayment', () => {
+    it('should calculate annuity payment', () => {
+      expect(calculateMonthlyPayment(300000, 5, 30)).toBe(1610.46);
+    });
+
+    it('should split principal evenly for zero interest', () => {
+      expect(calculateMonthlyPayment(120000, 0, 10)).toBe(1000);
+    });
+
+    it('should return 0 for non-numeric input', () => {
+      expect(calculateMonthlyPayment('300000', 5, 30)).toBe(0);
+    });
+  });
+
+  describe('calculateLoanToValue', () => {
+    it('should finance the price less a fixed down payment', () => {
+      expect(calculateLoanToValue(400000, 80000)).toEqual({
+        homePrice: 400000,
+        downPaymentAmount: 80000,
+        downPaymentPercent: 20,
+        principal: 320000,
+        ltv: 80
+      });
+    });
+
+    it('should convert a percentage down payment to an amount', () => {
+      const loan = calculateLoanToValue(350000, 5, DOWN_PAYMENT_TYPES.PERCENT);
+
+      expect(loan.downPaymentAmount).toBe(17500);
+      expect(loan.principal).toBe(332500);
+      expect(loan.ltv).toBe(95);
+    });
+
+    it('should return zeros for invalid input', () => {
+      expect(calculateLoanToValue(0, 1000).principal).toBe(0);
+    });
+  });
+
+  describe('checkBankLimits', () => {
+    const bank = { BankName: 'Test Bank', MaximumLoan: 300000, MinimumDownPayment: 50000, LoanTerm: 20 };
+
+    it('should pass a loan within the bank limits', () => {
+      expect(checkBankLimits(calculateLoanToValue(340000, 60000), bank)).toEqual([]);
+      expect(checkBankLimits(calculateLoanToValue(340000, 60000), undefined)).toEqual([]);
+    });
+
+    it('should flag a small down payment and a large loan', () => {
+      const issues = checkBankLimits(calculateLoanToValue(400000, 40000), bank);
+
+      expect(issues).toEqual([
+        'Loan above the $300,000 maximum',
+        'Down payment below the $50,000 minimum'
+      ]);
+    });
+
+    it('should read the same as the eligibility check', () => {
+      const loan = { ...calculateLoanToValue(400000, 40000), years: 30 };
+
+      expect(checkBankLimits(loan, bank)).toEqual(
+        checkBankEligibility(loan, bank).reasons.map(reason => reason.message)
+      );
+      expect(checkBankLimits(loan, bank)).toContain('Term longer than 20 years');
+    });
+  });
+
+  describe('checkBankEligibility', () => {
+    const bank = { BankName: 'Test Bank', MaximumLoan: 300000, MinimumDownPayment: 50000, LoanTerm: 20 };
+
+    it('should accept a loan that meets every criterion', () => {
+      expect(checkBankEligibility({ principal: 280000, downPaymentAmount: 60000, years: 20 }, bank)).toEqual({
+        eligible: true,
+        reasons: []
+      });
+    });
+
+    it('should list every failed criterion', () => {
+      const { eligible, reasons } = checkBankEligibility({ principal: 360000, downPaymentAmount: 40000, years: 30 }, bank);
+
+      expect(eligible).toBe(false);
+      expect(reasons.map(reason => reason.criterion)).toEqual([
+        ELIGIBILITY_CRITERIA.MAXIMUM_LOAN,
+        ELIGIBILITY_CRITERIA.MINIMUM_DOWN_PAYMENT,
+        ELIGIBILITY_CRITERIA.LOAN_TERM
+      ]);
+      expect(reasons[0].message).toBe('Loan above the $300,000 maximum');
+      expect(reasons[2].message).toBe('Term longer than 20 years');
+    });
+
+    it('should skip values that are not entered', () => {
+      expect(checkBankEligibility({ years: 30 }, bank).reasons).toHaveLength(1);
+      expect(checkBankEligibility({}, bank).eligible).toBe(true);
+    });
+  });
+
+  describe('rankBankOffers', () => {
+    const request = { homePrice: 360000, downPaymentAmount: 60000, principal: 300000, years: 20 };
+    const banks = [
+      { id: '1', BankName: 'Cheap Rate', InterestRate: 4.5, MaximumLoan: 500000, MinimumDownPayment: 50000, LoanTerm: 30 },
+      { id: '2', BankName: 'Dear Rate', InterestRate: 6, MaximumLoan: 500000, MinimumDownPayment: 20000, LoanTerm: 30 },
+      { id: '3', BankName: 'Small Loans', InterestRate: 3, MaximumLoan: 200000, MinimumDownPayment: 20000, LoanTerm: 30 },
+      { id: '4', BankName: 'Short Term', InterestRate: 3.5, MaximumLoan: 500000, MinimumDownPayment: 20000, LoanTerm: 15 }
+    ];
+
+    it('should rank the eligible offers with the delta to the best one', () => {
+      const { offers } = rankBankOffers(request, banks, OFFER_METRICS.PAYMENT);
+
+      expect(offers.map(offer => offer.bank.BankName)).toEqual(['Cheap Rate', 'Dear Rate']);
+      expect(offers[0]).toMatchObject({ rank: 1, payment: 1897.95, delta: 0 });
+      expect(offers[1]).toMatchObject({ rank: 2, payment: 2149.29, delta: 251.34 });
+      expect(offers[0].totalCost).toBeCloseTo(60000 + offers[0].totalInterest + 300000, 2);
+    });
+
+    it('should exclude banks the loan is not eligible for', () => {
+      const { excluded } = rankBankOffers(request, banks);
+
+      expect(excluded.map(({ bank }) => bank.BankName)).toEqual(['Small Loans', 'Short Term']);
+      expect(excluded[0].reasons[0].criterion).toBe(ELIGIBILITY_CRITERIA.MAXIMUM_LOAN);
+      expect(excluded[1].reasons[0].criterion).toBe(ELIGIBILITY_CRITERIA.LOAN_TERM);
+    });
+
+    it('should measure the delta in the ranked metric', () => {
+      const { offers } = rankBankOffers(request, banks, OFFER_METRICS.TOTAL_INTEREST);
+
+      expect(offers[1].delta).toBeCloseTo(offers[1].totalInterest - offers[0].totalInterest, 2);
+      expect(rankBankOffers(request, [], OFFER_METRICS.TOTAL_COST).offers).toEqual([]);
+    });
+  });
+
+  describe('calculateHousingCost', () => {
+    it('should add escrowed tax and insurance and HOA fees to the payment', () => {
+      expect(calculateHousingCost(1610.46, 400000, {
+        propertyTax: 1.5,
+        homeInsurance: 1800,
+        hoaFees: 200
+      })).toEqual({
+        principalAndInterest: 1610.46,
+        propertyTax: 500,
+        homeInsurance: 150,
+        pmi: 0,
+        hoaFees: 200,
+        escrow: 650,
+        total: 2460.46
+      });
+    });
+
+    it('should accept a fixed annual property tax', () => {
+      const cost = calculateHousingCost(1000, 400000, {
+        propertyTax: 3000,
+        propertyTaxType: PROPERTY_TAX_TYPES.AMOUNT
+      });
+
+      expect(cost.propertyTax).toBe(250);
+      expect(cost.total).toBe(1250);
+    });
+  });
+
+  describe('calculateMaxLoan', () => {
+    it('should invert the annuity payment', () => {
+      expect(Math.abs(calculateMaxLoan(1610.46, 5, 30) - 300000)).toBeLessThan(1);
+      expect(calculateMaxLoan(1000, 0, 10)).toBe(120000);
+    });
+
+    it('should return 0 without a payment', () => {
+      expect(calculateMaxLoan(0, 5, 30)).toBe(0);
+    });
+  });
+
+  describe('solveMortgage', () => {
+    it('should solve for the principal', () => {
+      const principal = solveMortgage(SOLVE_TARGETS.PRINCIPAL, { monthlyPayment: 1610.46, years: 30, annualRate: 5 });
+
+      expect(Math.abs(principal - 300000)).toBeLessThan(1);
+    });
+
+    it('should solve for the term in whole months', () => {
+      const years = solveMortgage(SOLVE_TARGETS.TERM, { monthlyPayment: 2000, principal: 300000, annualRate: 5 });
+
+      expect(years * 12).toBe(Math.round(years * 12));
+      expect(calculateMonthlyPayment(300000, 5, years)).toBeLessThanOrEqual(2000);
+      expect(calculateMonthlyPayment(300000, 5, years - 1 / 12)).toBeGreaterThan(2000);
+    });
+
+    it('should solve for the rate numerically', () => {
+      const rate = solveMortgage(SOLVE_TARGETS.RATE, { monthlyPayment: 1610.46, principal: 300000, years: 30 });
+
+      expect(rate).toBeCloseTo(5, 3);
+    });
+
+    it('should accept a payment rounded to cents', () => {
+      expect(solveMortgage(SOLVE_TARGETS.TERM, { monthlyPayment: 1610.46, principal: 300000, annualRate: 5 })).toBe(30);
+    });
+
+    it('should return null when no value reaches the payment', () => {
+      expect(solveMortgage(SOLVE_TARGETS.TERM, { monthlyPayment: 1000, principal: 300000, annualRate: 5 })).toBeNull();
+      expect(solveMortgage(SOLVE_TARGETS.RATE, { monthlyPayment: 500, principal: 300000, years: 30 })).toBeNull();
+      expect(solveMortgage(SOLVE_TARGETS.RATE, { monthlyPayment: 0, principal: 300000, years: 30 })).toBeNull();
+    });
+  });
+
+  describe('runStressTest', () => {
+    const test = {
+      shock: STRESS_TEST_DEFAULTS.SHOCK,
+      floorRate: STRESS_TEST_DEFAULTS.FLOOR_RATE,
+      grossAnnualIncome: 72000,
+      maxIncomeShare: STRESS_TEST_DEFAULTS.MAX_INCOME_SHARE
+    };
+
+    it('should price the payment at the contract rate plus the shock', () => {
+      expect(runStressTest(300000, 5, 30, test)).toEqual({
+        rate: 5,
+        stressRate: 7,
+        payment: 1610.46,
+        stressedPayment: 1995.91,
+        incomeShare: 33.27,
+        maxIncomeShare: 39,
+        passes: true
+      });
+    });
+
+    it('should not stress below the floor rate', () => {
+      const result = runStressTest(300000, 3, 30, test);
+
+      expect(result.stressRate).toBe(5.25);
+      expect(result.stressedPayment).toBe(1656.61);
+    });
+
+    it('should fail when the stressed payment takes too much of the income', () => {
+      const result = runStressTest(300000, 5, 30, { ...test, grossAnnualIncome: 60000 });
+
+      expect(result.incomeShare).toBe(39.92);
+      expect(result.passes).toBe(false);
+    });
+  });
+
+  describe('calculateAffordability', () => {
+    const bank = { InterestRate: 6, LoanTerm: 30, MinimumDownPayment: 20000, MaximumLoan: 1000000 };
+    const borrower = {
+      grossAnnualIncome: 120000,
+      monthlyDebts: 500,
+      frontEndRatio: 28,
+      backEndRatio: 36,
+      cash: 60000
+    };
+
+    it('should cap the payment by the front-end ratio', () => {
+      const result = calculateAffordability(borrower, bank);
+
+      expect(result.maxPayment).toBe(2800);
+      expect(result.limitedBy).toBe(AFFORDABILITY_LIMITS.FRONT_END);
+      expect(result.maxLoan).toBe(calculateMaxLoan(2800, 6, 30));
+      expect(result.maxPrice).toBeCloseTo(result.maxLoan + 60000, 2);
+      expect(result.feasible).toBe(true);
+    });
+
+    it('should cap the payment by the back-end ratio with large debts', () => {
+      const result = calculateAffordability({ ...borrower, monthlyDebts: 1500 }, bank);
+
+      expect(result.maxPayment).toBe(2100);
+      expect(result.limitedBy).toBe(AFFORDABILITY_LIMITS.BACK_END);
+    });
+
+    it('should stop at the bank maximum loan', () => {
+      const result = calculateAffordability(borrower, { ...bank, MaximumLoan: 300000 });
+
+      expect(result.maxLoan).toBe(300000);
+      expect(result.maxPrice).toBe(360000);
+      expect(result.limitedBy).toBe(AFFORDABILITY_LIMITS.MAXIMUM_LOAN);
+    });
+
+    it('should be infeasible without the minimum down payment', () => {
+      const result = calculateAffordability({ ...borrower, cash: 10000 }, bank);
+
+      expect(result.feasible).toBe(false);
+      expect(result.limitedBy).toBe(AFFORDABILITY_LIMITS.DOWN_PAYMENT);
+    });
+  });
+
+  describe('generateAmortizationSchedule', () => {
+    it('should produce one row per month', () => {
+      const schedule = generateAmortizationSchedule(300000, 5, 30, { startDate: new Date(2025, 0, 15) });
+
+      expect(schedule).toHaveLength(360);
+      expect(schedule[0]).toEqual({
+        period: 1,
+        date: new Date(2025, 1, 15),
+        rate: 5,
+        payment: 1610.46,
+        principal: 360.46,
+        interest: 1250,
+        extra: 0,
+        balance: 299639.54,
+        cumulativeInterest: 1250
+      });
+    });
+
+    it('should pay the balance down to exactly zero', () => {
+      const schedule = generateAmortizationSchedule(250000, 4.25, 15);
+      const lastRow = schedule[schedule.length - 1];
+
+      expect(lastRow.balance).toBe(0);
+      expect(summarizeSchedule(schedule).totalPayment - summarizeSchedule(schedule).totalInterest)
+        .toBeCloseTo(250000, 2);
+    });
+
+    it('should track cumulative interest', () => {
+      const schedule = generateAmortizationSchedule(100000, 6, 10);
+      const { totalInterest } = summarizeSchedule(schedule);
+
+      expect(schedule[schedule.length - 1].cumulativeInterest).toBeCloseTo(totalInterest, 2);
+    });
+
+    it('should return empty schedule for invalid input', () => {
+      expect(generateAmortizationSchedule(0, 5, 30)).toEqual([]);
+      expect(generateAmortizationSchedule(100000, 5, 0)).toEqual([]);
+      expect(generateAmortizationSchedule(undefined, 5, 30)).toEqual([]);
+    });
+  });
+
+  describe('prepayments', () => {
+    const baseline = generateAmortizationSchedule(200000, 6, 30);
+
+    it('should shorten the term with extra monthly payments', () => {
+      const schedule = generateAmortizationSchedule(200000, 6, 30, { extraMonthly: 200 });
+      const { monthsSaved, interestSaved } = comparePrepaymentSchedules(baseline, schedule);
+
+      expect(schedule[0].extra).toBe(200);
+      expect(schedule[0].payment).toBeCloseTo(baseline[0].payment + 200, 2);
+      expect(schedule[schedule.length - 1].balance).toBe(0);
+      expect(monthsSaved).toBeGreaterThan(100);
+      expect(interestSaved).toBeGreaterThan(0);
+    });
+
+    it('should apply lump sums on the chosen month only', () => {
+      const schedule = generateAmortizationSchedule(200000, 6, 30, {
+        lumpSums: [{ month: 36, amount: 10000 }]
+      });
+
+      expect(schedule[34].extra).toBe(0);
+      expect(schedule[35].extra).toBe(10000);
+      expect(schedule[36].extra).toBe(0);
+    });
+
+    it('should apply annual extra payments once a year', () => {
+      const schedule = generateAmortizationSchedule(200000, 6, 30, { annualExtra: 1000 });
+      const yearlyExtras = schedule.filter(row => row.extra > 0).map(row => row.period);
+
+      expect(yearlyExtras.slice(0, 3)).toEqual([12, 24, 36]);
+    });
+
+    it('should lower following payments and keep the term', () => {
+      const schedule = generateAmortizationSchedule(200000, 6, 30, {
+        lumpSums: [{ month: 12, amount: 20000 }],
+        prepaymentStrategy: PREPAYMENT_STRATEGIES.LOWER_PAYMENT
+      });
+      const { monthsSaved, interestSaved } = comparePrepaymentSchedules(baseline, schedule);
+
+      expect(schedule).toHaveLength(360);
+      expect(schedule[12].payment).toBeLessThan(baseline[12].payment);
+      expect(schedule[schedule.length - 1].balance).toBe(0);
+      expect(monthsSaved).toBe(0);
+      expect(interestSaved).toBeGreaterThan(0);
+    });
+
+    it('should never prepay more than the remaining balance', () => {
+      const schedule = generateAmortizationSchedule(10000, 5, 5, {
+        lumpSums: [{ month: 2, amount: 50000 }]
+      });
+
+      expect(schedule).toHaveLength(2);
+      expect(schedule[1].balance).toBe(0);
+    });
+  });
+
+  describe('compounding and day count', () => {
+    it('should convert the quoted rate to the compounding frequency', () => {
+      expect(getPeriodicRate(5, 12)).toBe(5 / 100 / 12);
+      expect(getPeriodicRate(5, 12, 'monthly')).toBe(5 / 100 / 12);
+      expect(getPeriodicRate(5, 12, 'semiAnnual')).toBeCloseTo(Math.pow(1.025, 1 / 6) - 1, 12);
+      expect(Object.keys(COMPOUNDING_FREQUENCIES)).toEqual(['monthly', 'semiAnnual', 'annual', 'daily']);
+    });
+
+    it('should price the payment for the compounding frequency', () => {
+      expect(calculateMonthlyPayment(300000, 5, 30)).toBe(1610.46);
+      expect(calculateMonthlyPayment(300000, 5, 30, { compounding: 'monthly' })).toBe(1610.46);
+      expect(calculateMonthlyPayment(300000, 5, 30, { compounding: 'semiAnnual' })).toBe(1601.07);
+      expect(calculateMonthlyPayment(300000, 5, 30, { compounding: 'daily' })).toBe(1612.31);
+      expect(calculatePeriodicPayment(300000, 5, 30, 'biWeekly', { compounding: 'semiAnnual' }))
+        .toBeLessThan(calculatePeriodicPayment(300000, 5, 30, 'biWeekly'));
+    });
+
+    it('should compute the effective annual rate', () => {
+      expect(calculateEffectiveAnnualRate(5, 'monthly')).toBe(5.116);
+      expect(calculateEffectiveAnnualRate(5, 'semiAnnual')).toBe(5.063);
+      expect(calculateEffectiveAnnualRate(5, 'annual')).toBe(5);
+      expect(calculateEffectiveAnnualRate(5, 'daily')).toBe(5.127);
+      expect(calculateEffectiveAnnualRate(5, undefined, 26)).toBe(5.122);
+    });
+
+    it('should measure periods by the day-count basis', () => {
+      const start = new Date(2025, 0, 1);
+      const end = new Date(2025, 1, 1);
+
+      expect(getYearFraction(start, end, DAY_COUNT_BASES.THIRTY_360)).toBe(1 / 12);
+      expect(getYearFraction(new Date(2025, 0, 31), new Date(2025, 2, 1))).toBe(31 / 360);
+      expect(getYearFraction(start, end, DAY_COUNT_BASES.ACTUAL_365)).toBe(31 / 365);
+      expect(getYearFraction(new Date(2024, 11, 16), new Date(2025, 0, 16), DAY_COUNT_BASES.ACTUAL_ACTUAL))
+        .toBeCloseTo(16 / 366 + 15 / 365, 12);
+    });
+
+    it('should accrue interest over the actual days of each period', () => {
+      const thirty360 = generateAmortizationSchedule(300000, 5, 30);
+      const actual = generateAmortizationSchedule(300000, 5, 30, {
+        dayCount: DAY_COUNT_BASES.ACTUAL_365,
+        startDate: new Date(2025, 0, 1)
+      });
+
+      expect(thirty360[0].interest).toBe(1250);
+      expect(actual[0].payment).toBe(1610.46);
+      expect(actual[0].interest).toBeGreaterThan(1250);
+      expect(actual[1].interest).toBeLessThan(1250);
+      expect(actual[actual.length - 1].balance).toBe(0);
+    });
+  });
+
+  describe('calendar dates', () => {
+    const startDate = new Date(2025, 0, 15);
+    const firstPaymentDate = new Date(2025, 2, 1);
+
+    it('should move weekend due dates to a business day', () => {
+      expect(adjustToBusinessDay(new Date(2025, 2, 1))).toEqual(new Date(2025, 2, 3));
+      expect(adjustToBusinessDay(new Date(2025, 4, 31))).toEqual(new Date(2025, 4, 30));
+      expect(adjustToBusinessDay(new Date(2025, 2, 5))).toEqual(new Date(2025, 2, 5));
+    });
+
+    it('should date the payments from the first payment date', () => {
+      const schedule = generateAmortizationSchedule(300000, 5, 30, { startDate, firstPaymentDate });
+
+      expect(schedule).toHaveLength(360);
+      expect(schedule[0].date).toEqual(firstPaymentDate);
+      expect(schedule[1].date).toEqual(new Date(2025, 3, 1));
+      expect(summarizeSchedule(schedule).payoffDate).toEqual(new Date(2055, 1, 1));
+    });
+
+    it('should prorate the interest of an odd first period', () => {
+      const regular = generateAmortizationSchedule(300000, 5, 30, { startDate });
+      const schedule = generateAmortizationSchedule(300000, 5, 30, { startDate, firstPaymentDate });
+
+      // 46 days on 30/360
+      expect(schedule[0].interest).toBe(1916.67);
+      expect(schedule[0].principal).toBe(regular[0].principal);
+      expect(schedule[0].payment).toBe(2277.13);
+      expect(schedule[1].payment).toBe(regular[1].payment);
+      expect(schedule[1].balance).toBe(regular[1].balance);
+      expect(schedule[schedule.length - 1].balance).toBe(0);
+    });
+
+    it('should adjust the due dates but not the accrual to business days', () => {
+      const schedule = generateAmortizationSchedule(300000, 5, 30, { startDate, firstPaymentDate, adjustBusinessDays: true });
+
+      expect(schedule[0].date).toEqual(new Date(2025, 2, 3));
+      expect(schedule[0].interest).toBe(1916.67);
+      expect(schedule[1].date).toEqual(new Date(2025, 3, 1));
+    });
+  });
+
+  describe('payment frequencies', () => {
+    it('should use the periodic rate of each frequency', () => {
+      expect(calculatePeriodicPayment(300000, 5, 30, 'monthly')).toBe(1610.46);
+      expect(calculatePeriodicPayment(300000, 5, 30, 'biWeekly')).toBe(742.93);
+      expect(calculatePeriodicPayment(300000, 5, 30, 'weekly')).toBe(371.39);
+    });
+
+    it('should pay half the monthly payment for accelerated bi-weekly', () => {
+      expect(calculatePeriodicPayment(300000, 5, 30, 'acceleratedBiWeekly')).toBe(805.23);
+    });
+
+    it('should generate one row per period', () => {
+      const schedule = generateAmortizationSchedule(300000, 5, 30, { frequency: 'semiMonthly' });
+
+      expect(schedule).toHaveLength(720);
+      expect(schedule[0].interest).toBe(625);
+      expect(schedule[schedule.length - 1].balance).toBe(0);
+    });
+
+    it('should pay off accelerated bi-weekly loans early', () => {
+      const schedule = generateAmortizationSchedule(300000, 5, 30, { frequency: 'acceleratedBiWeekly' });
+
+      expect(schedule.length).toBeLessThan(30 * 26);
+      expect(schedule[schedule.length - 1].balance).toBe(0);
+    });
+
+    it('should compare total interest and payoff date against monthly', () => {
+      const rows = compareFrequencies(300000, 5, 30, new Date(2025, 0, 1));
+      const monthly = rows.find(row => row.frequency === 'monthly');
+      const accelerated = rows.find(row => row.frequency === 'acceleratedBiWeekly');
+
+      expect(rows).toHaveLength(5);
+      expect(monthly.interestSaved).toBe(0);
+      expect(monthly.payoffDate).toEqual(new Date(2055, 0, 1));
+      expect(accelerated.interestSaved).toBeGreaterThan(0);
+      expect(accelerated.monthsSaved).toBeGreaterThan(40);
+    });
+
+    it('should not count the shorter calendar of plain bi-weekly and weekly payments as months saved', () => {
+      const rows = compareFrequencies(300000, 5, 30, new Date(2025, 0, 1));
+
+      ['semiMonthly', 'biWeekly', 'weekly'].forEach(frequency => {
+        expect(rows.find(row => row.frequency === frequency).monthsSaved).toBe(0);
+      });
+      expect(rows.find(row => row.frequency === 'weekly').payoffDate.getTime())
+        .toBeLessThan(rows.find(row => row.frequency === 'monthly').payoffDate.getTime());
+    });
+
+    it('should compute payment dates per frequency', () => {
+      const start = new Date(2025, 0, 1);
+
+      expect(getPaymentDate(start, 1, 'monthly')).toEqual(new Date(2025, 1, 1));
+      expect(getPaymentDate(start, 1, 'semiMonthly')).toEqual(new Date(2025, 0, 16));
+      expect(getPaymentDate(start, 2, 'semiMonthly')).toEqual(new Date(2025, 1, 1));
+      expect(getPaymentDate(start, 1, 'biWeekly')).toEqual(new Date(2025, 0, 15));
+      expect(getPaymentDate(start, 1, 'weekly')).toEqual(new Date(2025, 0, 8));
+    });
+
+    it('should keep monthly due dates in their month at month ends', () => {
+      [29, 30, 31].forEach(day => {
+        const start = new Date(2025, 0, day);
+
+        expect(getPaymentDate(start, 1)).toEqual(new Date(2025, 1, 28));
+        expect(getPaymentDate(start, 2)).toEqual(new Date(2025, 2, day));
+        expect(getPaymentDate(start, 3)).toEqual(new Date(2025, 3, Math.min(day, 30)));
+      });
+      expect(getPaymentDate(new Date(2024, 0, 31), 1)).toEqual(new Date(2024, 1, 29));
+      expect(getPaymentDate(new Date(2025, 0, 31), 2, 'semiMonthly')).toEqual(new Date(2025, 1, 28));
+    });
+
+    // The tests run in America/New_York, see src/globalSetup.js
+    describe('across daylight saving changes', () => {
+      it('should keep weekly and bi-weekly due dates on the same weekday at midnight', () => {
+        expect(getPaymentDate(new Date(2024, 9, 20), 2, 'biWeekly')).toEqual(new Date(2024, 10, 17));
+        expect(getPaymentDate(new Date(2024, 2, 3), 2, 'weekly')).toEqual(new Date(2024, 2, 17));
+
+        const schedule = generateAmortizationSchedule(300000, 5, 30, { frequency: 'weekly', startDate: new Date(2024, 2, 3) });
+        schedule.slice(0, 60).forEach(row => {
+          expect(row.date.getDay()).toBe(0);
+          expect(row.date.getHours()).toBe(0);
+        });
+      });
+    });
+
+    it('should not skip a month in a schedule starting at a month end', () => {
+      const schedule = generateAmortizationSchedule(300000, 5, 30, { startDate: new Date(2025, 2, 31) });
+
+      expect(schedule.slice(0, 3).map(row => row.date)).toEqual([
+        new Date(2025, 3, 30),
+        new Date(2025, 4, 31),
+        new Date(2025, 5, 30)
+      ]);
+    });
+  });
+
+  describe('adjustable-rate mortgages', () => {
+    const arm = {
+      fixedYears: 5,
+      margin: 2.5,
+      periodicCap: 2,
+      lifetimeCap: 5,
+      floor: 2.5,
+      adjustmentMonths: 12
+    };
+
+    it('should keep the teaser rate for the fixed period', () => {
+      const path = buildArmRatePath(3, 30, arm, [4]);
+
+      expect(path[0]).toEqual({ fromMonth: 1, rate: 3 });
+      expect(path[1].fromMonth).toBe(61);
+    });
+
+    it('should limit each adjustment by the periodic cap', () => {
+      const path = buildArmRatePath(3, 30, arm, [4, 6]);
+
+      expect(path.slice(1, 3)).toEqual([
+        { fromMonth: 61, rate: 5 },
+        { fromMonth: 73, rate: 7 }
+      ]);
+      expect(path[3]).toEqual({ fromMonth: 85, rate: 8 });
+    });
+
+    it('should respect the lifetime cap and the floor', () => {
+      expect(buildArmRatePath(3, 30, arm, [10]).map(item => item.rate)).toEqual([3, 5, 7, 8]);
+      expect(buildArmRatePath(3, 30, arm, [-5]).map(item => item.rate)).toEqual([3, 2.5]);
+    });
+
+    it('should build the worst case path up to the lifetime cap', () => {
+      const path = buildWorstCaseRatePath(3, 30, arm);
+
+      expect(path.map(item => item.rate)).toEqual([3, 5, 7, 8]);
+    });
+
+    it('should keep the worst case finite without caps', () => {
+      const path = buildWorstCaseRatePath(3, 30, { fixedYears: 5, margin: 2.5, adjustmentMonths: 12 });
+      const schedule = generateAmortizationSchedule(300000, 3, 30, { ratePath: path });
+
+      expect(path.every(item => Number.isFinite(item.rate))).toBe(true);
+      expect(schedule.every(row => Number.isFinite(row.payment))).toBe(true);
+      expect(schedule[schedule.length - 1].payment).toBeLessThan(2000);
+    });
+
+    it('should re-amortize the schedule on every rate reset', () => {
+      const ratePath = buildArmRatePath(3, 30, arm, [4, 6]);
+      const schedule = generateAmortizationSchedule(300000, 3, 30, { ratePath });
+      const paymentPath = getPaymentPath(schedule);
+
+      expect(schedule[59].rate).toBe(3);
+      expect(schedule[60].rate).toBe(5);
+      expect(paymentPath).toHaveLength(4);
+      expect(paymentPath[0].payment).toBe(calculateMonthlyPayment(300000, 3, 30));
+      expect(paymentPath[1].payment).toBeGreaterThan(paymentPath[0].payment);
+      expect(schedule[schedule.length - 1].balance).toBe(0);
+      expect(schedule).toHaveLength(360);
+    });
+  });
+
+  describe('differentiated repayment', () => {
+    const options = { repaymentScheme: REPAYMENT_SCHEMES.DIFFERENTIATED };
+
+    it('should repay a fixed principal share plus interest', () => {
+      const schedule = generateAmortizationSchedule(120000, 12, 10, options);
+
+      expect(schedule).toHaveLength(120);
+      expect(schedule[0]).toEqual({
+        period: 1,
+        date: expect.any(Date),
+        rate: 12,
+        payment: 2200,
+        principal: 1000,
+        interest: 1200,
+        extra: 0,
+        balance: 119000,
+        cumulativeInterest: 1200
+      });
+      expect(schedule[1].payment).toBe(2190);
+      expect(schedule[119].payment).toBe(1010);
+      expect(schedule[119].balance).toBe(0);
+    });
+
+    it('should lower the principal share after a prepayment when asked', () => {
+      const schedule = generateAmortizationSchedule(120000, 12, 10, {
+        ...options,
+        lumpSums: [{ month: 60, amount: 30000 }],
+        prepaymentStrategy: PREPAYMENT_STRATEGIES.LOWER_PAYMENT
+      });
+
+      expect(schedule).toHaveLength(120);
+      expect(schedule[60].principal).toBe(500);
+      expect(schedule[119].balance).toBe(0);
+    });
+
+    it('should pay less interest than annuity', () => {
+      const [annuity, differentiated] = compareRepaymentSchemes(300000, 5, 30);
+
+      expect(annuity.scheme).toBe(REPAYMENT_SCHEMES.ANNUITY);
+      expect(annuity.firstPayment).toBe(1610.46);
+      expect(annuity.interestSaved).toBe(0);
+      expect(differentiated.firstPayment).toBeGreaterThan(annuity.firstPayment);
+      expect(differentiated.lastPayment).toBeLessThan(annuity.firstPayment);
+      expect(differentiated.totalInterest).toBeLessThan(annuity.totalInterest);
+      expect(differentiated.interestSaved).toBeCloseTo(annuity.totalInterest - differentiated.totalInterest, 2);
+    });
+  });
+
+  describe('interest-only and balloon loans', () => {
+    it('should pay interest only before amortizing the rest of the term', () => {
+      const schedule = generateAmortizationSchedule(200000, 6, 30, { interestOnlyMonths: 60 });
+
+      expect(schedule).toHaveLength(360);
+      expect(schedule[0].payment).toBe(1000);
+      expect(schedule[59].principal).toBe(0);
+      expect(schedule[59].balance).toBe(200000);
+      expect(schedule[60].payment).toBe(calculatePeriodicPayment(200000, 6, 25));
+      expect(schedule[359].balance).toBe(0);
+    });
+
+    it('should charge the remaining balance as a balloon', () => {
+      const schedule = generateAmortizationSchedule(100000, 6, 30, { balloonYears: 7 });
+      const fullSchedule = generateAmortizationSchedule(100000, 6, 30);
+
+      expect(schedule).toHaveLength(84);
+      expect(schedule[83].balance).toBe(0);
+      expect(schedule[83].payment).toBeCloseTo(599.55 + fullSchedule[83].balance, 2);
+    });
+
+    it('should describe each payment phase and the payment shock', () => {
+      const result = analyzeLoanStructure(200000, 6, 30, { interestOnlyMonths: 60, balloonYears: 10 });
+
+      expect(result.phases.map(item => item.phase)).toEqual([
+        LOAN_PHASES.INTEREST_ONLY,
+        LOAN_PHASES.AMORTIZING,
+        LOAN_PHASES.BALLOON
+      ]);
+      expect(result.phases[0]).toEqual({ phase: LOAN_PHASES.INTEREST_ONLY, fromPeriod: 1, toPeriod: 60, payment: 1000 });
+      expect(result.phases[1]).toMatchObject({ fromPeriod: 61, toPeriod: 119, payment: 1288.6 });
+      expect(result.balloonPeriod).toBe(120);
+      expect(result.balloonAmount).toBeCloseTo(179864.4, 2);
+      expect(result.phases[2].payment).toBeCloseTo(1288.6 + result.balloonAmount, 2);
+      expect(result.paymentShock).toEqual({ period: 61, from: 1000, to: 1288.6, increase: 288.6, percent: 28.86 });
+    });
+
+    it('should report no shock or balloon for a plain loan', () => {
+      const result = analyzeLoanStructure(200000, 6, 30);
+
+      expect(result.phases).toHaveLength(1);
+      expect(result.balloonAmount).toBe(0);
+      expect(result.balloonPeriod).toBeNull();
+      expect(result.paymentShock).toBeNull();
+    });
+  });
+
+  describe('APR and discount points', () => {
+    it('should add up points, origination and other charges', () => {
+      expect(calculateFinanceCharges(200000, { originationFee: 1, discountPoints: 1, otherCharges: 500 })).toBe(4500);
+      expect(calculateFinanceCharges(200000)).toBe(0);
+    });
+
+    it('should equal the nominal rate without finance charges', () => {
+      const schedule = generateAmortizationSchedule(200000, 6, 30);
+
+      expect(calculateApr(200000, 0, schedule)).toBeCloseTo(6, 2);
+    });
+
+    it('should rise above the nominal rate with finance charges', () => {
+      const schedule = generateAmortizationSchedule(200000, 6, 30);
+      const apr = calculateApr(200000, 4000, schedule);
+
+      expect(apr).toBeGreaterThan(6.15);
+      expect(apr).toBeLessThan(6.25);
+      expect(calculateApr(200000, 200000, schedule)).toBeNull();
+    });
+
+    it('should find the points break-even month', () => {
+      const result = calculatePointsBreakEven(200000, 6, 30, 1);
+
+      expect(result.pointsCost).toBe(2000);
+      expect(result.rateWithoutPoints).toBe(6.25);
+      expect(result.monthlySavings).toBe(32.33);
+      expect(result.breakEvenMonth).toBe(62);
+      expect(calculatePointsBreakEven(200000, 6, 30, 0)).toBeNull();
+    });
+  });
+
+  describe('buildSensitivityMatrix', () => {
+    it('should build rows around the rate and columns per term', () => {
+      const matrix = buildSensitivityMatrix(300000, 5, { step: 1 });
+
+      expect(matrix.terms).toEqual([10, 15, 20, 25, 30]);
+      expect(matrix.rows.map(row => row.rate)).toEqual([3, 4, 5, 6, 7]);
+      expect(matrix.rows[2].payments[4]).toBe(1610.46);
+      expect(matrix.rows[2].payments[0]).toBe(calculateMonthlyPayment(300000, 5, 10));
+    });
+
+    it('should use half-point steps by default and skip negative rates', () => {
+      expect(buildSensitivityMatrix(300000, 5).rows).toHaveLength(9);
+      expect(buildSensitivityMatrix(300000, 1).rows.map(row => row.rate)).toEqual([0, 0.5, 1, 1.5, 2, 2.5, 3]);
+    });
+
+    it('should classify payments against a budget', () => {
+      expect(getBudgetStatus(1500, 1600)).toBe(BUDGET_STATUSES.WITHIN);
+      expect(getBudgetStatus(1700, 1600)).toBe(BUDGET_STATUSES.NEAR);
+      expect(getBudgetStatus(1800, 1600)).toBe(BUDGET_STATUSES.OVER);
+      expect(getBudgetStatus(1800, 0)).toBeNull();
+    });
+  });
+
+  describe('calculateBuydown', () => {
+    it('should build a 2-1 payment ladder and escrowed subsidy', () => {
+      const result = calculateBuydown(300000, 7, 30, '2-1');
+
+      expect(result.ladder.map(row => row.rate)).toEqual([5, 6, 7]);
+      expect(result.ladder.map(row => row.payment)).toEqual([1610.46, 1798.65, 1995.91]);
+      expect(result.ladder[0].monthlySubsidy).toBe(385.45);
+      expect(result.ladder[1].annualSubsidy).toBe(2367.12);
+      expect(result.ladder[2].monthlySubsidy).toBe(0);
+      expect(result.subsidy).toBe(6992.52);
+    });
+
+    it('should not reduce the rate below zero', () => {
+      const result = calculateBuydown(100000, 2, 30, '3-2-1');
+
+      expect(result.ladder.map(row => row.rate)).toEqual([0, 0, 1, 2]);
+    });
+
+    it('should return null without a buydown', () => {
+      expect(calculateBuydown(300000, 7, 30, '')).toBeNull();
+    });
+  });
+
+  describe('groupScheduleByYear', () => {
+    it('should roll months up into years', () => {
+      const schedule = generateAmortizationSchedule(100000, 6, 10);
+      const years = groupScheduleByYear(schedule);
+
+      expect(years).toHaveLength(10);
+      expect(years[0].year).toBe(1);
+      expect(years[0].periods).toHaveLength(12);
+      expect(years[0].balance).toBe(schedule[11].balance);
+      expect(years[0].interest).toBeCloseTo(
+        schedule.slice(0, 12).reduce((sum, row) => sum + row.interest, 0),
+        2
+      );
+    });
+  });
+
+  it('should roll periods up by the schedule frequency', () => {
+    const schedule = generateAmortizationSchedule(100000, 6, 10, { frequency: 'weekly' });
+
+    expect(groupScheduleByYear(schedule, 52)).toHaveLength(10);
+  });
+
+  describe('calculatePmi', () => {
+    const schedule = generateAmortizationSchedule(285000, 5, 30);
+
+    it('should not charge PMI with 20% down', () => {
+      expect(calculatePmi(generateAmortizationSchedule(240000, 5, 30), 300000, 240000, 0.5)).toBeNull();
+    });
+
+    it('should find the removal and termination months', () => {
+      const pmi = calculatePmi(schedule, 300000, 285000, 0.5);
+      const ltvAfter = (month) => (schedule[month - 1].balance / 300000) * 100;
+
+      expect(pmi.monthlyPremium).toBe(118.75);
+      expect(ltvAfter(pmi.requestRemovalMonth)).toBeLessThanOrEqual(80);
+      expect(ltvAfter(pmi.requestRemovalMonth - 1)).toBeGreaterThan(80);
+      expect(ltvAfter(pmi.terminationMonth)).toBeLessThanOrEqual(78);
+      expect(ltvAfter(pmi.terminationMonth - 1)).toBeGreaterThan(78);
+      expect(pmi.totalPmi).toBeCloseTo(118.75 * pmi.terminationMonth, 2);
+      expect(pmi.totalPmiOnRequest).toBeLessThan(pmi.totalPmi);
+    });
+
+    it('should drop PMI sooner with prepayments', () => {
+      const prepaid = generateAmortizationSchedule(285000, 5, 30, { extraMonthly: 500 });
+
+      expect(calculatePmi(prepaid, 300000, 285000, 0.5).terminationMonth)
+        .toBeLessThan(calculatePmi(schedule, 300000, 285000, 0.5).terminationMonth);
+    });
+  });
+
+  describe('analyzeRefinance', () => {
+    const current = { originalAmount: 300000, rate: 7, startDate: new Date(2020, 0, 1), remainingMonths: 300 };
+    const asOf = new Date(2025, 0, 1);
+
+    it('should find the balance and payment of the current loan', () => {
+      const result = analyzeRefinance(current, { rate: 5, years: 25, closingCosts: 0 }, asOf);
+      const schedule = generateAmortizationSchedule(300000, 7, 30);
+
+      expect(result.elapsedMonths).toBe(60);
+      expect(result.currentPayment).toBe(calculateMonthlyPayment(300000, 7, 30));
+      expect(result.currentBalance).toBe(schedule[59].balance);
+      expect(result.newPrincipal).toBe(schedule[59].balance);
+      expect(result.termResetMonths).toBe(0);
+      expect(result.termResetInterest).toBe(0);
+    });
+
+    it('should find the break-even month from closing costs and savings', () => {
+      const result = analyzeRefinance(current, { rate: 5, years: 25, closingCosts: 4000 }, asOf);
+
+      expect(result.monthlySavings).toBeGreaterThan(0);
+      expect(result.breakEvenMonth).toBe(Math.ceil(4000 / result.monthlySavings));
+      expect(result.interestDifference).toBeGreaterThan(0);
+      expect(result.lifetimeSavings).toBeCloseTo(
+        result.interestDifference - 4000,
+        0
+      );
+    });
+
+    it('should show the extra interest of resetting the term', () => {
+      const result = analyzeRefinance(current, { rate: 5, years: 30, closingCosts: 4000 }, asOf);
+
+      expect(result.termResetMonths).toBe(60);
+      expect(result.termResetInterest).toBeGreaterThan(0);
+      expect(result.sameTermPayment).toBeGreaterThan(result.newPayment);
+    });
+
+    it('should add financed closing costs to the new loan', () => {
+      const result = analyzeRefinance(current, { rate: 5, years: 25, closingCosts: 4000, financeClosingCosts: true }, asOf);
+
+      expect(result.newPrincipal).toBeCloseTo(result.currentBalance + 4000, 2);
+    });
+
+    it('should break even immediately without closing costs', () => {
+      expect(analyzeRefinance(current, { rate: 5, years: 25 }, asOf).breakEvenMonth).toBe(0);
+    });
+
+    it('should not break even without monthly savings', () => {
+      expect(analyzeRefinance(current, { rate: 8, years: 25, closingCosts: 4000 }, asOf).breakEvenMonth).toBeNull();
+    });
+  });
+
+  describe('summarizeSchedule', () => {
+    it('should handle empty schedule', () => {
+      expect(summarizeSchedule([])).toEqual({
+        totalPayment: 0,
+        totalInterest: 0,
+        numberOfPayments: 0,
+        payoffDate: null
+      });
+    });
+  });
+});
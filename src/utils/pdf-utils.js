@@ -1,4 +1,5 @@
 import jsPDF from 'jspdf';
+import { formatMoney } from './money-utils';
 
 // PDF utility functions for mortgage calculator
 export const generateMortgageReport = (calculationData, bankData) => {
@@ -23,8 +24,8 @@ export const generateMortgageReport = (calculationData, bankData) => {
   doc.setFont('helvetica', 'normal');
   doc.text(`Bank: ${bankData.name}`, 20, 70);
   doc.text(`Interest Rate: ${bankData.interestRate}%`, 20, 80);
-  doc.text(`Maximum Loan: $${bankData.maxLoan.toLocaleString()}`, 20, 90);
-  doc.text(`Minimum Down Payment: $${bankData.minDownPayment.toLocaleString()}`, 20, 100);
+  doc.text(`Maximum Loan: $${formatMoney(bankData.maxLoan)}`, 20, 90);
+  doc.text(`Minimum Down Payment: $${formatMoney(bankData.minDownPayment)}`, 20, 100);
   doc.text(`Loan Term: ${bankData.loanTerm} years`, 20, 110);
   
   // Calculation details
@@ -34,20 +35,104 @@ export const generateMortgageReport = (calculationData, bankData) => {
   
   doc.setFontSize(12);
   doc.setFont('helvetica', 'normal');
-  doc.text(`Loan Amount: $${calculationData.loanAmount.toLocaleString()}`, 20, 150);
-  doc.text(`Down Payment: $${calculationData.downPayment.toLocaleString()}`, 20, 160);
+  const homePrice = calculationData.homePrice || calculationData.loanAmount + calculationData.downPayment;
+  const loanToValue = calculationData.loanToValue ?? (calculationData.loanAmount / homePrice) * 100;
+  doc.text(`Property Price: $${formatMoney(homePrice)}`, 20, 150);
+  doc.text(`Down Payment: $${formatMoney(calculationData.downPayment)}`, 20, 160);
   doc.text(`Down Payment %: ${calculationData.downPaymentPercentage.toFixed(2)}%`, 20, 170);
+  doc.text(`Loan Amount (financed): $${formatMoney(calculationData.loanAmount)}`, 20, 180);
+  doc.text(`Loan-to-Value: ${loanToValue.toFixed(2)}%`, 20, 190);
+  doc.text(`Payment Frequency: ${calculationData.paymentFrequency || 'Monthly'}`, 20, 200);
   
   // Results
   doc.setFontSize(16);
   doc.setFont('helvetica', 'bold');
-  doc.text('Results', 20, 195);
+  doc.text('Results', 20, 215);
   
   doc.setFontSize(12);
   doc.setFont('helvetica', 'normal');
-  doc.text(`Monthly Payment: $${calculationData.monthlyPayment.toLocaleString()}`, 20, 210);
-  doc.text(`Total Payment: $${calculationData.totalPayment.toLocaleString()}`, 20, 220);
-  doc.text(`Total Interest: $${calculationData.totalInterest.toLocaleString()}`, 20, 230);
+  doc.text(`${calculationData.paymentFrequency || 'Monthly'} Payment: $${formatMoney(calculationData.monthlyPayment)}`, 20, 230);
+  doc.text(`Total Payment: $${formatMoney(calculationData.totalPayment)}`, 20, 240);
+  doc.text(`Total Interest: $${formatMoney(calculationData.totalInterest)}`, 20, 250);
+  if (calculationData.rounding) {
+    doc.text(`Cent Rounding: ${calculationData.rounding}`, 20, 260);
+  }
+  
+  // Monthly housing cost (PITI + HOA)
+  const { housingCost } = calculationData;
+  if (housingCost && housingCost.total > housingCost.principalAndInterest) {
+    doc.addPage();
+    doc.setFontSize(16);
+    doc.setFont('helvetica', 'bold');
+    doc.text('Monthly Housing Cost', 20, 20);
+    
+    doc.setFontSize(12);
+    doc.setFont('helvetica', 'normal');
+    doc.text(`Principal & Interest: $${formatMoney(housingCost.principalAndInterest)}`, 20, 35);
+    doc.text(`Property Tax (escrow): $${formatMoney(housingCost.propertyTax)}`, 20, 45);
+    doc.text(`Homeowner Insurance (escrow): $${formatMoney(housingCost.homeInsurance)}`, 20, 55);
+    doc.text(`Mortgage Insurance (PMI): $${formatMoney(housingCost.pmi || 0)}`, 20, 65);
+    doc.text(`HOA Fees: $${formatMoney(housingCost.hoaFees)}`, 20, 75);
+    doc.text(`Escrow Deposit: $${formatMoney(housingCost.escrow)}`, 20, 90);
+    
+    doc.setFont('helvetica', 'bold');
+    doc.text(`Total Monthly Housing Cost: $${formatMoney(housingCost.total)}`, 20, 105);
+    
+    const { pmi } = calculationData;
+    if (pmi) {
+      doc.setFont('helvetica', 'normal');
+      doc.text(`PMI can be removed on request after month ${pmi.requestRemovalMonth}`, 20, 120);
+      doc.text(`PMI ends automatically after month ${pmi.terminationMonth}, total PMI: $${formatMoney(pmi.totalPmi)}`, 20, 130);
+    }
+  }
+  
+  // Temporary buydown payment ladder
+  const { buydown } = calculationData;
+  if (buydown) {
+    doc.addPage();
+    doc.setFontSize(16);
+    doc.setFont('helvetica', 'bold');
+    doc.text(`Temporary Buydown (${buydown.label})`, 20, 20);
+    
+    doc.setFontSize(12);
+    doc.setFont('helvetica', 'normal');
+    doc.text(`Payment at the note rate: $${formatMoney(buydown.notePayment)}`, 20, 35);
+    doc.text(`Subsidy escrowed at closing: $${formatMoney(buydown.subsidy)}`, 20, 45);
+    
+    doc.setFont('helvetica', 'bold');
+    doc.text('Year', 20, 60);
+    doc.text('Rate', 60, 60);
+    doc.text('Payment', 100, 60);
+    doc.text('Subsidy / Month', 150, 60);
+    
+    doc.setFont('helvetica', 'normal');
+    buydown.ladder.forEach((row, index) => {
+      const y = 70 + index * 10;
+      const isLast = index === buydown.ladder.length - 1;
+      doc.text(isLast ? `${row.year}+` : `${row.year}`, 20, y);
+      doc.text(`${row.rate}%`, 60, y);
+      doc.text(`$${formatMoney(row.payment)}`, 100, y);
+      doc.text(`$${formatMoney(row.monthlySubsidy)}`, 150, y);
+    });
+  }
+  
+  // Payment at the stressed qualifying rate against the borrower's income
+  const { stressTest } = calculationData;
+  if (stressTest) {
+    doc.addPage();
+    doc.setFontSize(16);
+    doc.setFont('helvetica', 'bold');
+    doc.text('Stress Test', 20, 20);
+    
+    doc.setFontSize(12);
+    doc.setFont('helvetica', 'normal');
+    doc.text(`Contract Rate: ${stressTest.rate}%, Monthly Payment: $${formatMoney(stressTest.payment)}`, 20, 35);
+    doc.text(`Stressed Rate: ${stressTest.stressRate}%, Monthly Payment: $${formatMoney(stressTest.stressedPayment)}`, 20, 45);
+    doc.text(`Share of Gross Monthly Income: ${stressTest.incomeShare.toFixed(2)}% (limit ${stressTest.maxIncomeShare}%)`, 20, 55);
+    
+    doc.setFont('helvetica', 'bold');
+    doc.text(`Result: ${stressTest.passes ? 'PASS' : 'FAIL'}`, 20, 70);
+  }
   
   // Add page number
   const pageCount = doc.internal.getNumberOfPages();
@@ -93,8 +178,8 @@ export const generateBanksComparison = (banks) => {
     
     doc.text(bank.name, 20, yPosition);
     doc.text(`${bank.interestRate}%`, 70, yPosition);
-    doc.text(`$${bank.maxLoan.toLocaleString()}`, 110, yPosition);
-    doc.text(`$${bank.minDownPayment.toLocaleString()}`, 150, yPosition);
+    doc.text(`$${formatMoney(bank.maxLoan)}`, 110, yPosition);
+    doc.text(`$${formatMoney(bank.minDownPayment)}`, 150, yPosition);
     doc.text(`${bank.loanTerm} years`, 200, yPosition);
     
     yPosition += 10;
@@ -112,7 +197,7 @@ export const generateBanksComparison = (banks) => {
     doc.setFontSize(10);
     doc.setFont('helvetica', 'normal');
     doc.text(`Average Interest Rate: ${avgInterestRate.toFixed(2)}%`, 20, yPosition + 25);
-    doc.text(`Total Maximum Loan Capacity: $${totalMaxLoan.toLocaleString()}`, 20, yPosition + 35);
+    doc.text(`Total Maximum Loan Capacity: $${formatMoney(totalMaxLoan)}`, 20, yPosition + 35);
     doc.text(`Number of Banks: ${banks.length}`, 20, yPosition + 45);
   }
   
@@ -140,10 +225,10 @@ export const generateLoanAnalysis = (loanData) => {
   
   doc.setFontSize(12);
   doc.setFont('helvetica', 'normal');
-  doc.text(`Principal Amount: $${loanData.principal.toLocaleString()}`, 20, 70);
+  doc.text(`Principal Amount: $${formatMoney(loanData.principal)}`, 20, 70);
   doc.text(`Interest Rate: ${loanData.interestRate}%`, 20, 80);
   doc.text(`Loan Term: ${loanData.term} years`, 20, 90);
-  doc.text(`Monthly Payment: $${loanData.monthlyPayment.toLocaleString()}`, 20, 105);
+  doc.text(`${loanData.paymentFrequency || 'Monthly'} Payment: $${formatMoney(loanData.monthlyPayment)}`, 20, 105);
   
   // Payment breakdown
   doc.setFontSize(16);
@@ -152,8 +237,8 @@ export const generateLoanAnalysis = (loanData) => {
   
   doc.setFontSize(12);
   doc.setFont('helvetica', 'normal');
-  doc.text(`Total Payments: $${loanData.totalPayments.toLocaleString()}`, 20, 145);
-  doc.text(`Total Interest: $${loanData.totalInterest.toLocaleString()}`, 20, 155);
+  doc.text(`Total Payments: $${formatMoney(loanData.totalPayments)}`, 20, 145);
+  doc.text(`Total Interest: $${formatMoney(loanData.totalInterest)}`, 20, 155);
   doc.text(`Interest Percentage: ${((loanData.totalInterest / loanData.totalPayments) * 100).toFixed(2)}%`, 20, 165);
   
   // Amortization schedule (first 12 months)
@@ -184,15 +269,134 @@ export const generateLoanAnalysis = (loanData) => {
       }
       
       doc.text(`${index + 1}`, 20, yPos);
-      doc.text(`$${payment.payment.toLocaleString()}`, 50, yPos);
-      doc.text(`$${payment.principal.toLocaleString()}`, 90, yPos);
-      doc.text(`$${payment.interest.toLocaleString()}`, 130, yPos);
-      doc.text(`$${payment.balance.toLocaleString()}`, 170, yPos);
+      doc.text(`$${formatMoney(payment.payment)}`, 50, yPos);
+      doc.text(`$${formatMoney(payment.principal)}`, 90, yPos);
+      doc.text(`$${formatMoney(payment.interest)}`, 130, yPos);
+      doc.text(`$${formatMoney(payment.balance)}`, 170, yPos);
       
       yPos += 10;
     });
   }
   
+  // Charts rendered from the page's SVG charts, see renderChartImages
+  if (loanData.charts && loanData.charts.length > 0) {
+    doc.addPage();
+    doc.setFontSize(16);
+    doc.setFont('helvetica', 'bold');
+    doc.text('Charts', 20, 20);
+    
+    doc.setFontSize(12);
+    loanData.charts.forEach((chart, index) => {
+      const y = 30 + index * 82;
+      doc.text(chart.title, 20, y);
+      doc.addImage(chart.image, 'PNG', 20, y + 4, 170, 68);
+    });
+  }
+  
+  return doc;
+};
+
+// Generate refinance comparison PDF
+export const generateRefinanceReport = (analysis, currentLoan, offer) => {
+  const doc = new jsPDF();
+  
+  // Add title
+  doc.setFontSize(20);
+  doc.setFont('helvetica', 'bold');
+  doc.text('Refinance Analysis Report', 20, 20);
+  
+  // Add date
+  doc.setFontSize(12);
+  doc.setFont('helvetica', 'normal');
+  doc.text(`Generated on: ${new Date().toLocaleDateString()}`, 20, 35);
+  
+  // Current loan
+  doc.setFontSize(16);
+  doc.setFont('helvetica', 'bold');
+  doc.text('Current Loan', 20, 55);
+  
+  doc.setFontSize(12);
+  doc.setFont('helvetica', 'normal');
+  doc.text(`Original Amount: $${formatMoney(currentLoan.originalAmount)}`, 20, 70);
+  doc.text(`Interest Rate: ${currentLoan.rate}%`, 20, 80);
+  doc.text(`Remaining Balance: $${formatMoney(analysis.currentBalance)}`, 20, 90);
+  doc.text(`Remaining Term: ${analysis.remainingMonths} months`, 20, 100);
+  doc.text(`Monthly Payment: $${formatMoney(analysis.currentPayment)}`, 20, 110);
+  
+  // New offer
+  doc.setFontSize(16);
+  doc.setFont('helvetica', 'bold');
+  doc.text('New Offer', 20, 130);
+  
+  doc.setFontSize(12);
+  doc.setFont('helvetica', 'normal');
+  doc.text(`Lender: ${offer.name || 'Custom offer'}`, 20, 145);
+  doc.text(`Interest Rate: ${offer.rate}%`, 20, 155);
+  doc.text(`Loan Term: ${offer.years} years`, 20, 165);
+  doc.text(`New Loan Amount: $${formatMoney(analysis.newPrincipal)}`, 20, 175);
+  doc.text(`Closing Costs: $${formatMoney(analysis.closingCosts)}`, 20, 185);
+  doc.text(`Monthly Payment: $${formatMoney(analysis.newPayment)}`, 20, 195);
+  
+  // Comparison
+  doc.setFontSize(16);
+  doc.setFont('helvetica', 'bold');
+  doc.text('Comparison', 20, 215);
+  
+  doc.setFontSize(12);
+  doc.setFont('helvetica', 'normal');
+  doc.text(`Monthly Savings: $${formatMoney(analysis.monthlySavings)}`, 20, 230);
+  const breakEven = analysis.breakEvenMonth === 0 ? 'immediately' : `month ${analysis.breakEvenMonth}`;
+  doc.text(`Break-even: ${analysis.breakEvenMonth === null ? 'not reached' : breakEven}`, 20, 240);
+  doc.text(`Lifetime Interest Difference: $${formatMoney(analysis.interestDifference)}`, 20, 250);
+  doc.text(`Term Reset: ${analysis.termResetMonths} months, $${formatMoney(analysis.termResetInterest)} extra interest`, 20, 260);
+  doc.text(`Lifetime Savings after Costs: $${formatMoney(analysis.lifetimeSavings)}`, 20, 270);
+  
+  return doc;
+};
+
+// Generate rate x term payment sensitivity PDF
+export const generateSensitivityReport = (matrix, { principal, budget } = {}) => {
+  const doc = new jsPDF();
+  
+  // Add title
+  doc.setFontSize(20);
+  doc.setFont('helvetica', 'bold');
+  doc.text('Payment Sensitivity Report', 20, 20);
+  
+  // Add date
+  doc.setFontSize(12);
+  doc.setFont('helvetica', 'normal');
+  doc.text(`Generated on: ${new Date().toLocaleDateString()}`, 20, 35);
+  doc.text(`Loan Amount: $${formatMoney(principal)}`, 20, 45);
+  if (budget > 0) {
+    doc.text(`Monthly Budget: $${formatMoney(budget)} (* = over budget)`, 20, 55);
+  }
+  
+  // Table headers
+  doc.setFontSize(10);
+  doc.setFont('helvetica', 'bold');
+  doc.text('Rate', 20, 70);
+  matrix.terms.forEach((years, index) => {
+    doc.text(`${years} years`, 50 + index * 30, 70);
+  });
+  
+  // Table data
+  doc.setFont('helvetica', 'normal');
+  let yPosition = 80;
+  matrix.rows.forEach(row => {
+    if (yPosition > 270) {
+      doc.addPage();
+      yPosition = 20;
+    }
+    
+    doc.text(`${row.rate}%`, 20, yPosition);
+    row.payments.forEach((payment, index) => {
+      const marker = budget > 0 && payment > budget ? '*' : '';
+      doc.text(`$${formatMoney(payment)}${marker}`, 50 + index * 30, yPosition);
+    });
+    yPosition += 8;
+  });
+  
   return doc;
 };
 
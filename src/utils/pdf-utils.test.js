@@ -2,6 +2,8 @@ import {
   generateMortgageReport, 
   generateBanksComparison, 
   generateLoanAnalysis,
+  generateRefinanceReport,
+  generateSensitivityReport,
   savePDF,
   printPDF
 } from './pdf-utils';
@@ -13,6 +15,7 @@ jest.mock('jspdf', () => {
     setFont: jest.fn(),
     text: jest.fn(),
     addPage: jest.fn(),
+    addImage: jest.fn(),
     save: jest.fn(),
     output: jest.fn().mockReturnValue('mock-pdf-blob'),
     internal: {
@@ -52,6 +55,225 @@ describe('PDF Utils', () => {
       expect(doc.setFont).toHaveBeenCalled();
       expect(doc.text).toHaveBeenCalled();
     });
+
+    it('should add the stress test result', () => {
+      const doc = generateMortgageReport({
+        homePrice: 360000,
+        loanAmount: 300000,
+        downPayment: 60000,
+        downPaymentPercentage: 16.67,
+        monthlyPayment: 1610.46,
+        totalPayment: 579765.6,
+        totalInterest: 279765.6,
+        stressTest: {
+          rate: 5,
+          stressRate: 7,
+          payment: 1610.46,
+          stressedPayment: 1995.91,
+          incomeShare: 39.92,
+          maxIncomeShare: 39,
+          passes: false
+        }
+      }, { name: 'Test Bank', interestRate: 5, maxLoan: 500000, minDownPayment: 50000, loanTerm: 30 });
+
+      expect(doc.text).toHaveBeenCalledWith('Stress Test', 20, 20);
+      expect(doc.text).toHaveBeenCalledWith('Stressed Rate: 7%, Monthly Payment: $1,995.91', 20, 45);
+      expect(doc.text).toHaveBeenCalledWith('Share of Gross Monthly Income: 39.92% (limit 39%)', 20, 55);
+      expect(doc.text).toHaveBeenCalledWith('Result: FAIL', 20, 70);
+    });
+
+    it('should print the totals to the cent', () => {
+      const doc = generateMortgageReport({
+        homePrice: 360000,
+        loanAmount: 300000,
+        downPayment: 60000,
+        downPaymentPercentage: 16.67,
+        monthlyPayment: 1610.4,
+        totalPayment: 579769.69,
+        totalInterest: 279769.69
+      }, { name: 'Test Bank', interestRate: 5, maxLoan: 500000, minDownPayment: 50000, loanTerm: 30 });
+
+      expect(doc.text).toHaveBeenCalledWith('Monthly Payment: $1,610.40', 20, 230);
+      expect(doc.text).toHaveBeenCalledWith('Total Payment: $579,769.69', 20, 240);
+      expect(doc.text).toHaveBeenCalledWith('Total Interest: $279,769.69', 20, 250);
+    });
+
+    it('should state the cent rounding mode', () => {
+      const doc = generateMortgageReport({
+        homePrice: 360000,
+        loanAmount: 300000,
+        downPayment: 60000,
+        downPaymentPercentage: 16.67,
+        monthlyPayment: 1610.46,
+        rounding: "Banker's (half-even)",
+        totalPayment: 579765.6,
+        totalInterest: 279765.6
+      }, { name: 'Test Bank', interestRate: 5, maxLoan: 500000, minDownPayment: 50000, loanTerm: 30 });
+
+      expect(doc.text).toHaveBeenCalledWith("Cent Rounding: Banker's (half-even)", 20, 260);
+    });
+
+    it('should state the payment frequency', () => {
+      const calculationData = {
+        loanAmount: 300000,
+        downPayment: 60000,
+        downPaymentPercentage: 20,
+        monthlyPayment: 553.85,
+        paymentFrequency: 'Bi-weekly',
+        totalPayment: 432000,
+        totalInterest: 132000
+      };
+
+      const bankData = {
+        name: 'Test Bank',
+        interestRate: 4.5,
+        maxLoan: 500000,
+        minDownPayment: 50000,
+        loanTerm: 30
+      };
+
+      const doc = generateMortgageReport(calculationData, bankData);
+
+      expect(doc.text).toHaveBeenCalledWith('Payment Frequency: Bi-weekly', 20, 200);
+      expect(doc.text).toHaveBeenCalledWith('Bi-weekly Payment: $553.85', 20, 230);
+    });
+
+    it('should report the property price and the financed amount', () => {
+      const calculationData = {
+        homePrice: 400000,
+        loanAmount: 340000,
+        downPayment: 60000,
+        downPaymentPercentage: 15,
+        loanToValue: 85,
+        monthlyPayment: 1722.73,
+        totalPayment: 620182.8,
+        totalInterest: 280182.8
+      };
+
+      const bankData = {
+        name: 'Test Bank',
+        interestRate: 4.5,
+        maxLoan: 500000,
+        minDownPayment: 50000,
+        loanTerm: 30
+      };
+
+      const doc = generateMortgageReport(calculationData, bankData);
+
+      expect(doc.text).toHaveBeenCalledWith('Property Price: $400,000.00', 20, 150);
+      expect(doc.text).toHaveBeenCalledWith('Loan Amount (financed): $340,000.00', 20, 180);
+      expect(doc.text).toHaveBeenCalledWith('Loan-to-Value: 85.00%', 20, 190);
+    });
+
+    it('should add the monthly housing cost breakdown', () => {
+      const calculationData = {
+        loanAmount: 300000,
+        downPayment: 60000,
+        downPaymentPercentage: 20,
+        monthlyPayment: 1610.46,
+        totalPayment: 579765.6,
+        totalInterest: 279765.6,
+        housingCost: {
+          principalAndInterest: 1610.46,
+          propertyTax: 300,
+          homeInsurance: 100,
+          hoaFees: 150,
+          escrow: 400,
+          total: 2160.46
+        }
+      };
+
+      const bankData = {
+        name: 'Test Bank',
+        interestRate: 4.5,
+        maxLoan: 500000,
+        minDownPayment: 50000,
+        loanTerm: 30
+      };
+
+      const doc = generateMortgageReport(calculationData, bankData);
+
+      expect(doc.addPage).toHaveBeenCalled();
+      expect(doc.text).toHaveBeenCalledWith('Property Tax (escrow): $300.00', 20, 45);
+      expect(doc.text).toHaveBeenCalledWith('Total Monthly Housing Cost: $2,160.46', 20, 105);
+    });
+
+    it('should report when PMI ends', () => {
+      const calculationData = {
+        loanAmount: 300000,
+        downPayment: 30000,
+        downPaymentPercentage: 9.09,
+        monthlyPayment: 1610.46,
+        totalPayment: 579765.6,
+        totalInterest: 279765.6,
+        housingCost: {
+          principalAndInterest: 1610.46,
+          propertyTax: 0,
+          homeInsurance: 0,
+          pmi: 125,
+          hoaFees: 0,
+          escrow: 0,
+          total: 1735.46
+        },
+        pmi: {
+          monthlyPremium: 125,
+          requestRemovalMonth: 62,
+          terminationMonth: 79,
+          totalPmi: 9875
+        }
+      };
+
+      const bankData = {
+        name: 'Test Bank',
+        interestRate: 4.5,
+        maxLoan: 500000,
+        minDownPayment: 50000,
+        loanTerm: 30
+      };
+
+      const doc = generateMortgageReport(calculationData, bankData);
+
+      expect(doc.text).toHaveBeenCalledWith('Mortgage Insurance (PMI): $125.00', 20, 65);
+      expect(doc.text).toHaveBeenCalledWith('PMI can be removed on request after month 62', 20, 120);
+      expect(doc.text).toHaveBeenCalledWith('PMI ends automatically after month 79, total PMI: $9,875.00', 20, 130);
+    });
+
+    it('should add the temporary buydown ladder', () => {
+      const calculationData = {
+        loanAmount: 300000,
+        downPayment: 60000,
+        downPaymentPercentage: 16.67,
+        monthlyPayment: 1995.91,
+        totalPayment: 718527.6,
+        totalInterest: 418527.6,
+        buydown: {
+          label: '2-1 buydown',
+          notePayment: 1995.91,
+          subsidy: 6992.52,
+          ladder: [
+            { year: 1, rate: 5, payment: 1610.46, monthlySubsidy: 385.45, annualSubsidy: 4625.4 },
+            { year: 2, rate: 6, payment: 1798.65, monthlySubsidy: 197.26, annualSubsidy: 2367.12 },
+            { year: 3, rate: 7, payment: 1995.91, monthlySubsidy: 0, annualSubsidy: 0 }
+          ]
+        }
+      };
+
+      const bankData = {
+        name: 'Test Bank',
+        interestRate: 7,
+        maxLoan: 500000,
+        minDownPayment: 50000,
+        loanTerm: 30
+      };
+
+      const doc = generateMortgageReport(calculationData, bankData);
+
+      expect(doc.addPage).toHaveBeenCalled();
+      expect(doc.text).toHaveBeenCalledWith('Temporary Buydown (2-1 buydown)', 20, 20);
+      expect(doc.text).toHaveBeenCalledWith('Subsidy escrowed at closing: $6,992.52', 20, 45);
+      expect(doc.text).toHaveBeenCalledWith('$1,610.46', 100, 70);
+      expect(doc.text).toHaveBeenCalledWith('3+', 20, 90);
+    });
   });
 
   describe('generateBanksComparison', () => {
@@ -116,6 +338,28 @@ describe('PDF Utils', () => {
       expect(doc.text).toHaveBeenCalled();
     });
 
+    it('should embed the chart images', () => {
+      const loanData = {
+        principal: 300000,
+        interestRate: 4.5,
+        term: 30,
+        monthlyPayment: 1520.06,
+        totalPayments: 547221.6,
+        totalInterest: 247221.6,
+        charts: [
+          { title: 'Remaining Balance', image: 'data:image/png;base64,balance' },
+          { title: 'Payment Composition', image: 'data:image/png;base64,composition' }
+        ]
+      };
+
+      const doc = generateLoanAnalysis(loanData);
+
+      expect(doc.text).toHaveBeenCalledWith('Charts', 20, 20);
+      expect(doc.text).toHaveBeenCalledWith('Payment Composition', 20, 112);
+      expect(doc.addImage).toHaveBeenCalledWith('data:image/png;base64,balance', 'PNG', 20, 34, 170, 68);
+      expect(doc.addImage).toHaveBeenCalledTimes(2);
+    });
+
     it('should handle loan data without amortization schedule', () => {
       const loanData = {
         principal: 300000,
@@ -132,6 +376,96 @@ describe('PDF Utils', () => {
     });
   });
 
+  describe('generateRefinanceReport', () => {
+    it('should generate refinance comparison PDF', () => {
+      const analysis = {
+        currentBalance: 282400.12,
+        remainingMonths: 300,
+        currentPayment: 1995.91,
+        newPrincipal: 282400.12,
+        newPayment: 1650.88,
+        closingCosts: 4000,
+        monthlySavings: 345.03,
+        breakEvenMonth: 12,
+        interestDifference: 103509,
+        termResetMonths: 0,
+        termResetInterest: 0,
+        lifetimeSavings: 99509
+      };
+      const currentLoan = { originalAmount: 300000, rate: 7 };
+      const offer = { name: 'Test Bank', rate: 5, years: 25 };
+
+      const doc = generateRefinanceReport(analysis, currentLoan, offer);
+
+      expect(doc.text).toHaveBeenCalledWith('Lender: Test Bank', 20, 145);
+      expect(doc.text).toHaveBeenCalledWith('Break-even: month 12', 20, 240);
+      expect(doc.text).toHaveBeenCalledWith('Lifetime Savings after Costs: $99,509.00', 20, 270);
+    });
+
+    it('should state when the refinance never breaks even', () => {
+      const analysis = {
+        currentBalance: 282400.12,
+        remainingMonths: 300,
+        currentPayment: 1995.91,
+        newPrincipal: 282400.12,
+        newPayment: 2100,
+        closingCosts: 4000,
+        monthlySavings: -104.09,
+        breakEvenMonth: null,
+        interestDifference: -31227,
+        termResetMonths: 0,
+        termResetInterest: 0,
+        lifetimeSavings: -35227
+      };
+
+      const doc = generateRefinanceReport(analysis, { originalAmount: 300000, rate: 7 }, { rate: 8, years: 25 });
+
+      expect(doc.text).toHaveBeenCalledWith('Lender: Custom offer', 20, 145);
+      expect(doc.text).toHaveBeenCalledWith('Break-even: not reached', 20, 240);
+    });
+
+    it('should state when the refinance breaks even immediately', () => {
+      const analysis = {
+        currentBalance: 282400.12,
+        remainingMonths: 300,
+        currentPayment: 1995.91,
+        newPrincipal: 282400.12,
+        newPayment: 1650.9,
+        closingCosts: 0,
+        monthlySavings: 345.01,
+        breakEvenMonth: 0,
+        interestDifference: 103509,
+        termResetMonths: 0,
+        termResetInterest: 0,
+        lifetimeSavings: 103509
+      };
+
+      const doc = generateRefinanceReport(analysis, { originalAmount: 300000, rate: 7 }, { rate: 5, years: 25 });
+
+      expect(doc.text).toHaveBeenCalledWith('Break-even: immediately', 20, 240);
+    });
+  });
+
+  describe('generateSensitivityReport', () => {
+    it('should render the matrix as a table and mark payments over budget', () => {
+      const matrix = {
+        terms: [15, 30],
+        rows: [
+          { rate: 4.5, payments: [2294.98, 1520.06] },
+          { rate: 5, payments: [2372.38, 1610.46] }
+        ]
+      };
+
+      const doc = generateSensitivityReport(matrix, { principal: 300000, budget: 2300 });
+
+      expect(doc.text).toHaveBeenCalledWith('Payment Sensitivity Report', 20, 20);
+      expect(doc.text).toHaveBeenCalledWith('30 years', 80, 70);
+      expect(doc.text).toHaveBeenCalledWith('4.5%', 20, 80);
+      expect(doc.text).toHaveBeenCalledWith('$2,294.98', 50, 80);
+      expect(doc.text).toHaveBeenCalledWith('$2,372.38*', 50, 88);
+    });
+  });
+
   describe('savePDF', () => {
     it('should call save method on document', () => {
       const mockDoc = {
@@ -0,0 +1,136 @@
+import { inputValidation } from './security';
+import {
+  DOWN_PAYMENT_TYPES,
+  PAYMENT_FREQUENCIES,
+  REPAYMENT_SCHEMES,
+  PROPERTY_TAX_TYPES,
+  PREPAYMENT_STRATEGIES,
+  BUYDOWN_TYPES,
+  COMPOUNDING_FREQUENCIES,
+  DAY_COUNT_BASES
+} from './mortgage-utils';
+import { ROUNDING_MODES } from './money-utils';
+
+/**
+ * Share utilities
+ * Serialize the calculator state to URL query parameters and back,
+ * so a scenario can be bookmarked or sent to someone else
+ */
+
+const oneOf = (values) => (value) => values.includes(value);
+const isCurrency = (value) => inputValidation.validateCurrency(value);
+const isPercentage = (value) => inputValidation.validatePercentage(value);
+const isLoanTerm = (value) => inputValidation.validateLoanTerm(value);
+const isMonth = (value) => inputValidation.validateNumber(value, 0, 600) && Number.isInteger(Number(value));
+const isRateList = (value) => value.split(',').every(item => isPercentage(item.trim()));
+const isBoolean = oneOf(['true', 'false']);
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(new Date(value).getTime());
+
+// Query parameter validators, keyed by the form field they fill
+export const CALC_FORM_PARAMS = {
+  homePrice: isCurrency,
+  downPayment: isCurrency,
+  downPaymentType: oneOf(Object.values(DOWN_PAYMENT_TYPES)),
+  loanTerm: isLoanTerm,
+  loanApr: isPercentage
+};
+
+export const CALC_OPTION_PARAMS = {
+  frequency: oneOf(Object.keys(PAYMENT_FREQUENCIES)),
+  repaymentScheme: oneOf(Object.values(REPAYMENT_SCHEMES)),
+  compounding: oneOf(['', ...Object.keys(COMPOUNDING_FREQUENCIES)]),
+  dayCount: oneOf(Object.values(DAY_COUNT_BASES)),
+  rounding: oneOf(Object.values(ROUNDING_MODES)),
+  startDate: isDate,
+  firstPaymentDate: isDate,
+  adjustBusinessDays: isBoolean,
+  propertyTax: isCurrency,
+  propertyTaxType: oneOf(Object.values(PROPERTY_TAX_TYPES)),
+  homeInsurance: isCurrency,
+  hoaFees: isCurrency,
+  pmiRate: isPercentage,
+  originationFee: isPercentage,
+  discountPoints: isPercentage,
+  otherCharges: isCurrency,
+  pointRateReduction: isPercentage,
+  buydownType: oneOf(['', ...Object.keys(BUYDOWN_TYPES)]),
+  interestOnlyMonths: isMonth,
+  balloonYears: isLoanTerm,
+  extraMonthly: isCurrency,
+  annualExtra: isCurrency,
+  lumpSum: isCurrency,
+  lumpSumMonth: isMonth,
+  prepaymentStrategy: oneOf(Object.values(PREPAYMENT_STRATEGIES)),
+  armEnabled: isBoolean,
+  armFixedYears: isLoanTerm,
+  armIndex: isPercentage,
+  armMargin: isPercentage,
+  armPeriodicCap: isPercentage,
+  armLifetimeCap: isPercentage,
+  armFloor: isPercentage,
+  armAdjustmentMonths: isMonth,
+  armIndexPath: isRateList,
+  grossAnnualIncome: isCurrency,
+  stressShock: isPercentage,
+  stressFloorRate: isPercentage,
+  stressMaxIncomeShare: isPercentage
+};
+
+/**
+ * Query parameters of a calculator state; values equal to the defaults are left out
+ * @param {Object} state - bank name, formData and advancedOptions
+ * @param {Object} defaults - Default formData and advancedOptions
+ * @returns {Object} Query parameters as strings
+ */
+export const buildCalcQuery = ({ bank, formData, advancedOptions }, defaults) => {
+  const params = {};
+  if (bank) params.bank = bank;
+
+  const addChanged = (values, defaultValues, fields) => {
+    Object.keys(fields).forEach(key => {
+      if (values[key] !== defaultValues[key]) {
+        params[key] = String(values[key]);
+      }
+    });
+  };
+  addChanged(formData, defaults.formData, CALC_FORM_PARAMS);
+  addChanged(advancedOptions, defaults.advancedOptions, CALC_OPTION_PARAMS);
+
+  return params;
+};
+
+/**
+ * Rehydrate a calculator state from query parameters
+ * Every value goes through inputValidation; invalid ones keep their default
+ * @param {URLSearchParams} searchParams - Query parameters of the page
+ * @param {Object} defaults - Default formData and advancedOptions
+ * @returns {Object} bank, formData, advancedOptions and the names of the rejected parameters
+ */
+export const parseCalcQuery = (searchParams, defaults) => {
+  const rejected = [];
+
+  const readFields = (defaultValues, fields) => Object.keys(fields).reduce((values, key) => {
+    const value = searchParams.get(key);
+    if (value === null) return values;
+
+    if (!fields[key](value)) {
+      rejected.push(key);
+      return values;
+    }
+
+    values[key] = fields[key] === isBoolean ? value === 'true' : value;
+    return values;
+  }, { ...defaultValues });
+
+  const bank = searchParams.get('bank');
+  if (bank !== null && !inputValidation.validateBankName(bank)) {
+    rejected.push('bank');
+  }
+
+  return {
+    bank: bank !== null && !rejected.includes('bank') ? bank : '',
+    formData: readFields(defaults.formData, CALC_FORM_PARAMS),
+    advancedOptions: readFields(defaults.advancedOptions, CALC_OPTION_PARAMS),
+    rejected
+  };
+};
@@ -0,0 +1,77 @@
+import { buildCalcQuery, parseCalcQuery } from './share-utils';
+
+describe('Share Utils', () => {
+  const defaults = {
+    formData: { homePrice: '', downPayment: '', downPaymentType: 'amount', loanTerm: '', loanApr: '' },
+    advancedOptions: { frequency: 'monthly', extraMonthly: '', armEnabled: false, armIndexPath: '' }
+  };
+
+  describe('buildCalcQuery', () => {
+    it('should include the bank and every changed value', () => {
+      const query = buildCalcQuery({
+        bank: 'Test Bank',
+        formData: { ...defaults.formData, homePrice: '360000', loanTerm: '30' },
+        advancedOptions: { ...defaults.advancedOptions, frequency: 'biWeekly', armEnabled: true }
+      }, defaults);
+
+      expect(query).toEqual({
+        bank: 'Test Bank',
+        homePrice: '360000',
+        loanTerm: '30',
+        frequency: 'biWeekly',
+        armEnabled: 'true'
+      });
+    });
+
+    it('should be empty for the default state', () => {
+      expect(buildCalcQuery({ bank: '', ...defaults }, defaults)).toEqual({});
+    });
+  });
+
+  describe('parseCalcQuery', () => {
+    it('should restore a state built by buildCalcQuery', () => {
+      const state = {
+        bank: 'Test Bank',
+        formData: { ...defaults.formData, homePrice: '360000', downPayment: '20', downPaymentType: 'percent' },
+        advancedOptions: { ...defaults.advancedOptions, armEnabled: true, armIndexPath: '4, 5.5' }
+      };
+      const searchParams = new URLSearchParams(buildCalcQuery(state, defaults));
+
+      expect(parseCalcQuery(searchParams, defaults)).toEqual({ ...state, rejected: [] });
+    });
+
+    it('should keep the defaults for invalid values', () => {
+      const searchParams = new URLSearchParams('homePrice=-5&loanTerm=80&loanApr=abc&frequency=daily&armIndexPath=4,x&bank=<');
+      const result = parseCalcQuery(searchParams, defaults);
+
+      expect(result.formData).toEqual(defaults.formData);
+      expect(result.advancedOptions).toEqual(defaults.advancedOptions);
+      expect(result.bank).toBe('');
+      expect(result.rejected).toEqual(['bank', 'homePrice', 'loanTerm', 'loanApr', 'frequency', 'armIndexPath']);
+    });
+
+    it('should read the loan dates', () => {
+      const searchParams = new URLSearchParams('startDate=2025-01-15&firstPaymentDate=2025-13-01&adjustBusinessDays=true');
+      const result = parseCalcQuery(searchParams, defaults);
+
+      expect(result.advancedOptions.startDate).toBe('2025-01-15');
+      expect(result.advancedOptions.adjustBusinessDays).toBe(true);
+      expect(result.rejected).toEqual(['firstPaymentDate']);
+    });
+
+    it('should read the rounding mode', () => {
+      const result = parseCalcQuery(new URLSearchParams('rounding=halfEven'), defaults);
+      const invalid = parseCalcQuery(new URLSearchParams('rounding=down'), defaults);
+
+      expect(result.advancedOptions.rounding).toBe('halfEven');
+      expect(invalid.rejected).toEqual(['rounding']);
+    });
+
+    it('should ignore unknown parameters', () => {
+      const result = parseCalcQuery(new URLSearchParams('utm_source=mail&loanApr=5'), defaults);
+
+      expect(result.formData.loanApr).toBe('5');
+      expect(result.rejected).toEqual([]);
+    });
+  });
+});